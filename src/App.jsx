@@ -2,8 +2,51 @@ import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { createPortal } from 'react-dom';
 import mapboxgl from 'https://cdn.skypack.dev/mapbox-gl@2.15.0';
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
-import { searchProjects } from './utils/searchProjects.js';
+import { searchProjectMatches } from './utils/searchProjects.js';
+import { describeMatchReason } from './utils/searchQuery.js';
 import { highlightText } from './utils/highlightText.jsx';
+import { PROJECT_STATUSES, getProjectRecord, loadProjectInventory } from './utils/projectSchema.js';
+import { PROJECT_DATASETS, DEFAULT_PROJECT_DATASET_ID, getProjectDataset, formatDatasetLabel } from './utils/projectDatasets.js';
+import {
+  CRE_BUCKETS,
+  CRE_BUCKET_INFO,
+  CRE_DISPLAY_MEASURES,
+  CRE_CV_THRESHOLDS,
+  DEFAULT_CRE_CV_THRESHOLD,
+  getCreCvPropertyName,
+  getCrePropertyName,
+  getCreTractProperties,
+  loadCommunityResilience
+} from './utils/communityResilience.js';
+import { normalizeGeoid } from './utils/geoid.js';
+import { loadVulnerabilityIndex, VULNERABILITY_INDEX_COLORS } from './utils/vulnerabilityIndex.js';
+import { parseRiskIndex, RISK_RATINGS } from './utils/riskIndex.js';
+import {
+  NRI_HAZARD_KEYS,
+  NRI_HAZARDS,
+  NRI_COMPONENTS,
+  getHazardComponents,
+  getHazardPropertyNames,
+  getHazardRamp,
+  getHazardTractProperties,
+  hasHazardBreakdown,
+  parseHazardIndex
+} from './utils/nriHazards.js';
+import { SOURCE_STATUS, fetchSource, loadFirstAvailable, requireRecords } from './utils/sourceLoader.js';
+import { INDEX_SOURCES, validateTractBoundaries } from './utils/indexSources.js';
+import { CLASSIFICATION_METHODS, getClassBreaks, getClassIndex, getQuantileBreaks } from './utils/classification.js';
+import { loadCejst } from './utils/cejst.js';
+import { joinProjectsToTracts } from './utils/tractJoin.js';
+import { summarizeJustice40 } from './utils/justice40.js';
+import { findTractGaps, summarizeProjectsByTract } from './utils/gapAnalysis.js';
+import { BIVARIATE_COLORS, BIVARIATE_CLASS_LABELS, describeBivariateClass, getBivariateClass } from './utils/bivariate.js';
+import { DIFF_STATUS, DIFF_STATUS_COLORS, diffInventories, diffToGeoJSON, distanceMeters } from './utils/inventoryDiff.js';
+import { buildUrlSearch, parseUrlState } from './utils/urlState.js';
+import { EXPORT_FORMATS, describeExportFilters, exportProjects } from './utils/projectExport.js';
+import { findNearbyProjects, formatDistance, getProjectDetailFields, splitTextLinks } from './utils/projectDetails.js';
+import { getTimelineExtent, stepTimelineRange } from './utils/projectTimeline.js';
+import { applyProjectFilters, createProjectFilter, getCategoryOptions, readFacetCount } from './utils/projectFilters.js';
+import { captureMapImage, getProjectTypeColor, getProjectTypeLegend, summarizeReportProjects } from './utils/printReport.js';
 
 
 const parseNumericValue = (value) => {
@@ -147,40 +190,197 @@ const formatCityName = (cityName) => {
     .join(' ');
 };
 
+// Escape dataset values before interpolating them into popup HTML
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Describe a single field change from inventoryDiff, e.g. "Project Status: Ongoing → Completed"
+const describeDiffChange = (change) => {
+  if (change.field === 'coordinates') {
+    const meters = distanceMeters(change.before, change.after);
+    return Number.isFinite(meters) ? `Location moved ${Math.round(meters)} m` : 'Location added or removed';
+  }
+  const format = (value) => {
+    if (change.field === 'cost') return formatCostCompact(value) || '—';
+    return value ?? '—';
+  };
+  return `${change.label}: ${format(change.before)} → ${format(change.after)}`;
+};
+
+const DIFF_STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Modified',
+  unchanged: 'Unchanged'
+};
+
+// Diagonal stripe image for hatched fill layers (mapbox fill-pattern needs a registered image)
+const createHatchPattern = (color, size = 8, lineWidth = 1.5) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.strokeStyle = color;
+  context.lineWidth = lineWidth;
+  context.beginPath();
+  // Three segments so the stripes continue across tile edges
+  context.moveTo(0, size);
+  context.lineTo(size, 0);
+  context.moveTo(-size / 2, size / 2);
+  context.lineTo(size / 2, -size / 2);
+  context.moveTo(size / 2, size * 1.5);
+  context.lineTo(size * 1.5, size / 2);
+  context.stroke();
+  return context.getImageData(0, 0, size, size);
+};
+
+// Spread `count` colors evenly across a ramp (keeps both ends when there are fewer classes than colors)
+const pickRampColors = (ramp, count) => {
+  if (count <= 1) return ramp.slice(-1);
+  return Array.from({ length: count }, (_, index) => ramp[Math.round((index * (ramp.length - 1)) / (count - 1))]);
+};
+
+// Register a hatch image once per style (images are dropped when the map style changes)
+const ensureHatchPattern = (mapInstance, imageId, color) => {
+  if (!mapInstance.hasImage(imageId)) {
+    mapInstance.addImage(imageId, createHatchPattern(color));
+  }
+};
+
+// Badge shapes for the status groups in utils/projectSchema.js (markers, filter and legends)
+const PROJECT_STATUS_STYLES = {
+  Completed: { color: '#27ae60', shape: 'circle' },
+  Ongoing: { color: '#f39c12', shape: 'ring' },
+  Planned: { color: '#2980b9', shape: 'diamond' },
+  Unknown: { color: '#95a5a6', shape: 'square' }
+};
+
+const getStatusBadgeStyle = (status, size = 10) => {
+  const { color, shape } = PROJECT_STATUS_STYLES[status] || PROJECT_STATUS_STYLES.Unknown;
+  return {
+    display: 'inline-block',
+    boxSizing: 'border-box',
+    width: `${size}px`,
+    height: `${size}px`,
+    flexShrink: 0,
+    background: shape === 'ring' ? 'white' : color,
+    border: shape === 'ring' ? `${Math.max(2, Math.round(size / 4))}px solid ${color}` : '1.5px solid white',
+    borderRadius: shape === 'circle' || shape === 'ring' ? '50%' : '2px',
+    transform: shape === 'diamond' ? 'rotate(45deg) scale(0.85)' : 'none',
+    boxShadow: '0 0 0 1px rgba(0, 0, 0, 0.2)'
+  };
+};
+
+// Modelling Layer views that can be shared in a link, and values left out of the URL
+const CENSUS_VIEWS = ['none', 'risk', 'cre', 'vulnerability', 'bivariate'];
+const URL_STATE_DEFAULTS = { view: 'risk', dataset: DEFAULT_PROJECT_DATASET_ID };
+
 const App = () => {
   const mapContainer = useRef(null);
   const map = useRef(null);
+  // View restored from the link the page was opened with (see utils/urlState.js)
+  const initialUrlStateRef = useRef(parseUrlState(window.location.search, { views: CENSUS_VIEWS }));
+  const initialUrlState = initialUrlStateRef.current;
+  const pendingUrlProjectRef = useRef(initialUrlState.project ?? initialUrlState.detail); // Reopened once its inventory loads
+  const urlStateRef = useRef(null);
   const districtsRef = useRef({});
   const censusDataRef = useRef(null);
   const hoveredCensusIdRef = useRef(null);
   const censusStatsRef = useRef(null);
-  const censusViewRef = useRef('risk');
-  const pred3PEDataRef = useRef({}); // Mapping of GEOID to PRED3_PE values
+  const censusViewRef = useRef(initialUrlState.view ?? 'risk');
+  const creDataRef = useRef({}); // Community Resilience Estimates records keyed by GEOID
+  const vulnerabilityDataRef = useRef({}); // Social Vulnerability Index values keyed by GEOID
+  const cejstDataRef = useRef({}); // CEJST disadvantaged flags keyed by GEOID
+  const cejstVisibleRef = useRef(false);
+  const creSelectionRef = useRef({
+    bucket: 'PRED3',
+    measure: 'percent',
+    showUncertainty: false,
+    cvThreshold: DEFAULT_CRE_CV_THRESHOLD
+  });
+  const riskSelectionRef = useRef({ hazard: 'ALL', component: 'risk', scoreMode: false, scoreBreaks: [] }); // NRI hazard sub-layer
   const isHoveringMarkerRef = useRef(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [allMarkers, setAllMarkers] = useState([]);
   const [currentDistrict, setCurrentDistrict] = useState(null);
   const [allProjectsData, setAllProjectsData] = useState(null);
-  const [isSatelliteView, setIsSatelliteView] = useState(false);
+  const [allProjects, setAllProjects] = useState([]); // Normalized project records (see utils/projectSchema.js)
+  const [activeDatasetId, setActiveDatasetId] = useState(
+    PROJECT_DATASETS.some(dataset => dataset.id === initialUrlState.dataset) ? initialUrlState.dataset : DEFAULT_PROJECT_DATASET_ID
+  );
+  const [mapReady, setMapReady] = useState(false);
+  const projectMarkersRef = useRef([]);
+  const [diffOpen, setDiffOpen] = useState(false);
+  const [diffBaseId, setDiffBaseId] = useState('resilience-2025-11-25');
+  const [diffCompareId, setDiffCompareId] = useState('resilience-2025-11-26');
+  const [diffResult, setDiffResult] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [diffError, setDiffError] = useState(null);
+  const [diffStatusFilter, setDiffStatusFilter] = useState('changed');
+  const diffResultRef = useRef(null);
+  const diffGeojsonRef = useRef(null);
+  const diffVisibleRef = useRef(false);
+  const diffEventsBoundRef = useRef(false);
+  const [isSatelliteView, setIsSatelliteView] = useState(initialUrlState.satellite);
   const [activeFeature, setActiveFeature] = useState(null);
   const isSwitchingFeatureRef = useRef(false);
+  const [detailProjectId, setDetailProjectId] = useState(initialUrlState.detail); // Project shown in the detail panel
+  const [detailLinkCopied, setDetailLinkCopied] = useState(false);
   const [censusStats, setCensusStats] = useState(null);
   const [censusLayersReady, setCensusLayersReady] = useState(false);
-  const [activeCensusView, setActiveCensusView] = useState('risk');
-  const [censusVisible, setCensusVisible] = useState(true);
+  const [activeCensusView, setActiveCensusView] = useState(initialUrlState.view ?? 'risk');
+  const [censusVisible, setCensusVisible] = useState(initialUrlState.view !== 'none');
+  const [creBucket, setCreBucket] = useState('PRED3');
+  const [creMeasure, setCreMeasure] = useState('percent');
+  const [creShowUncertainty, setCreShowUncertainty] = useState(false);
+  const [creCvThreshold, setCreCvThreshold] = useState(DEFAULT_CRE_CV_THRESHOLD);
+  const [riskHazard, setRiskHazard] = useState('ALL');
+  const [riskComponent, setRiskComponent] = useState('risk');
+  const [riskColorMode, setRiskColorMode] = useState('rating'); // 'rating' bands or continuous 'score'
+  const [riskClassification, setRiskClassification] = useState('quantile');
   const censusEventsBoundRef = useRef(false);
-  const censusVisibleRef = useRef(true);
-  const [selectedTypes, setSelectedTypes] = useState([]);
-  const [selectedCategories, setSelectedCategories] = useState([]);
-  const [selectedDisasterFocus, setSelectedDisasterFocus] = useState([]);
-  const [selectedCity, setSelectedCity] = useState('');
+  const censusVisibleRef = useRef(initialUrlState.view !== 'none');
+  const [cejstVisible, setCejstVisible] = useState(false);
+  const [indexSourceStatus, setIndexSourceStatus] = useState(null); // Per-dataset loaded/missing/invalid
+  const [printReport, setPrintReport] = useState(null); // { mapImage, createdAt } while the report is open
+  const [gapOpen, setGapOpen] = useState(false);
+  const [gapMaxProjects, setGapMaxProjects] = useState(0);
+  const gapGeoidsRef = useRef([]);
+  const gapVisibleRef = useRef(false);
+  const [selectedTypes, setSelectedTypes] = useState(initialUrlState.types);
+  const [selectedCategories, setSelectedCategories] = useState(initialUrlState.categories);
+  const [selectedDisasterFocus, setSelectedDisasterFocus] = useState(initialUrlState.disasterFocus);
+  const [selectedStatuses, setSelectedStatuses] = useState(initialUrlState.statuses);
+  const [selectedCity, setSelectedCity] = useState(initialUrlState.city ?? '');
+  const [timelineRange, setTimelineRange] = useState(null); // [fromYear, toYear]; null shows every year
+  const [timelineIncludeUndated, setTimelineIncludeUndated] = useState(false);
+  const [timelinePlaying, setTimelinePlaying] = useState(false);
+  // Sidebar selections as a filter spec for utils/projectFilters.js
+  const projectFilters = useMemo(() => ({
+    types: selectedTypes,
+    categories: selectedCategories,
+    disasterFocus: selectedDisasterFocus,
+    cities: selectedCity ? [selectedCity] : [],
+    statuses: selectedStatuses,
+    years: timelineRange,
+    includeUndated: timelineIncludeUndated
+  }), [selectedTypes, selectedCategories, selectedDisasterFocus, selectedStatuses, selectedCity, timelineRange, timelineIncludeUndated]);
+  const matchesProjectFilter = useMemo(() => createProjectFilter(projectFilters), [projectFilters]);
   const [cityDropdownOpen, setCityDropdownOpen] = useState(false);
   const [showTooltip, setShowTooltip] = useState(false);
   const [showDisclaimer, setShowDisclaimer] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(initialUrlState.search ?? '');
+  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState(initialUrlState.search ?? '');
   const [searchResults, setSearchResults] = useState([]);
+  // Why each search result matched, parallel to searchResults
+  const [searchMatchReasons, setSearchMatchReasons] = useState([]);
   const [showSearchResults, setShowSearchResults] = useState(false);
   const [selectedResultIndex, setSelectedResultIndex] = useState(-1);
 
@@ -233,6 +433,30 @@ const App = () => {
     };
   }, []);
 
+  // Open the detail panel from the popup's "View all details" button
+  useEffect(() => {
+    const handleDetailsRequested = (event) => {
+      setDetailProjectId(event.detail?.projectId ?? null);
+    };
+
+    window.addEventListener('projectDetailsRequested', handleDetailsRequested);
+
+    return () => {
+      window.removeEventListener('projectDetailsRequested', handleDetailsRequested);
+    };
+  }, []);
+
+  // While the detail panel is open it follows the project selected on the map
+  useEffect(() => {
+    const projectId = activeFeature ? getProjectRecord(activeFeature)?.linkId : null;
+    if (!projectId) return;
+    setDetailProjectId(current => (current === null ? current : projectId));
+  }, [activeFeature]);
+
+  useEffect(() => {
+    setDetailLinkCopied(false);
+  }, [detailProjectId]);
+
   // Close city dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -253,15 +477,15 @@ const App = () => {
 
   // Navigate to a specific project (zoom and open popup)
   const navigateToProject = useCallback((feature) => {
-    if (!map.current || !feature || !feature.geometry) return;
+    if (!map.current || !feature) return;
 
-    const coords = feature.geometry.coordinates;
-    if (!coords || coords.length < 2) return;
+    const coords = getProjectRecord(feature)?.coordinates;
+    if (!coords) return;
 
     // Find the corresponding marker (if it exists)
     const marker = allMarkers.find(m => {
       if (!m.feature) return false;
-      const markerCoords = m.feature.geometry?.coordinates;
+      const markerCoords = getProjectRecord(m.feature)?.coordinates;
       if (!markerCoords) return false;
       // Compare coordinates (with small tolerance for floating point)
       return Math.abs(markerCoords[0] - coords[0]) < 0.0001 && 
@@ -301,16 +525,18 @@ const App = () => {
   useEffect(() => {
     if (!debouncedSearchQuery.trim()) {
       setSearchResults([]);
+      setSearchMatchReasons([]);
       setShowSearchResults(false);
       setSelectedResultIndex(-1);
       return;
     }
 
-    const results = searchProjects(debouncedSearchQuery, allProjectsData);
-    setSearchResults(results);
+    const matches = searchProjectMatches(debouncedSearchQuery, allProjectsData, { filter: matchesProjectFilter });
+    setSearchResults(matches.map(match => match.feature));
+    setSearchMatchReasons(matches.map(match => [...new Set(match.reasons.map(describeMatchReason))]));
     setShowSearchResults(true); // Show dropdown even if no results (to display "no results" message)
     setSelectedResultIndex(-1);
-  }, [debouncedSearchQuery, allProjectsData]);
+  }, [debouncedSearchQuery, allProjectsData, matchesProjectFilter]);
 
   // Close search dropdown when clicking outside
   useEffect(() => {
@@ -380,27 +606,53 @@ const App = () => {
     setCensusVisible((prev) => !prev);
   };
 
+  // Switch the live project inventory; filters are reset because option lists differ per dataset
+  const handleDatasetChange = (datasetId) => {
+    if (datasetId === activeDatasetId) return;
+    setSelectedTypes([]);
+    setSelectedCategories([]);
+    setSelectedDisasterFocus([]);
+    setSelectedStatuses([]);
+    setSelectedCity('');
+    setSearchQuery('');
+    setActiveDatasetId(datasetId);
+  };
+
+  const activeDataset = getProjectDataset(activeDatasetId);
+
+  // Load two inventory snapshots and match their projects (see utils/inventoryDiff.js)
+  const runInventoryDiff = async () => {
+    const baseDataset = getProjectDataset(diffBaseId);
+    const compareDataset = getProjectDataset(diffCompareId);
+    setDiffLoading(true);
+    setDiffError(null);
+    try {
+      const [base, compare] = await Promise.all(
+        [baseDataset, compareDataset].map(dataset => loadProjectInventory(dataset.url, { fieldMap: dataset.fieldMap }))
+      );
+      const result = diffInventories(base.projects, compare.projects);
+      console.info(`[Diff] ${baseDataset.url} → ${compareDataset.url}`, result.summary);
+      setDiffResult(result);
+      setDiffStatusFilter('changed');
+    } catch (err) {
+      console.error('Error comparing inventories:', err);
+      setDiffError('Unable to load one of the inventories.');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const closeInventoryDiff = () => {
+    setDiffOpen(false);
+    setDiffResult(null);
+    setDiffError(null);
+  };
+
   // Define district boundaries
   
 
   // Get marker color based on project type
-  const getMarkerColor = (projectType) => {
-    switch(projectType) {
-      case 'Blue Infrastructure':
-      case 'Blue':
-        return '#3498db';
-      case 'Green Infrastructure':
-      case 'Green':
-        return '#27ae60';
-      case 'Grey Infrastructure':
-      case 'Grey':
-        return '#95a5a6';
-      case 'Hybrid':
-        return '#9b59b6'; // Purple for hybrid infrastructure
-      default:
-        return '#95a5a6';
-    }
-  };
+  const getMarkerColor = (projectType) => getProjectTypeColor(projectType);
 
   // Get marker size based on project cost
   const getMarkerSize = (cost) => {
@@ -535,73 +787,125 @@ const App = () => {
 
     if (!stats) return;
 
-    // Build color expression based on risk rating categories (categorical mapping)
+    // Build color expression based on rating categories of the selected hazard sub-layer
     const buildRiskRatingColorExpression = () => {
-      // Map each category directly to a color (light yellow to orange red)
+      const { hazard, component } = riskSelectionRef.current;
+      const property = getHazardPropertyNames(hazard, component).rating;
+      const ramp = getHazardRamp(hazard, component);
+      // Map each category directly to a color on the hazard's ramp (Very Low to Very High)
       return [
-        'case',
-        ['==', ['get', '__riskRating'], 'Very Low'],
-        '#FFF9C4',           // Light Yellow (Very Low)
-        ['==', ['get', '__riskRating'], 'Relatively Low'],
-        '#FFE082',           // Light Yellow-Orange (Relatively Low)
-        ['==', ['get', '__riskRating'], 'Relatively Moderate'],
-        '#FFB74D',           // Orange (Relatively Moderate)
-        ['==', ['get', '__riskRating'], 'Relatively High'],
-        '#FF8A65',           // Orange-Red (Relatively High)
-        ['==', ['get', '__riskRating'], 'Very High'],
-        '#E64A19',           // Dark Orange-Red (Very High)
+        'match',
+        ['coalesce', ['get', property], ''],
+        ...RISK_RATINGS.flatMap((rating, index) => [rating, ramp[index]]),
         '#9e9e9e'            // Gray for unknown/missing ratings
       ];
     };
 
-    const riskColorExpression = buildRiskRatingColorExpression();
+    // Build an interpolated color expression on the numeric NRI score; ramp colors sit at the
+    // midpoint of each class, so the chosen classification shapes the gradient
+    const buildRiskScoreColorExpression = () => {
+      const { hazard, component, scoreBreaks } = riskSelectionRef.current;
+      const property = getHazardPropertyNames(hazard, component).score;
+      const colors = pickRampColors(getHazardRamp(hazard, component), scoreBreaks.length - 1);
+      const stops = [];
+      colors.forEach((color, index) => {
+        const midpoint = (scoreBreaks[index] + scoreBreaks[index + 1]) / 2;
+        // Interpolation stops must strictly increase; tied breaks collapse into one stop
+        if (stops.length && midpoint <= stops[stops.length - 2]) return;
+        stops.push(midpoint, color);
+      });
+      if (stops.length < 4) {
+        return ['case', ['==', ['typeof', ['get', property]], 'number'], stops[1] || '#9e9e9e', '#9e9e9e'];
+      }
+      return [
+        'case',
+        ['==', ['typeof', ['get', property]], 'number'],
+        ['interpolate', ['linear'], ['get', property], ...stops],
+        '#9e9e9e'
+      ];
+    };
+
+    const riskColorExpression = riskSelectionRef.current.scoreMode
+      ? buildRiskScoreColorExpression()
+      : buildRiskRatingColorExpression();
     
-    // Build color expression for PRED3_PE (percentage values)
-    const buildPred3PEColorExpression = () => {
-      const pred3PEStats = stats.pred3PE;
-      if (!pred3PEStats || pred3PEStats.min === null || pred3PEStats.max === null) {
+    // Build color expression for the selected Community Resilience Estimates bucket and measure
+    const buildCreColorExpression = () => {
+      const { bucket, measure } = creSelectionRef.current;
+      const property = getCrePropertyName(bucket, measure);
+      const ramp = CRE_BUCKET_INFO[bucket].ramp;
+      const creStats = stats.cre?.[property];
+      if (!creStats || creStats.min === null || creStats.max === null) {
         return [
           'case',
-          ['==', ['typeof', ['get', '__pred3PE']], 'number'],
+          ['==', ['typeof', ['get', property]], 'number'],
           '#9e9e9e',
           '#9e9e9e'
         ];
       }
-      if (pred3PEStats.min === pred3PEStats.max) {
+      if (creStats.min === creStats.max) {
         return [
           'case',
-          ['==', ['typeof', ['get', '__pred3PE']], 'number'],
-          '#49006A',
+          ['==', ['typeof', ['get', property]], 'number'],
+          ramp[ramp.length - 1],
           '#9e9e9e'
         ];
       }
-      // Continuous color scale from light purple (low) to dark purple (high)
-      // Multiple color stops for better differentiation
-      const range = pred3PEStats.max - pred3PEStats.min;
+      // Continuous color scale across the bucket's ramp, evenly spaced between min and max
+      const range = creStats.max - creStats.min;
+      const stops = ramp.flatMap((color, index) => [
+        creStats.min + (range * index) / (ramp.length - 1),
+        color
+      ]);
+      return [
+        'case',
+        ['==', ['typeof', ['get', property]], 'number'],
+        ['interpolate', ['linear'], ['get', property], ...stops],
+        '#9e9e9e'
+      ];
+    };
+
+    const creColorExpression = buildCreColorExpression();
+
+    // Build color expression for the Social Vulnerability Index (quantile classes)
+    const buildVulnerabilityColorExpression = () => {
+      const breaks = stats.vulnerability?.breaks || [];
+      if (breaks.length < 2) {
+        return '#9e9e9e';
+      }
+      const steps = VULNERABILITY_INDEX_COLORS.slice(1).flatMap((color, index) => [breaks[index + 1], color]);
       return [
         'case',
-        ['==', ['typeof', ['get', '__pred3PE']], 'number'],
-        [
-          'interpolate',
-          ['linear'],
-          ['get', '__pred3PE'],
-          pred3PEStats.min, '#E8D4F5',        // Very light purple for minimum values
-          pred3PEStats.min + range * 0.1667, '#D4B3E8',  // Light purple
-          pred3PEStats.min + range * 0.3333, '#C298DB',  // Medium-light purple
-          pred3PEStats.min + range * 0.5, '#A866C7',     // Medium purple
-          pred3PEStats.min + range * 0.6667, '#7A3FA8',  // Medium-dark purple (darkened)
-          pred3PEStats.min + range * 0.8333, '#5A1D85',  // Dark purple (darkened)
-          pred3PEStats.max, '#2D0045'                     // Very dark purple for maximum values (darkened)
-        ],
+        ['==', ['typeof', ['get', '__vulnerabilityIndex']], 'number'],
+        ['step', ['get', '__vulnerabilityIndex'], VULNERABILITY_INDEX_COLORS[0], ...steps],
         '#9e9e9e'
       ];
     };
 
-    const pred3PEColorExpression = buildPred3PEColorExpression();
+    const vulnerabilityColorExpression = buildVulnerabilityColorExpression();
+
+    // Bivariate risk x resilience classes are precomputed on each tract ("<vulnerability>-<risk>")
+    const bivariateColorExpression = [
+      'match',
+      ['coalesce', ['get', '__bivariateClass'], ''],
+      ...BIVARIATE_COLORS.flatMap((row, vulnerabilityClass) => row.flatMap((color, riskClass) => [
+        `${vulnerabilityClass}-${riskClass}`,
+        color
+      ])),
+      '#9e9e9e'
+    ];
     const isVisible = censusVisibleRef.current;
     const riskVisibility = view === 'risk' && isVisible ? 'visible' : 'none';
-    const pred3PEVisibility = view === 'pred3pe' && isVisible ? 'visible' : 'none';
+    const creVisibility = view === 'cre' && isVisible ? 'visible' : 'none';
+    const vulnerabilityVisibility = view === 'vulnerability' && isVisible ? 'visible' : 'none';
+    const bivariateVisibility = view === 'bivariate' && isVisible ? 'visible' : 'none';
+    const { bucket: creBucketKey, showUncertainty, cvThreshold } = creSelectionRef.current;
+    const uncertaintyVisibility = view === 'cre' && isVisible && showUncertainty ? 'visible' : 'none';
+    // Hatch tracts whose selected bucket estimate is too noisy to rank on
+    const uncertaintyFilter = ['>=', ['coalesce', ['get', getCreCvPropertyName(creBucketKey)], -1], cvThreshold];
     const outlineVisibility = isVisible ? 'visible' : 'none';
+    // The CEJST overlay is independent of the selected modelling layer
+    const cejstVisibility = cejstVisibleRef.current ? 'visible' : 'none';
 
     if (map.current.getSource('census-tracts')) {
       map.current.getSource('census-tracts').setData(censusDataRef.current);
@@ -635,17 +939,41 @@ const App = () => {
       map.current.setLayoutProperty('census-tracts-risk', 'visibility', riskVisibility);
     }
 
-    // Add PRED3_PE layer
-    if (!map.current.getLayer('census-tracts-pred3pe')) {
+    // Add Community Resilience Estimates layer
+    if (!map.current.getLayer('census-tracts-cre')) {
+      map.current.addLayer({
+        id: 'census-tracts-cre',
+        type: 'fill',
+        source: 'census-tracts',
+        layout: {
+          visibility: creVisibility
+        },
+        paint: {
+          'fill-color': creColorExpression,
+          'fill-opacity': [
+            'case',
+            ['boolean', ['feature-state', 'hover'], false],
+            0.8,
+            0.6
+          ]
+        }
+      });
+    } else {
+      map.current.setPaintProperty('census-tracts-cre', 'fill-color', creColorExpression);
+      map.current.setLayoutProperty('census-tracts-cre', 'visibility', creVisibility);
+    }
+
+    // Add Social Vulnerability Index layer
+    if (!map.current.getLayer('census-tracts-vulnerability')) {
       map.current.addLayer({
-        id: 'census-tracts-pred3pe',
+        id: 'census-tracts-vulnerability',
         type: 'fill',
         source: 'census-tracts',
         layout: {
-          visibility: pred3PEVisibility
+          visibility: vulnerabilityVisibility
         },
         paint: {
-          'fill-color': pred3PEColorExpression,
+          'fill-color': vulnerabilityColorExpression,
           'fill-opacity': [
             'case',
             ['boolean', ['feature-state', 'hover'], false],
@@ -655,8 +983,124 @@ const App = () => {
         }
       });
     } else {
-      map.current.setPaintProperty('census-tracts-pred3pe', 'fill-color', pred3PEColorExpression);
-      map.current.setLayoutProperty('census-tracts-pred3pe', 'visibility', pred3PEVisibility);
+      map.current.setPaintProperty('census-tracts-vulnerability', 'fill-color', vulnerabilityColorExpression);
+      map.current.setLayoutProperty('census-tracts-vulnerability', 'visibility', vulnerabilityVisibility);
+    }
+
+    // Add bivariate risk x resilience layer
+    if (!map.current.getLayer('census-tracts-bivariate')) {
+      map.current.addLayer({
+        id: 'census-tracts-bivariate',
+        type: 'fill',
+        source: 'census-tracts',
+        layout: {
+          visibility: bivariateVisibility
+        },
+        paint: {
+          'fill-color': bivariateColorExpression,
+          'fill-opacity': [
+            'case',
+            ['boolean', ['feature-state', 'hover'], false],
+            0.85,
+            0.7
+          ]
+        }
+      });
+    } else {
+      map.current.setLayoutProperty('census-tracts-bivariate', 'visibility', bivariateVisibility);
+    }
+
+    // Uncertainty hatching drawn over the resilience layer
+    ensureHatchPattern(map.current, 'uncertainty-hatch', '#263238');
+    if (!map.current.getLayer('census-tracts-cre-uncertainty')) {
+      map.current.addLayer({
+        id: 'census-tracts-cre-uncertainty',
+        type: 'fill',
+        source: 'census-tracts',
+        filter: uncertaintyFilter,
+        layout: {
+          visibility: uncertaintyVisibility
+        },
+        paint: {
+          'fill-pattern': 'uncertainty-hatch',
+          'fill-opacity': 0.8
+        }
+      });
+    } else {
+      map.current.setFilter('census-tracts-cre-uncertainty', uncertaintyFilter);
+      map.current.setLayoutProperty('census-tracts-cre-uncertainty', 'visibility', uncertaintyVisibility);
+    }
+
+    // High-risk tracts without projects (gap analysis highlight)
+    const gapFilter = ['in', ['get', '__geoid'], ['literal', gapGeoidsRef.current]];
+    const gapVisibility = gapVisibleRef.current ? 'visible' : 'none';
+    if (!map.current.getLayer('census-tracts-gaps')) {
+      map.current.addLayer({
+        id: 'census-tracts-gaps',
+        type: 'fill',
+        source: 'census-tracts',
+        filter: gapFilter,
+        layout: {
+          visibility: gapVisibility
+        },
+        paint: {
+          'fill-color': '#D50000',
+          'fill-opacity': 0.25
+        }
+      });
+      map.current.addLayer({
+        id: 'census-tracts-gaps-outline',
+        type: 'line',
+        source: 'census-tracts',
+        filter: gapFilter,
+        layout: {
+          visibility: gapVisibility
+        },
+        paint: {
+          'line-color': '#D50000',
+          'line-width': 2.5
+        }
+      });
+    } else {
+      ['census-tracts-gaps', 'census-tracts-gaps-outline'].forEach((layerId) => {
+        map.current.setFilter(layerId, gapFilter);
+        map.current.setLayoutProperty(layerId, 'visibility', gapVisibility);
+      });
+    }
+
+    // CEJST disadvantaged communities: hatched fill plus outline, stacked above every modelling layer
+    ensureHatchPattern(map.current, 'cejst-hatch', '#B71C1C');
+    if (!map.current.getLayer('census-tracts-cejst')) {
+      map.current.addLayer({
+        id: 'census-tracts-cejst',
+        type: 'fill',
+        source: 'census-tracts',
+        filter: ['==', ['get', '__cejstDisadvantaged'], true],
+        layout: {
+          visibility: cejstVisibility
+        },
+        paint: {
+          'fill-pattern': 'cejst-hatch',
+          'fill-opacity': 0.7
+        }
+      });
+      map.current.addLayer({
+        id: 'census-tracts-cejst-outline',
+        type: 'line',
+        source: 'census-tracts',
+        filter: ['==', ['get', '__cejstDisadvantaged'], true],
+        layout: {
+          visibility: cejstVisibility
+        },
+        paint: {
+          'line-color': '#B71C1C',
+          'line-width': 1.5,
+          'line-opacity': 0.8
+        }
+      });
+    } else {
+      map.current.setLayoutProperty('census-tracts-cejst', 'visibility', cejstVisibility);
+      map.current.setLayoutProperty('census-tracts-cejst-outline', 'visibility', cejstVisibility);
     }
 
     // Removed: census-tracts-population layer - population layer disabled
@@ -742,7 +1186,7 @@ const App = () => {
     }
 
     if (!censusEventsBoundRef.current) {
-      const censusLayerIds = ['census-tracts-risk', 'census-tracts-pred3pe'];
+      const censusLayerIds = ['census-tracts-risk', 'census-tracts-cre', 'census-tracts-vulnerability', 'census-tracts-bivariate'];
 
       const handleHover = (e) => {
         if (!map.current) return;
@@ -786,7 +1230,59 @@ const App = () => {
         const tractName = props['L0Census_Tracts.NAME'] || 'Census Tract';
         const tractId = props['L0Census_Tracts.GEOID'] || feature.id || 'N/A';
         const riskRating = props['__riskRating'] || props['T_FEMA_National_Risk_Index_$_.FEMAIndexRating'] || 'Not Rated';
-        const pred3PE = props['__pred3PE'];
+        const crePopulation = props['__crePopulation'];
+        const vulnerabilityIndex = props['__vulnerabilityIndex'];
+        const cejstDisadvantaged = props['__cejstDisadvantaged'];
+        const bivariateLabel = describeBivariateClass(props['__bivariateClass']);
+        const { hazard: popupHazard } = riskSelectionRef.current;
+        // Rating components of the selected hazard, plus the tract-wide vulnerability and resilience
+        const hazardRows = [
+          ...getHazardComponents(popupHazard).filter(component => !['sovi', 'resl'].includes(component))
+            .map(component => [popupHazard, component]),
+          ['ALL', 'sovi'],
+          ['ALL', 'resl']
+        ]
+          .map(([hazard, component]) => {
+            const names = getHazardPropertyNames(hazard, component);
+            return { component, rating: props[names.rating], score: props[names.score], loss: props[names.loss] };
+          })
+          .filter(row => row.rating && !(popupHazard === 'ALL' && row.component === 'risk'));
+        const hazardRowsHtml = hazardRows.map(row => `
+              <tr>
+                <td style="padding: 2px 0;">${NRI_COMPONENTS[row.component].label}</td>
+                <td style="padding: 2px 0 2px 8px;">${row.rating}</td>
+                <td style="padding: 2px 0 2px 8px; text-align: right;">${typeof row.score === 'number' ? row.score.toFixed(1) : 'N/A'}</td>
+              </tr>
+              ${typeof row.loss === 'number' ? `
+              <tr style="color: #546e7a;">
+                <td colspan="3" style="padding: 0 0 2px 8px;">Expected annual loss: $${Math.round(row.loss).toLocaleString()}</td>
+              </tr>
+              ` : ''}`).join('');
+        const vulnerabilityBreaks = censusStatsRef.current?.vulnerability?.breaks || [];
+        const vulnerabilityClass = typeof vulnerabilityIndex === 'number'
+          ? getClassIndex(vulnerabilityIndex, vulnerabilityBreaks)
+          : -1;
+        const { bucket: activeBucket, cvThreshold: popupCvThreshold } = creSelectionRef.current;
+        const hasCre = CRE_BUCKETS.some(bucket => typeof props[getCrePropertyName(bucket, 'percent')] === 'number');
+        const formatCreValue = (value, moe, suffix = '', digits = 0) => {
+          if (typeof value !== 'number') return 'N/A';
+          const formatted = `${value.toLocaleString(undefined, { maximumFractionDigits: digits })}${suffix}`;
+          return typeof moe === 'number'
+            ? `${formatted} <span style="color: #90a4ae;">± ${moe.toLocaleString(undefined, { maximumFractionDigits: digits })}</span>`
+            : formatted;
+        };
+        const creRowsHtml = CRE_BUCKETS.map((bucket) => {
+          const isActive = censusViewRef.current === 'cre' && bucket === activeBucket;
+          const cv = props[getCreCvPropertyName(bucket)];
+          const isUnreliable = typeof cv === 'number' && cv >= popupCvThreshold;
+          return `
+              <tr style="font-weight: ${isActive ? 700 : 400};">
+                <td style="padding: 2px 0;">${CRE_BUCKET_INFO[bucket].shortLabel}</td>
+                <td style="padding: 2px 0 2px 8px; text-align: right;">${formatCreValue(props[getCrePropertyName(bucket, 'estimate')], props[getCrePropertyName(bucket, 'moe')])}</td>
+                <td style="padding: 2px 0 2px 8px; text-align: right;">${formatCreValue(props[getCrePropertyName(bucket, 'percent')], props[getCrePropertyName(bucket, 'percentMoe')], '%', 1)}</td>
+                <td style="padding: 2px 0 2px 8px; text-align: right; color: ${isUnreliable ? '#c0392b' : 'inherit'};">${typeof cv === 'number' ? `${Math.round(cv * 100)}%` : 'N/A'}</td>
+              </tr>`;
+        }).join('');
         // Removed: riskIndexRaw - only showing rating now
 
         const popupHtml = `
@@ -798,12 +1294,52 @@ const App = () => {
               <span style="font-weight: 600;">FEMA Risk Rating:</span>
               <span style="margin-left: 6px;">${riskRating}</span>
             </div>
-            ${pred3PE !== null && pred3PE !== undefined ? `
-            <div style="font-size: 0.9em; color: #1b3a4b; margin-bottom: 12px;">
-              <span style="font-weight: 600;">Resilience Index:</span>
-              <span style="margin-left: 6px;">${pred3PE.toFixed(2)}%</span>
+            ${hazardRows.length ? `
+            <div style="font-size: 0.9em; font-weight: 600; color: #1b3a4b; margin: 10px 0 4px;">${NRI_HAZARDS[popupHazard].label}</div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.8em; color: #1b3a4b;">
+              <tr style="color: #546e7a;">
+                <th style="text-align: left; font-weight: 600; padding-bottom: 2px;">Component</th>
+                <th style="text-align: left; font-weight: 600; padding: 0 0 2px 8px;">Rating</th>
+                <th style="text-align: right; font-weight: 600; padding: 0 0 2px 8px;">Score</th>
+              </tr>
+              ${hazardRowsHtml}
+            </table>
+            ` : ''}
+            ${typeof vulnerabilityIndex === 'number' ? `
+            <div style="font-size: 0.9em; color: #1b3a4b; margin-bottom: 4px;">
+              <span style="font-weight: 600;">Social Vulnerability Index:</span>
+              <span style="margin-left: 6px;">${vulnerabilityIndex.toFixed(3)}</span>
+              ${vulnerabilityClass !== -1 ? `<span style="margin-left: 4px; color: #546e7a;">(quintile ${vulnerabilityClass + 1} of ${vulnerabilityBreaks.length - 1})</span>` : ''}
+            </div>
+            ` : ''}
+            ${censusViewRef.current === 'bivariate' && bivariateLabel ? `
+            <div style="font-size: 0.9em; color: #1b3a4b; margin-bottom: 4px;">
+              <span style="font-weight: 600;">Risk × Resilience:</span>
+              <span style="margin-left: 6px;">${bivariateLabel}</span>
+            </div>
+            ` : ''}
+            ${typeof cejstDisadvantaged === 'boolean' ? `
+            <div style="font-size: 0.9em; color: #1b3a4b; margin-bottom: 4px;">
+              <span style="font-weight: 600;">CEJST:</span>
+              <span style="margin-left: 6px; color: ${cejstDisadvantaged ? '#B71C1C' : 'inherit'};">${cejstDisadvantaged ? 'Disadvantaged community' : 'Not disadvantaged'}</span>
             </div>
             ` : ''}
+            ${hasCre ? `
+            <div style="font-size: 0.9em; font-weight: 600; color: #1b3a4b; margin: 10px 0 4px;">Community Resilience Estimates</div>
+            ${typeof crePopulation === 'number' ? `
+            <div style="font-size: 0.8em; color: #546e7a; margin-bottom: 4px;">Population universe: ${crePopulation.toLocaleString()}</div>
+            ` : ''}
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.8em; color: #1b3a4b;">
+              <tr style="color: #546e7a;">
+                <th style="text-align: left; font-weight: 600; padding-bottom: 2px;">Residents with</th>
+                <th style="text-align: right; font-weight: 600; padding: 0 0 2px 8px;">Count</th>
+                <th style="text-align: right; font-weight: 600; padding: 0 0 2px 8px;">Share</th>
+                <th style="text-align: right; font-weight: 600; padding: 0 0 2px 8px;" title="Coefficient of variation">CV</th>
+              </tr>
+              ${creRowsHtml}
+            </table>
+            <div style="font-size: 0.75em; color: #90a4ae; margin-top: 4px;">± 90% margin of error. CV in red is at or above ${Math.round(popupCvThreshold * 100)}%.</div>
+            ` : ''}
           </div>
         `;
 
@@ -830,6 +1366,82 @@ const App = () => {
     setCensusLayersReady(true);
   }, []);
 
+  // Add (or refresh) the color-coded inventory diff points
+  const addDiffSourceAndLayer = useCallback(() => {
+    if (!map.current || !diffGeojsonRef.current) return;
+
+    const visibility = diffVisibleRef.current ? 'visible' : 'none';
+
+    if (map.current.getSource('inventory-diff')) {
+      map.current.getSource('inventory-diff').setData(diffGeojsonRef.current);
+    } else {
+      map.current.addSource('inventory-diff', {
+        type: 'geojson',
+        data: diffGeojsonRef.current
+      });
+    }
+
+    if (!map.current.getLayer('inventory-diff')) {
+      map.current.addLayer({
+        id: 'inventory-diff',
+        type: 'circle',
+        source: 'inventory-diff',
+        layout: {
+          visibility
+        },
+        paint: {
+          'circle-radius': 7,
+          'circle-color': [
+            'match',
+            ['get', 'status'],
+            DIFF_STATUS.ADDED, DIFF_STATUS_COLORS.added,
+            DIFF_STATUS.REMOVED, DIFF_STATUS_COLORS.removed,
+            DIFF_STATUS.MODIFIED, DIFF_STATUS_COLORS.modified,
+            DIFF_STATUS_COLORS.unchanged
+          ],
+          'circle-stroke-color': '#ffffff',
+          'circle-stroke-width': 2
+        }
+      });
+    } else {
+      map.current.setLayoutProperty('inventory-diff', 'visibility', visibility);
+    }
+
+    if (!diffEventsBoundRef.current) {
+      map.current.on('click', 'inventory-diff', (e) => {
+        const feature = e.features && e.features[0];
+        const entry = feature && diffResultRef.current?.entries[feature.properties.entryIndex];
+        if (!entry || !map.current) return;
+
+        const changesHtml = entry.changes.length
+          ? `<ul style="margin: 0; padding-left: 18px;">${entry.changes
+            .map(change => `<li style="margin-bottom: 4px;">${escapeHtml(describeDiffChange(change))}</li>`)
+            .join('')}</ul>`
+          : '';
+
+        const popupHtml = `
+          <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; min-width: 220px; max-width: 320px;">
+            <div style="font-size: 1.05em; font-weight: 700; color: #1b3a4b; margin-bottom: 4px;">${escapeHtml(entry.name || 'Unnamed Project')}</div>
+            <div style="font-size: 0.85em; font-weight: 600; color: ${DIFF_STATUS_COLORS[entry.status]}; margin-bottom: 8px;">${DIFF_STATUS_LABELS[entry.status]}</div>
+            <div style="font-size: 0.85em; color: #1b3a4b;">${changesHtml}</div>
+          </div>
+        `;
+
+        new mapboxgl.Popup({ closeButton: true, closeOnClick: true })
+          .setLngLat(e.lngLat)
+          .setHTML(popupHtml)
+          .addTo(map.current);
+      });
+      map.current.on('mouseenter', 'inventory-diff', () => {
+        if (map.current) map.current.getCanvas().style.cursor = 'pointer';
+      });
+      map.current.on('mouseleave', 'inventory-diff', () => {
+        if (map.current) map.current.getCanvas().style.cursor = '';
+      });
+      diffEventsBoundRef.current = true;
+    }
+  }, []);
+
   // Toggle between satellite and standard map
   const toggleMapStyle = () => {
     if (!map.current) return;
@@ -901,6 +1513,7 @@ const App = () => {
       }
 
       addCensusSourceAndLayers();
+      addDiffSourceAndLayer();
     });
     
     map.current.setStyle(newStyle);
@@ -989,9 +1602,9 @@ const App = () => {
 
     map.current = new mapboxgl.Map({
       container: mapContainer.current,
-      style: 'mapbox://styles/mapbox/light-v11',
-      center: [-80.70, 26.15],
-      zoom: 11,
+      style: initialUrlStateRef.current.satellite ? 'mapbox://styles/mapbox/satellite-v9' : 'mapbox://styles/mapbox/light-v11',
+      center: initialUrlStateRef.current.center || [-80.70, 26.15],
+      zoom: initialUrlStateRef.current.zoom ?? 11,
       attributionControl: false
     });
 
@@ -1070,92 +1683,346 @@ const App = () => {
         setLoading(false);
       }
 
-      try {
-        const response = await fetch('/Cities_FeaturesToJSON.geojson');
+      setMapReady(true);
 
-        if (!response.ok) {
-          throw new Error(`Failed to load project data: ${response.status}`);
+      // Load each index dataset on its own so one missing file doesn't take down the others
+      const sourceStatus = {};
+      const recordSourceStatus = (key, result) => {
+        sourceStatus[key] = { status: result.status, url: result.url, attempts: result.attempts };
+        if (result.status !== SOURCE_STATUS.LOADED) {
+          console.warn(`[Index] ${key} ${result.status}:`, result.attempts.map(attempt => attempt.reason || attempt.url));
         }
+      };
 
-        const data = await response.json();
-        console.log('[Projects] Loaded Cities_FeaturesToJSON.geojson:', data.features.length, 'features');
-        console.log('[Projects] Sample properties:', data.features[0]?.properties ? Object.keys(data.features[0].properties).slice(0, 10) : 'No properties');
-        console.log('[Projects] Sample Infrastruc value:', data.features[0]?.properties?.Infrastruc);
-        console.log('[Projects] Sample NAME (city) value:', data.features[0]?.properties?.NAME);
-        setAllProjectsData(data);
+      const creResult = await loadFirstAvailable(INDEX_SOURCES.resilience, {
+        load: loadCommunityResilience,
+        validate: requireRecords('census tract rows')
+      });
+      recordSourceStatus('resilience', creResult);
+      if (creResult.data) {
+        const { byGeoid, count, skipped } = creResult.data;
+        creDataRef.current = byGeoid;
+        console.log(`[CRE] Loaded ${count} census tract records${skipped ? ` (${skipped} rows without a GEOID skipped)` : ''}`);
+      }
 
-        map.current.addSource('projects', {
-          type: 'geojson',
-          data: data
-        });
+      // Social Vulnerability Index values (joined to tracts by GEOID below)
+      const vulnerabilityResult = await loadFirstAvailable(INDEX_SOURCES.vulnerability, {
+        load: loadVulnerabilityIndex,
+        validate: requireRecords('vulnerability values')
+      });
+      recordSourceStatus('vulnerability', vulnerabilityResult);
+      if (vulnerabilityResult.data) {
+        const { byGeoid, count, skipped } = vulnerabilityResult.data;
+        vulnerabilityDataRef.current = byGeoid;
+        console.log(`[SVI] Loaded ${count} census tract values${skipped ? ` (${skipped} rows skipped)` : ''}`);
+      }
+
+      // CEJST disadvantaged community flags (repairs the export's lost header row)
+      const cejstResult = await loadFirstAvailable(INDEX_SOURCES.cejst, {
+        load: loadCejst,
+        validate: requireRecords('CEJST flags')
+      });
+      recordSourceStatus('cejst', cejstResult);
+      if (cejstResult.data) {
+        const { byGeoid, count, disadvantagedCount, skipped, recoveredHeader } = cejstResult.data;
+        cejstDataRef.current = byGeoid;
+        console.log(`[CEJST] Loaded ${count} census tract flags, ${disadvantagedCount} disadvantaged${recoveredHeader ? ' (recovered header row)' : ''}${skipped ? `, ${skipped} rows skipped` : ''}`);
+      }
+
+      // Tract polygons every layer is drawn on
+      const boundariesResult = await loadFirstAvailable(INDEX_SOURCES.boundaries, {
+        validate: validateTractBoundaries
+      });
+      recordSourceStatus('boundaries', boundariesResult);
+
+      // FEMA ratings: reuse the boundary file when it carries them, otherwise fall back to the SCALE-R export
+      const riskResult = await loadFirstAvailable(INDEX_SOURCES.risk, {
+        load: async (url) => {
+          const collection = url === boundariesResult.url ? boundariesResult.data : await fetchSource(url);
+          return { ...parseRiskIndex(collection), hazards: parseHazardIndex(collection) };
+        },
+        validate: requireRecords('FEMA risk ratings')
+      });
+      recordSourceStatus('risk', riskResult);
+      const riskByGeoid = riskResult.data?.byGeoid || {};
+      const hazardIndex = riskResult.data?.hazards || { byGeoid: {}, available: {} };
+      if (riskResult.data) {
+        console.log(`[NRI] Loaded ${riskResult.data.count} census tract ratings from ${riskResult.url}`);
+        console.log('[NRI] Hazard components available:', hazardIndex.available);
+      }
+
+      setIndexSourceStatus(sourceStatus);
+
+      if (!boundariesResult.data) {
+        console.error('Census tract boundaries unavailable; modelling layers disabled');
+        return;
+      }
+
+      try {
+        const rawGeojson = boundariesResult.data;
+        const reprojected = reprojectFeatureCollectionIfNeeded(rawGeojson);
+        const processedFeatures = (reprojected.features || []).map((feature, index) => {
+          const properties = { ...(feature.properties || {}) };
+          const populationValue = parseNumericValue(
+            properties['T_CENSUS_Community_Resilience_Est$_.Total_population__excludes_adult_correctional_juvenile_facilitie']
+          );
+          const geoid = normalizeGeoid(properties['L0Census_Tracts.GEOID']);
+          const creRecord = geoid ? creDataRef.current[geoid] : null;
+          const riskRating = geoid ? riskByGeoid[geoid]?.rating ?? null : null;
 
-        // Create invisible buffer zones around each marker
-        const bufferFeatures = data.features.map((feature, index) => {
-          const coordinates = feature.geometry.coordinates;
-          const circleCoords = createCircleBuffer(coordinates, 30); // 30 meter radius buffer
           return {
-            type: 'Feature',
-            id: `marker-buffer-${index}`,
-            geometry: {
-              type: 'Polygon',
-              coordinates: [circleCoords]
-            },
+            ...feature,
+            id: feature.id ?? geoid ?? index,
             properties: {
-              markerIndex: index
+              ...properties,
+              __geoid: geoid,
+              __riskRating: riskRating,
+              __riskScore: geoid ? riskByGeoid[geoid]?.score ?? null : null,
+              __population: populationValue,
+              __crePopulation: creRecord?.population ?? null,
+              __vulnerabilityIndex: geoid ? vulnerabilityDataRef.current[geoid] ?? null : null,
+              __cejstDisadvantaged: geoid ? cejstDataRef.current[geoid] ?? null : null,
+              ...getCreTractProperties(creRecord),
+              ...getHazardTractProperties(geoid ? hazardIndex.byGeoid[geoid] : null)
             }
           };
         });
 
-        const bufferGeoJSON = {
-          type: 'FeatureCollection',
-          features: bufferFeatures
+        const processedGeojson = {
+          ...reprojected,
+          features: processedFeatures
         };
 
-        // Add buffer zones as an invisible layer to intercept mouse events
-        map.current.addSource('marker-buffers', {
-          type: 'geojson',
-          data: bufferGeoJSON
+        const riskRatings = processedFeatures
+          .map(feature => feature.properties.__riskRating)
+          .filter(value => value !== null && value !== undefined);
+        const populationValues = processedFeatures
+          .map(feature => feature.properties.__population)
+          .filter(value => Number.isFinite(value));
+        // Range of every bucket/measure combination the layer can display
+        const creStats = {};
+        CRE_BUCKETS.forEach((bucket) => {
+          CRE_DISPLAY_MEASURES.forEach((measure) => {
+            const property = getCrePropertyName(bucket, measure);
+            creStats[property] = getRangeStats(processedFeatures
+              .map(feature => feature.properties[property])
+              .filter(value => Number.isFinite(value)));
+          });
         });
 
-        // Buffer layer will be added in addCensusSourceAndLayers after census layers
+        // Get unique risk ratings for stats
+        const uniqueRatings = [...new Set(riskRatings)];
+        // Hazard sub-layers offered in the picker; the composite rating is always first
+        const hazardAvailability = { ...hazardIndex.available };
+        if (riskRatings.length) {
+          hazardAvailability.ALL = ['risk', ...(hazardAvailability.ALL || [])];
+        }
+        const riskStats = { ratings: uniqueRatings, count: riskRatings.length, hazards: hazardAvailability };
+        const populationStats = getRangeStats(populationValues);
 
-        const markers = [];
-        data.features.forEach(feature => {
-          const geometry = feature.geometry;
-          const coordinates = geometry && geometry.coordinates;
-          // Skip features without valid point coordinates
-          if (
-            !geometry ||
-            geometry.type !== 'Point' ||
-            !Array.isArray(coordinates) ||
-            coordinates.length < 2 ||
-            typeof coordinates[0] !== 'number' ||
-            typeof coordinates[1] !== 'number' ||
-            !Number.isFinite(coordinates[0]) ||
-            !Number.isFinite(coordinates[1])
-          ) {
-            console.warn('[Projects] Skipping feature with invalid coordinates:', feature.id);
-            return;
+        const riskMissing = processedFeatures.length - riskRatings.length;
+        const populationMissing = processedFeatures.length - populationValues.length;
+        const vulnerabilityValues = processedFeatures
+          .map(feature => feature.properties.__vulnerabilityIndex)
+          .filter(value => Number.isFinite(value));
+        const vulnerabilityStats = {
+          ...getRangeStats(vulnerabilityValues),
+          breaks: getQuantileBreaks(vulnerabilityValues, VULNERABILITY_INDEX_COLORS.length)
+        };
+        const vulnerabilityMissing = processedFeatures.length - vulnerabilityValues.length;
+
+        // Bivariate classes: risk rating x terciles of the 3+ risk factor share
+        const bivariateBreaks = getQuantileBreaks(processedFeatures
+          .map(feature => feature.properties[getCrePropertyName('PRED3', 'percent')]), 3);
+        processedFeatures.forEach((feature) => {
+          feature.properties.__bivariateClass = getBivariateClass(
+            feature.properties.__riskRating,
+            feature.properties[getCrePropertyName('PRED3', 'percent')],
+            bivariateBreaks
+          );
+        });
+        const bivariateStats = {
+          breaks: bivariateBreaks,
+          classified: processedFeatures.filter(feature => feature.properties.__bivariateClass).length
+        };
+        const cejstStats = {
+          disadvantaged: processedFeatures.filter(feature => feature.properties.__cejstDisadvantaged === true).length,
+          missing: processedFeatures.filter(feature => typeof feature.properties.__cejstDisadvantaged !== 'boolean').length
+        };
+        const creMissing = processedFeatures
+          .filter(feature => !Number.isFinite(feature.properties[getCrePropertyName('PRED3', 'percent')])).length;
+
+        censusDataRef.current = processedGeojson;
+        const statsPayload = {
+          risk: riskStats,
+          population: populationStats,
+          cre: creStats,
+          vulnerability: vulnerabilityStats,
+          cejst: cejstStats,
+          bivariate: bivariateStats,
+          counts: {
+            total: processedFeatures.length,
+            missingRisk: riskMissing,
+            missingPopulation: populationMissing,
+            missingCre: creMissing,
+            missingVulnerability: vulnerabilityMissing
           }
+        };
+        censusStatsRef.current = statsPayload;
+        setCensusStats(statsPayload);
+        addCensusSourceAndLayers();
 
-          const properties = feature.properties;
-          
-          // Normalize city property by trimming whitespace (use NAME field, fallback to City)
-          const cityField = properties['NAME'] || properties['City'];
-          if (cityField) {
-            if (properties['NAME']) {
-              properties['NAME'] = properties['NAME'].trim();
+        const bounds = new mapboxgl.LngLatBounds();
+        let hasBounds = false;
+        processedFeatures.forEach(feature => {
+          if (!feature.geometry) return;
+          walkCoordinates(feature.geometry, coord => {
+            if (!hasBounds) {
+              bounds.set(coord, coord);
+              hasBounds = true;
+            } else {
+              bounds.extend(coord);
             }
-            if (properties['City']) {
-              properties['City'] = properties['City'].trim();
+          });
+        });
+
+        // A shared link already says where to look
+        const restoresLinkedView = initialUrlStateRef.current.center || initialUrlStateRef.current.project;
+        if (hasBounds && !restoresLinkedView) {
+          map.current.fitBounds(bounds, { padding: { top: 10, bottom: 300, left: 350, right: 10 }, duration: 1200 });
+        }
+
+        console.groupCollapsed('[Census] Census Tract Data Summary');
+        console.log('Total tracts loaded:', processedFeatures.length);
+        console.log('FEMA Risk Ratings found:', uniqueRatings);
+        console.log('Population range:', populationStats.min, populationStats.max);
+        if (riskMissing > 0) {
+          console.warn(`Missing FEMA Risk Rating for ${riskMissing} tracts`, processedFeatures
+            .filter(feature => !feature.properties.__riskRating)
+            .slice(0, 10)
+            .map(feature => feature.properties['L0Census_Tracts.GEOID'] || feature.id));
+        }
+        if (populationMissing > 0) {
+          console.warn(`Missing population for ${populationMissing} tracts`, processedFeatures
+            .filter(feature => !Number.isFinite(feature.properties.__population))
+            .slice(0, 10)
+            .map(feature => feature.properties['L0Census_Tracts.GEOID'] || feature.id));
+        }
+        if (creMissing > 0) {
+          console.warn(`Missing Community Resilience Estimates for ${creMissing} tracts`);
+        }
+        if (vulnerabilityMissing > 0) {
+          console.warn(`Missing Social Vulnerability Index for ${vulnerabilityMissing} tracts`);
+        }
+        if (cejstStats.missing > 0) {
+          console.warn(`Missing CEJST flag for ${cejstStats.missing} tracts`);
+        }
+        console.groupEnd();
+        console.info('[Census] Census tract layers added successfully');
+      } catch (censusError) {
+        console.error('Error loading census tract data:', censusError);
+      }
+    });
+  }, [addCensusSourceAndLayers]);
+
+  // Load the active project inventory and rebuild markers whenever the dataset changes
+  useEffect(() => {
+    if (!mapReady || !map.current) return;
+
+    const dataset = getProjectDataset(activeDatasetId);
+    const isInitialLoad = projectMarkersRef.current.length === 0;
+    let cancelled = false;
+
+    const loadProjects = async () => {
+      try {
+        const { data, projects, report } = await loadProjectInventory(dataset.url, { fieldMap: dataset.fieldMap });
+        if (cancelled || !map.current) return;
+
+        console.groupCollapsed(`[Projects] ${dataset.url} schema report`);
+        console.log('Features loaded:', report.featureCount);
+        console.log('Fields mapped from:', report.mappedFrom);
+        if (report.missingCoordinates > 0) {
+          console.warn(`Missing coordinates for ${report.missingCoordinates} projects`);
+        }
+        if (report.unmappedFields.length > 0) {
+          console.warn('Unmapped fields:', report.unmappedFields);
+        }
+        if (report.conflicts.length > 0) {
+          console.warn('Conflicting fields:', report.conflicts);
+        }
+        console.groupEnd();
+
+        // Remove markers from the previously loaded inventory
+        projectMarkersRef.current.forEach(marker => marker.remove());
+        projectMarkersRef.current = [];
+        setActiveFeature(null);
+
+        setAllProjectsData(data);
+        setAllProjects(projects);
+
+        const mappableProjects = projects.filter(project => project.coordinates);
+
+        if (map.current.getSource('projects')) {
+          map.current.getSource('projects').setData(data);
+        } else {
+          map.current.addSource('projects', {
+            type: 'geojson',
+            data: data
+          });
+        }
+
+        // Create invisible buffer zones around each marker
+        const bufferFeatures = mappableProjects.map((project, index) => {
+          const circleCoords = createCircleBuffer(project.coordinates, 30); // 30 meter radius buffer
+          return {
+            type: 'Feature',
+            id: `marker-buffer-${index}`,
+            geometry: {
+              type: 'Polygon',
+              coordinates: [circleCoords]
+            },
+            properties: {
+              markerIndex: index
             }
-          }
+          };
+        });
+
+        const bufferGeoJSON = {
+          type: 'FeatureCollection',
+          features: bufferFeatures
+        };
+
+        // Add buffer zones as an invisible layer to intercept mouse events
+        if (map.current.getSource('marker-buffers')) {
+          map.current.getSource('marker-buffers').setData(bufferGeoJSON);
+        } else {
+          map.current.addSource('marker-buffers', {
+            type: 'geojson',
+            data: bufferGeoJSON
+          });
+        }
+
+        // Buffer layer is added in addCensusSourceAndLayers after census layers (no-op until census data loads)
+        addCensusSourceAndLayers();
 
+        const markers = [];
+        mappableProjects.forEach(project => {
+          const feature = project.feature;
           const marker = new mapboxgl.Marker({
-            color: getMarkerColor(properties['Infrastruc'] || properties['Infrastructure Type'] || properties['Type']),
+            color: getMarkerColor(project.type),
             scale: isMobileRef.current ? 0.5 : 0.7
           })
-            .setLngLat(coordinates);
+            .setLngLat(project.coordinates);
+
+          // Status badge on the pin head
+          const statusBadge = document.createElement('div');
+          Object.assign(statusBadge.style, getStatusBadgeStyle(project.statusGroup, isMobileRef.current ? 7 : 9), {
+            position: 'absolute',
+            top: '0px',
+            right: '-2px',
+            pointerEvents: 'none'
+          });
+          marker.getElement().appendChild(statusBadge);
 
           marker.getElement().addEventListener('click', (e) => {
             e.stopPropagation();
@@ -1195,10 +2062,12 @@ const App = () => {
           markers.push(marker);
         });
 
+        projectMarkersRef.current = markers;
         setAllMarkers(markers);
 
-        // Use marker positions (valid points only) to compute initial bounds
-        if (markers.length > 0) {
+        // Use marker positions (valid points only) to compute initial bounds, unless a shared link set the view
+        const restoresLinkedView = isInitialLoad && (initialUrlStateRef.current.center || initialUrlStateRef.current.project);
+        if (markers.length > 0 && !restoresLinkedView) {
           const bounds = new mapboxgl.LngLatBounds();
           markers.forEach(marker => {
             const coords = marker.getLngLat();
@@ -1210,197 +2079,116 @@ const App = () => {
             map.current.fitBounds(shiftedBounds, { 
               padding: { top: 10, bottom: 300, left: 200, right: 10 },
               maxZoom: 13,
-              duration: 0 // No animation on initial load
+              duration: isInitialLoad ? 0 : 1500 // No animation on initial load
             });
           }
         }
 
         setLoading(false);
       } catch (err) {
+        if (cancelled) return;
         console.error('Error loading project data:', err);
         setError('Unable to load project data. Please ensure the GeoJSON file is available or use a CORS proxy.');
         setLoading(false);
       }
+    };
 
-      // Load FL_CRE.csv data
-      try {
-        const csvResponse = await fetch('/FL_CRE.csv');
-        if (csvResponse.ok) {
-          const csvText = await csvResponse.text();
-          const lines = csvText.split('\n').filter(line => line.trim());
-          
-          // Simple CSV parser that handles quoted fields
-          const parseCSVLine = (line) => {
-            const result = [];
-            let current = '';
-            let inQuotes = false;
-            for (let i = 0; i < line.length; i++) {
-              const char = line[i];
-              if (char === '"') {
-                inQuotes = !inQuotes;
-              } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-              } else {
-                current += char;
-              }
-            }
-            result.push(current.trim());
-            return result;
-          };
-          
-          const headers = parseCSVLine(lines[0]);
-          const geoIdIndex = headers.indexOf('GEO_ID');
-          const pred3PEIndex = headers.indexOf('PRED3_PE');
-          
-          const pred3PEMap = {};
-          for (let i = 1; i < lines.length; i++) {
-            if (!lines[i].trim()) continue;
-            const values = parseCSVLine(lines[i]);
-            if (values.length > Math.max(geoIdIndex, pred3PEIndex)) {
-              const geoId = values[geoIdIndex]?.trim();
-              const pred3PE = parseFloat(values[pred3PEIndex]?.trim());
-              
-              if (geoId && !isNaN(pred3PE)) {
-                // Convert "1400000US12086000107" to "12086000107"
-                const geoid = geoId.replace('1400000US', '');
-                pred3PEMap[geoid] = pred3PE;
-              }
-            }
-          }
-          pred3PEDataRef.current = pred3PEMap;
-          console.log(`[PRED3_PE] Loaded ${Object.keys(pred3PEMap).length} census tract values`);
-        }
-      } catch (csvError) {
-        console.warn('Error loading FL_CRE.csv:', csvError);
-      }
-
-      try {
-        const response = await fetch('/femaindex.geojson');
-        if (!response.ok) {
-          throw new Error(`Failed to load census tract data: ${response.status}`);
-        }
-
-        const rawGeojson = await response.json();
-        const reprojected = reprojectFeatureCollectionIfNeeded(rawGeojson);
-        const processedFeatures = (reprojected.features || []).map((feature, index) => {
-          const properties = { ...(feature.properties || {}) };
-          const riskRating = properties['T_FEMA_National_Risk_Index_$_.FEMAIndexRating'] || null;
-          const populationValue = parseNumericValue(
-            properties['T_CENSUS_Community_Resilience_Est$_.Total_population__excludes_adult_correctional_juvenile_facilitie']
-          );
-          const geoid = properties['L0Census_Tracts.GEOID'];
-          const pred3PE = geoid ? pred3PEDataRef.current[geoid] : null;
-
-          return {
-            ...feature,
-            id: feature.id ?? geoid ?? index,
-            properties: {
-              ...properties,
-              __riskRating: riskRating,
-              __population: populationValue,
-              __pred3PE: pred3PE !== null && pred3PE !== undefined ? pred3PE : null
-            }
-          };
-        });
-
-        const processedGeojson = {
-          ...reprojected,
-          features: processedFeatures
-        };
-
-        const riskRatings = processedFeatures
-          .map(feature => feature.properties.__riskRating)
-          .filter(value => value !== null && value !== undefined);
-        const populationValues = processedFeatures
-          .map(feature => feature.properties.__population)
-          .filter(value => Number.isFinite(value));
-        const pred3PEValues = processedFeatures
-          .map(feature => feature.properties.__pred3PE)
-          .filter(value => value !== null && value !== undefined && Number.isFinite(value));
-
-        // Get unique risk ratings for stats
-        const uniqueRatings = [...new Set(riskRatings)];
-        const riskStats = { ratings: uniqueRatings, count: riskRatings.length };
-        const populationStats = getRangeStats(populationValues);
-        const pred3PEStats = getRangeStats(pred3PEValues);
-
-        const riskMissing = processedFeatures.length - riskRatings.length;
-        const populationMissing = processedFeatures.length - populationValues.length;
-        const pred3PEMissing = processedFeatures.length - pred3PEValues.length;
+    loadProjects();
 
-        censusDataRef.current = processedGeojson;
-        const statsPayload = {
-          risk: riskStats,
-          population: populationStats,
-          pred3PE: pred3PEStats,
-          counts: {
-            total: processedFeatures.length,
-            missingRisk: riskMissing,
-            missingPopulation: populationMissing,
-            missingPred3PE: pred3PEMissing
-          }
-        };
-        censusStatsRef.current = statsPayload;
-        setCensusStats(statsPayload);
-        addCensusSourceAndLayers();
+    return () => {
+      cancelled = true;
+    };
+  }, [mapReady, activeDatasetId, addCensusSourceAndLayers]);
 
-        const bounds = new mapboxgl.LngLatBounds();
-        let hasBounds = false;
-        processedFeatures.forEach(feature => {
-          if (!feature.geometry) return;
-          walkCoordinates(feature.geometry, coord => {
-            if (!hasBounds) {
-              bounds.set(coord, coord);
-              hasBounds = true;
-            } else {
-              bounds.extend(coord);
-            }
-          });
-        });
+  useEffect(() => {
+    censusVisibleRef.current = censusVisible;
+  }, [censusVisible]);
 
-        if (hasBounds) {
-          map.current.fitBounds(bounds, { padding: { top: 10, bottom: 300, left: 350, right: 10 }, duration: 1200 });
-        }
+  // Show or hide the CEJST overlay without touching the modelling layer
+  useEffect(() => {
+    cejstVisibleRef.current = cejstVisible;
+    if (!map.current) return;
+    ['census-tracts-cejst', 'census-tracts-cejst-outline'].forEach((layerId) => {
+      if (map.current.getLayer(layerId)) {
+        map.current.setLayoutProperty(layerId, 'visibility', cejstVisible ? 'visible' : 'none');
+      }
+    });
+  }, [cejstVisible]);
 
-        console.groupCollapsed('[Census] Census Tract Data Summary');
-        console.log('Total tracts loaded:', processedFeatures.length);
-        console.log('FEMA Risk Ratings found:', uniqueRatings);
-        console.log('Population range:', populationStats.min, populationStats.max);
-        if (riskMissing > 0) {
-          console.warn(`Missing FEMA Risk Rating for ${riskMissing} tracts`, processedFeatures
-            .filter(feature => !feature.properties.__riskRating)
-            .slice(0, 10)
-            .map(feature => feature.properties['L0Census_Tracts.GEOID'] || feature.id));
-        }
-        if (populationMissing > 0) {
-          console.warn(`Missing population for ${populationMissing} tracts`, processedFeatures
-            .filter(feature => !Number.isFinite(feature.properties.__population))
-            .slice(0, 10)
-            .map(feature => feature.properties['L0Census_Tracts.GEOID'] || feature.id));
-        }
-        console.groupEnd();
-        console.info('[Census] Census tract layers added successfully');
-      } catch (censusError) {
-        console.error('Error loading census tract data:', censusError);
+  // Zoom to a tract from the gap list
+  const zoomToTract = (feature) => {
+    if (!map.current || !feature?.geometry) return;
+    const bounds = new mapboxgl.LngLatBounds();
+    let hasBounds = false;
+    walkCoordinates(feature.geometry, (coord) => {
+      if (!hasBounds) {
+        bounds.set(coord, coord);
+        hasBounds = true;
+      } else {
+        bounds.extend(coord);
       }
     });
-  }, [addCensusSourceAndLayers]);
+    if (hasBounds) {
+      map.current.fitBounds(bounds, { padding: 80, maxZoom: 15, duration: 1500 });
+    }
+  };
 
-  useEffect(() => {
-    censusVisibleRef.current = censusVisible;
-  }, [censusVisible]);
+  // Class breaks of the selected hazard/component score for the continuous risk mode
+  const riskScoreProperty = getHazardPropertyNames(riskHazard, riskComponent).score;
+  const riskScoreBreaks = useMemo(() => {
+    if (!censusStats || !censusDataRef.current) return [];
+    return getClassBreaks(
+      censusDataRef.current.features.map(feature => feature.properties[riskScoreProperty]),
+      riskClassification,
+      NRI_HAZARDS.ALL.ramp.length
+    );
+  }, [censusStats, riskScoreProperty, riskClassification]);
+  // Fall back to rating bands when the selected component has no scores
+  const riskScoreMode = riskColorMode === 'score' && riskScoreBreaks.length > 1;
 
   useEffect(() => {
     censusViewRef.current = activeCensusView;
+    creSelectionRef.current = {
+      bucket: creBucket,
+      measure: creMeasure,
+      showUncertainty: creShowUncertainty,
+      cvThreshold: creCvThreshold
+    };
+    riskSelectionRef.current = {
+      hazard: riskHazard,
+      component: riskComponent,
+      scoreMode: riskScoreMode,
+      scoreBreaks: riskScoreBreaks
+    };
     if (!map.current) return;
     const riskVisibility = censusVisible && activeCensusView === 'risk' ? 'visible' : 'none';
-    const pred3PEVisibility = censusVisible && activeCensusView === 'pred3pe' ? 'visible' : 'none';
+    const creVisibility = censusVisible && activeCensusView === 'cre' ? 'visible' : 'none';
     if (map.current.getLayer('census-tracts-risk')) {
       map.current.setLayoutProperty('census-tracts-risk', 'visibility', riskVisibility);
     }
-    if (map.current.getLayer('census-tracts-pred3pe')) {
-      map.current.setLayoutProperty('census-tracts-pred3pe', 'visibility', pred3PEVisibility);
+    if (map.current.getLayer('census-tracts-cre')) {
+      map.current.setLayoutProperty('census-tracts-cre', 'visibility', creVisibility);
+    }
+    if (map.current.getLayer('census-tracts-vulnerability')) {
+      map.current.setLayoutProperty(
+        'census-tracts-vulnerability',
+        'visibility',
+        censusVisible && activeCensusView === 'vulnerability' ? 'visible' : 'none'
+      );
+    }
+    if (map.current.getLayer('census-tracts-bivariate')) {
+      map.current.setLayoutProperty(
+        'census-tracts-bivariate',
+        'visibility',
+        censusVisible && activeCensusView === 'bivariate' ? 'visible' : 'none'
+      );
+    }
+    if (map.current.getLayer('census-tracts-cre-uncertainty')) {
+      map.current.setLayoutProperty(
+        'census-tracts-cre-uncertainty',
+        'visibility',
+        creVisibility === 'visible' && creShowUncertainty ? 'visible' : 'none'
+      );
     }
     if (map.current.getLayer('census-tracts-outline')) {
       map.current.setLayoutProperty('census-tracts-outline', 'visibility', censusVisible ? 'visible' : 'none');
@@ -1418,7 +2206,7 @@ const App = () => {
     if (censusLayersReady) {
       addCensusSourceAndLayers();
     }
-  }, [activeCensusView, censusVisible, censusLayersReady, addCensusSourceAndLayers]);
+  }, [activeCensusView, censusVisible, creBucket, creMeasure, creShowUncertainty, creCvThreshold, riskHazard, riskComponent, riskScoreMode, riskScoreBreaks, censusLayersReady, addCensusSourceAndLayers]);
 
   useEffect(() => {
     if (censusStats) {
@@ -1433,39 +2221,107 @@ const App = () => {
   const legendRatings = censusStats?.risk?.ratings || [];
   const sortedRatings = ['Very Low', 'Relatively Low', 'Relatively Moderate', 'Relatively High', 'Very High']
     .filter(rating => legendRatings.includes(rating));
+  const hazardAvailability = censusStats?.risk?.hazards || {};
+  const riskLegendTitle = riskHazard === 'ALL' && riskComponent === 'risk'
+    ? 'FEMA Risk Rating'
+    : `${NRI_HAZARDS[riskHazard].label}: ${NRI_COMPONENTS[riskComponent].label}`;
+  const riskScoreColors = pickRampColors(getHazardRamp(riskHazard, riskComponent), riskScoreBreaks.length - 1);
+  // Stepped gradient, one band per rating
+  const riskLegendGradient = `linear-gradient(to right, ${getHazardRamp(riskHazard, riskComponent)
+    .map((color, index, ramp) => {
+      const start = index === 0 ? 0 : index * (100 / ramp.length) + 5;
+      return `${color} ${start}%, ${color} ${(index + 1) * (100 / ramp.length)}%`;
+    })
+    .join(', ')})`;
+  const handleRiskHazardChange = (hazard) => {
+    setRiskHazard(hazard);
+    // Keep the component when the new hazard carries it, otherwise show its risk rating
+    if (!(hazardAvailability[hazard] || []).includes(riskComponent)) {
+      setRiskComponent((hazardAvailability[hazard] || ['risk'])[0]);
+    }
+  };
+
+  // Which modelling layers have their data (see INDEX_SOURCES)
+  const isSourceLoaded = (key) => indexSourceStatus?.[key]?.status === SOURCE_STATUS.LOADED;
+  const layerAvailability = {
+    risk: isSourceLoaded('risk'),
+    cre: isSourceLoaded('resilience'),
+    vulnerability: isSourceLoaded('vulnerability'),
+    bivariate: isSourceLoaded('risk') && isSourceLoaded('resilience')
+  };
+  const layerSourceKeys = { risk: 'risk', cre: 'resilience', vulnerability: 'vulnerability' };
+
+  // Quantile breaks for the Social Vulnerability Index legend
+  const vulnerabilityBreaks = censusStats?.vulnerability?.breaks || [];
+
+  // Legend for the selected Community Resilience Estimates bucket
+  const creLegendStats = censusStats?.cre?.[getCrePropertyName(creBucket, creMeasure)];
+  const creLegendTitle = `${CRE_BUCKET_INFO[creBucket].label} (${creMeasure === 'percent' ? '%' : 'residents'})`;
+  const creLegendGradient = `linear-gradient(to right, ${CRE_BUCKET_INFO[creBucket].ramp.join(', ')})`;
+  // Tracts hatched as unreliable at the current threshold
+  const creUnreliableCount = useMemo(() => {
+    if (!censusStats || !censusDataRef.current) return 0;
+    const property = getCreCvPropertyName(creBucket);
+    return censusDataRef.current.features
+      .filter(feature => Number.isFinite(feature.properties[property]) && feature.properties[property] >= creCvThreshold)
+      .length;
+  }, [censusStats, creBucket, creCvThreshold]);
+  const formatCreLegendValue = (value) => {
+    if (value === null || value === undefined) return creMeasure === 'percent' ? '0%' : '0';
+    return creMeasure === 'percent' ? `${value.toFixed(1)}%` : formatWithCommas(Math.round(value));
+  };
+
+  // Legend of the active Modelling Layer for the printable report
+  const getReportLegend = () => {
+    if (!censusVisible || !censusStats) return null;
+    if (activeCensusView === 'risk') {
+      return {
+        title: `${riskLegendTitle}${riskScoreMode ? ' (score)' : ''}`,
+        content: riskScoreMode
+          ? <ClassBreaksLegend breaks={riskScoreBreaks} colors={riskScoreColors} formatValue={(value) => value.toFixed(1)} compact />
+          : <CategoryLegend items={RISK_RATINGS.map((rating, index) => ({ label: rating, color: getHazardRamp(riskHazard, riskComponent)[index] }))} />
+      };
+    }
+    if (activeCensusView === 'cre' && creLegendStats) {
+      return {
+        title: creLegendTitle,
+        content: (
+          <div>
+            <div style={{ height: '10px', borderRadius: '2px', background: creLegendGradient, marginBottom: '3px' }}></div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7em', color: '#546e7a' }}>
+              <span>{formatCreLegendValue(creLegendStats.min)}</span>
+              <span>{formatCreLegendValue(creLegendStats.max)}</span>
+            </div>
+          </div>
+        )
+      };
+    }
+    if (activeCensusView === 'vulnerability' && vulnerabilityBreaks.length > 1) {
+      return {
+        title: 'Social Vulnerability (quintiles)',
+        content: <ClassBreaksLegend breaks={vulnerabilityBreaks} colors={VULNERABILITY_INDEX_COLORS} compact />
+      };
+    }
+    if (activeCensusView === 'bivariate' && censusStats.bivariate) {
+      return { title: 'Risk × Resilience', content: <BivariateLegend breaks={censusStats.bivariate.breaks} compact /> };
+    }
+    return null;
+  };
 
-  // Extract unique values for filters
+  // Extract unique values for filters from the normalized project records
   const getUniqueValues = (field) => {
-    if (!allProjectsData?.features) return [];
-    const values = allProjectsData.features
-      .map(f => {
-        // For city, prefer NAME field, fallback to City
-        let value;
-        if (field === 'City' || field === 'NAME') {
-          value = f.properties?.['NAME'] || f.properties?.['City'];
-        } else {
-          value = f.properties?.[field];
-        }
-        // Trim whitespace for city fields
-        return ((field === 'City' || field === 'NAME') && value) ? value.trim() : value;
-      })
-      .filter(v => v && v !== null && v !== undefined && v !== 'Null')
+    return allProjects
+      .map(project => project[field])
+      .filter(v => v !== null && v !== undefined)
       .filter((v, i, arr) => arr.indexOf(v) === i)
       .sort();
-    return values;
   };
 
-  // Get unique types - prefer 'Infrastruc', fallback to 'Infrastructure Type' or 'Type'
-  const infrastructureTypes = getUniqueValues('Infrastruc');
-  const legacyTypes = getUniqueValues('Infrastructure Type');
-  const fallbackTypes = getUniqueValues('Type');
-  const uniqueTypes = infrastructureTypes.length > 0 ? infrastructureTypes : (legacyTypes.length > 0 ? legacyTypes : fallbackTypes);
-  const uniqueCategories = getUniqueValues('Categories');
-  const disasterFocusNew = getUniqueValues('Disaster_F');
-  const disasterFocusLegacy = getUniqueValues('Disaster Focus');
-  const uniqueDisasterFocus = disasterFocusNew.length > 0 ? disasterFocusNew : disasterFocusLegacy;
-  // Get unique cities - prefer NAME field, fallback to City
-  const uniqueCities = getUniqueValues('NAME');
+  const uniqueTypes = getUniqueValues('type');
+  const uniqueCategories = getCategoryOptions(allProjects);
+  const uniqueDisasterFocus = getUniqueValues('disasterFocus');
+  const uniqueCities = getUniqueValues('city');
+  const timelineExtent = useMemo(() => getTimelineExtent(allProjects), [allProjects]);
 
   // Zoom to city markers when city is selected
   const zoomToCity = (cityName) => {
@@ -1481,8 +2337,7 @@ const App = () => {
       : // Filter markers for the selected city
         allMarkers.filter(marker => {
           if (!marker.feature) return false;
-          const props = marker.feature.properties || {};
-          const markerCity = (props['NAME'] || props['City']) ? (props['NAME'] || props['City']).trim() : (props['NAME'] || props['City']);
+          const markerCity = getProjectRecord(marker.feature).city;
           const selectedCityTrimmed = cityName ? cityName.trim() : cityName;
           return markerCity === selectedCityTrimmed;
         });
@@ -1522,18 +2377,8 @@ const App = () => {
 
     allMarkers.forEach(marker => {
       if (!marker.feature) return;
-      const props = marker.feature.properties || {};
-      const type = props['Infrastruc'] || props['Infrastructure Type'] || props['Type'];
-      const category = props['Categories'];
-      const disasterFocus = props['Disaster_F'] || props['Disaster Focus'];
-      const city = (props['NAME'] || props['City']) ? (props['NAME'] || props['City']).trim() : (props['NAME'] || props['City']);
-
-      const typeMatch = selectedTypes.length === 0 || selectedTypes.includes(type);
-      const disasterMatch = selectedDisasterFocus.length === 0 || selectedDisasterFocus.includes(disasterFocus);
-      const selectedCityTrimmed = selectedCity ? selectedCity.trim() : selectedCity;
-      const cityMatch = !selectedCityTrimmed || selectedCityTrimmed === '' || city === selectedCityTrimmed;
-
-      const shouldShow = typeMatch && disasterMatch && cityMatch;
+      // Project markers give way to the color-coded diff points while comparing snapshots
+      const shouldShow = !diffOpen && matchesProjectFilter(getProjectRecord(marker.feature));
 
       if (shouldShow) {
         marker.getElement().style.display = 'block';
@@ -1542,10 +2387,12 @@ const App = () => {
         // Close popup if the hidden marker's feature is currently active
         if (activeFeature && marker.feature) {
           // Check if it's the same feature (same object reference or same coordinates)
+          const activeCoords = getProjectRecord(activeFeature).coordinates;
+          const markerCoords = getProjectRecord(marker.feature).coordinates;
           const isSameFeature = activeFeature === marker.feature ||
-            (activeFeature.geometry?.coordinates && marker.feature.geometry?.coordinates &&
-             activeFeature.geometry.coordinates[0] === marker.feature.geometry.coordinates[0] &&
-             activeFeature.geometry.coordinates[1] === marker.feature.geometry.coordinates[1]);
+            (activeCoords && markerCoords &&
+             activeCoords[0] === markerCoords[0] &&
+             activeCoords[1] === markerCoords[1]);
           
           if (isSameFeature) {
             setActiveFeature(null);
@@ -1553,7 +2400,89 @@ const App = () => {
         }
       }
     });
-  }, [selectedTypes, selectedDisasterFocus, selectedCity, allMarkers, activeFeature]);
+  }, [matchesProjectFilter, allMarkers, activeFeature, diffOpen]);
+
+  // Sync the diff layer with the latest comparison and the status filter
+  useEffect(() => {
+    diffResultRef.current = diffResult;
+    diffVisibleRef.current = diffOpen && !!diffResult;
+    if (!map.current) return;
+    if (!diffResult) {
+      if (map.current.getLayer('inventory-diff')) {
+        map.current.setLayoutProperty('inventory-diff', 'visibility', 'none');
+      }
+      return;
+    }
+    const geojson = diffToGeoJSON(diffResult.entries, { includeUnchanged: diffStatusFilter === DIFF_STATUS.UNCHANGED });
+    diffGeojsonRef.current = {
+      ...geojson,
+      features: geojson.features.filter(feature => diffStatusFilter === 'changed' || feature.properties.status === diffStatusFilter)
+    };
+    addDiffSourceAndLayer();
+  }, [diffResult, diffOpen, diffStatusFilter, addDiffSourceAndLayer]);
+
+  const diffRows = diffResult
+    ? diffResult.entries.filter(entry => (diffStatusFilter === 'changed'
+      ? entry.status !== DIFF_STATUS.UNCHANGED
+      : entry.status === diffStatusFilter))
+    : [];
+
+  // Mirror the shareable view into the query string (replaceState, so Back still leaves the page)
+  const writeUrlState = useCallback(() => {
+    if (!urlStateRef.current) return;
+    const center = map.current ? map.current.getCenter() : null;
+    const search = buildUrlSearch({
+      ...urlStateRef.current,
+      center: center ? [center.lng, center.lat] : initialUrlStateRef.current.center,
+      zoom: map.current ? map.current.getZoom() : initialUrlStateRef.current.zoom
+    }, URL_STATE_DEFAULTS);
+    if (search !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Link ids (see projectSchema.js) survive a reordered inventory; unlinked projects stay out of the URL
+    const activeProjectId = activeFeature ? getProjectRecord(activeFeature)?.linkId : null;
+    urlStateRef.current = {
+      types: selectedTypes,
+      categories: selectedCategories,
+      disasterFocus: selectedDisasterFocus,
+      statuses: selectedStatuses,
+      city: selectedCity,
+      dataset: activeDatasetId,
+      view: censusVisible ? activeCensusView : 'none',
+      satellite: isSatelliteView,
+      search: debouncedSearchQuery.trim(),
+      project: activeFeature ? activeProjectId : pendingUrlProjectRef.current,
+      detail: detailProjectId
+    };
+    writeUrlState();
+  }, [selectedTypes, selectedCategories, selectedDisasterFocus, selectedStatuses, selectedCity, activeDatasetId, activeCensusView, censusVisible, isSatelliteView, debouncedSearchQuery, activeFeature, detailProjectId, writeUrlState]);
+
+  useEffect(() => {
+    if (!mapReady || !map.current) return;
+    const mapInstance = map.current;
+    mapInstance.on('moveend', writeUrlState);
+    return () => mapInstance.off('moveend', writeUrlState);
+  }, [mapReady, writeUrlState]);
+
+  // Reopen the project from a shared link once its inventory has loaded
+  useEffect(() => {
+    const projectId = pendingUrlProjectRef.current;
+    if (!projectId || !allProjects.length || !map.current) return;
+    pendingUrlProjectRef.current = null;
+    const project = allProjects.find(candidate => candidate.linkId === projectId);
+    if (!project?.coordinates) return;
+    if (!initialUrlStateRef.current.center) {
+      map.current.flyTo({ center: project.coordinates, zoom: 15, duration: 1500 });
+    }
+    isSwitchingFeatureRef.current = true;
+    setActiveFeature(project.feature);
+    setTimeout(() => {
+      isSwitchingFeatureRef.current = false;
+    }, 100);
+  }, [allProjects]);
 
   // Zoom to city when selected (including "All Cities")
   useEffect(() => {
@@ -1566,105 +2495,192 @@ const App = () => {
     }
   }, [selectedCity]);
 
-  // Calculate filtered statistics (project count and total investment)
-  const filteredStats = useMemo(() => {
-    if (!allProjectsData?.features) {
-      return { projectCount: 0, totalInvestment: 0 };
+  // Projects matching the sidebar filters, plus per-option counts (see utils/projectFilters.js)
+  const projectFilterResult = useMemo(() => applyProjectFilters(allProjects, projectFilters), [allProjects, projectFilters]);
+  const filteredProjects = projectFilterResult.projects;
+  const getFacetCount = (facet, value) => readFacetCount(projectFilterResult.counts, facet, value);
+
+  // Calculate filtered statistics (project count and total investment)
+  const filteredStats = useMemo(() => {
+    const projectCount = filteredProjects.length;
+    
+    // Calculate total investment (cost is already parsed to a number or null)
+    const totalInvestment = filteredProjects.reduce((sum, project) => sum + (project.cost || 0), 0);
+
+    const statusCounts = PROJECT_STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    filteredProjects.forEach((project) => {
+      statusCounts[project.statusGroup] = (statusCounts[project.statusGroup] || 0) + 1;
+    });
+
+    return { projectCount, totalInvestment, statusCounts };
+  }, [filteredProjects]);
+
+  // A new inventory brings its own year span
+  useEffect(() => {
+    setTimelineRange(null);
+    setTimelinePlaying(false);
+  }, [timelineExtent]);
+
+  // Step the year window while the timeline plays
+  useEffect(() => {
+    if (!timelinePlaying || !timelineExtent) return;
+    const intervalId = setInterval(() => {
+      setTimelineRange(range => stepTimelineRange(range, timelineExtent));
+    }, 900);
+    return () => clearInterval(intervalId);
+  }, [timelinePlaying, timelineExtent]);
+
+  // Stop once the window reaches the last year
+  useEffect(() => {
+    if (timelinePlaying && timelineRange && timelineRange[1] >= timelineExtent[1]) {
+      setTimelinePlaying(false);
+    }
+  }, [timelinePlaying, timelineRange, timelineExtent]);
+
+  const handleTimelinePlay = () => {
+    if (timelinePlaying) {
+      setTimelinePlaying(false);
+      return;
+    }
+    if (!timelineRange || timelineRange[1] >= timelineExtent[1]) {
+      setTimelineRange(stepTimelineRange(timelineRange, timelineExtent));
+    }
+    setTimelinePlaying(true);
+  };
+
+  const handleTimelineChange = (bound, year) => {
+    const [from, to] = timelineRange || timelineExtent;
+    setTimelinePlaying(false);
+    setTimelineRange(bound === 'from' ? [Math.min(year, to), to] : [from, Math.max(year, from)]);
+  };
+
+  // Download the filtered projects, with the active filters as metadata
+  const handleExportProjects = (format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const metadata = describeExportFilters({
+      dataset: formatDatasetLabel(getProjectDataset(activeDatasetId)),
+      types: selectedTypes,
+      categories: selectedCategories,
+      disasterFocus: selectedDisasterFocus,
+      statuses: selectedStatuses,
+      city: selectedCity,
+      years: timelineRange,
+      count: filteredProjects.length
+    });
+    const blob = new Blob([exportProjects(format, filteredProjects, metadata)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `resilience-projects-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  // Project shown in the detail panel and its closest neighbours in the loaded inventory
+  const detailProject = useMemo(() => (
+    detailProjectId === null ? null : allProjects.find(project => project.linkId === detailProjectId) || null
+  ), [allProjects, detailProjectId]);
+
+  const nearbyProjects = useMemo(() => findNearbyProjects(detailProject, allProjects), [detailProject, allProjects]);
+
+  // Link that opens this inventory with the detail panel showing
+  const detailShareUrl = detailProject
+    ? `${window.location.origin}${window.location.pathname}${buildUrlSearch({ dataset: activeDatasetId, detail: detailProject.linkId }, URL_STATE_DEFAULTS)}`
+    : '';
+
+  const handleCopyDetailLink = async () => {
+    try {
+      await navigator.clipboard.writeText(detailShareUrl);
+      setDetailLinkCopied(true);
+    } catch (copyError) {
+      console.error('Could not copy the project link:', copyError);
+    }
+  };
+
+  const handleSelectNearbyProject = (project) => {
+    navigateToProject(project.feature);
+    setDetailProjectId(project.linkId);
+  };
+
+  // Snapshot the map and open the printable report
+  const handleOpenPrintReport = async () => {
+    if (!map.current) return;
+    let mapImage = null;
+    try {
+      mapImage = await captureMapImage(map.current, filteredProjects
+        .filter(project => project.coordinates)
+        .map(project => ({ coordinates: project.coordinates, color: getMarkerColor(project.type) })));
+    } catch (captureError) {
+      console.error('Could not capture the map for the report:', captureError);
     }
+    setPrintReport({ mapImage, createdAt: new Date() });
+    if (isMobile) setSidebarOpen(false);
+  };
 
-    const filteredFeatures = allProjectsData.features.filter(feature => {
-      const props = feature.properties || {};
-      const type = props['Infrastruc'] || props['Infrastructure Type'] || props['Type'];
-      const disasterFocus = props['Disaster_F'] || props['Disaster Focus'];
-      const city = (props['NAME'] || props['City']) ? (props['NAME'] || props['City']).trim() : (props['NAME'] || props['City']);
-      
-      const typeMatch = selectedTypes.length === 0 || selectedTypes.includes(type);
-      const disasterMatch = selectedDisasterFocus.length === 0 || selectedDisasterFocus.includes(disasterFocus);
-      const selectedCityTrimmed = selectedCity ? selectedCity.trim() : selectedCity;
-      const cityMatch = !selectedCityTrimmed || selectedCityTrimmed === '' || city === selectedCityTrimmed;
-
-      return typeMatch && disasterMatch && cityMatch;
+  // Census tract containing each project (census data is ready once censusStats is set)
+  const projectTracts = useMemo(() => {
+    if (!censusStats || !censusDataRef.current) return new Map();
+    return joinProjectsToTracts(allProjects, censusDataRef.current.features);
+  }, [allProjects, censusStats]);
+
+  // High-risk tracts with no (or few) projects matching the current filters
+  const tractGaps = useMemo(() => {
+    if (!censusStats || !censusDataRef.current) return [];
+    return findTractGaps(
+      censusDataRef.current.features,
+      summarizeProjectsByTract(filteredProjects, projectTracts),
+      { maxProjects: gapMaxProjects }
+    );
+  }, [filteredProjects, projectTracts, censusStats, gapMaxProjects]);
+
+  // Keep the gap highlight layer in sync with the ranked list
+  useEffect(() => {
+    gapGeoidsRef.current = tractGaps.map(gap => gap.geoid).filter(Boolean);
+    gapVisibleRef.current = gapOpen;
+    if (!map.current) return;
+    const gapFilter = ['in', ['get', '__geoid'], ['literal', gapGeoidsRef.current]];
+    ['census-tracts-gaps', 'census-tracts-gaps-outline'].forEach((layerId) => {
+      if (map.current.getLayer(layerId)) {
+        map.current.setFilter(layerId, gapFilter);
+        map.current.setLayoutProperty(layerId, 'visibility', gapOpen ? 'visible' : 'none');
+      }
     });
-
-    const projectCount = filteredFeatures.length;
-    
-    // Calculate total investment
-    const totalInvestment = filteredFeatures.reduce((sum, feature) => {
-      const cost = feature.properties?.['Estimated_'] || feature.properties?.['Estimated Project Cost'];
-      if (!cost || cost === null || cost === undefined) return sum;
-      
-      // Convert to number if it's a string
-      const numericCost = typeof cost === 'string' 
-        ? parseFloat(cost.replace(/[$,]/g, '')) 
-        : parseFloat(cost);
-      
-      if (isNaN(numericCost) || !isFinite(numericCost)) return sum;
-      
-      return sum + numericCost;
-    }, 0);
-
-    return { projectCount, totalInvestment };
-  }, [allProjectsData, selectedTypes, selectedDisasterFocus, selectedCity]);
+  }, [tractGaps, gapOpen]);
+
+  // Share of filtered projects and investment inside CEJST disadvantaged tracts
+  const justice40Stats = useMemo(() => {
+    if (!censusStats?.cejst) return null;
+    return summarizeJustice40(
+      filteredProjects,
+      projectTracts,
+      tract => tract.properties.__cejstDisadvantaged
+    );
+  }, [filteredProjects, projectTracts, censusStats]);
 
   // Calculate pie chart data based on city, disaster focus, and infrastructure type filters
   const pieChartData = useMemo(() => {
-    if (!allProjectsData?.features) {
+    if (!allProjects.length) {
       return [];
     }
 
-    // Filter by city, disaster focus, and infrastructure type
-    const filteredFeatures = allProjectsData.features.filter(feature => {
-      const props = feature.properties || {};
-      const type = props['Infrastruc'] || props['Infrastructure Type'] || props['Type'];
-      const disasterFocus = props['Disaster_F'] || props['Disaster Focus'];
-      const city = (props['NAME'] || props['City']) ? (props['NAME'] || props['City']).trim() : (props['NAME'] || props['City']);
-      
-      const typeMatch = selectedTypes.length === 0 || selectedTypes.includes(type);
-      const disasterMatch = selectedDisasterFocus.length === 0 || selectedDisasterFocus.includes(disasterFocus);
-      const selectedCityTrimmed = selectedCity ? selectedCity.trim() : selectedCity;
-      const cityMatch = !selectedCityTrimmed || selectedCityTrimmed === '' || city === selectedCityTrimmed;
-
-      return typeMatch && disasterMatch && cityMatch;
-    });
-
-    // Count projects by infrastructure type
+    // Count projects by infrastructure type (already normalized to Blue/Green/Grey/Hybrid)
     const typeCounts = {};
-    filteredFeatures.forEach(feature => {
-      const props = feature.properties || {};
-      const type = props['Infrastruc'] || props['Infrastructure Type'] || props['Type'] || 'Unknown';
-      
-      // Normalize type names
-      let normalizedType = type;
-      if (type === 'Blue Infrastructure' || type === 'Blue') {
-        normalizedType = 'Blue';
-      } else if (type === 'Green Infrastructure' || type === 'Green') {
-        normalizedType = 'Green';
-      } else if (type === 'Grey Infrastructure' || type === 'Grey') {
-        normalizedType = 'Grey';
-      } else if (type === 'Hybrid') {
-        normalizedType = 'Hybrid';
-      }
-      
-      typeCounts[normalizedType] = (typeCounts[normalizedType] || 0) + 1;
+    filteredProjects.forEach(project => {
+      const type = project.type || 'Unknown';
+      typeCounts[type] = (typeCounts[type] || 0) + 1;
     });
 
     // Convert to array format for recharts
-    const colors = {
-      'Blue': '#3498db',
-      'Green': '#27ae60',
-      'Grey': '#95a5a6',
-      'Hybrid': '#9b59b6',
-      'Unknown': '#95a5a6'
-    };
-
     return Object.entries(typeCounts)
       .map(([name, value]) => ({
         name,
         value,
-        color: colors[name] || '#95a5a6'
+        color: getProjectTypeColor(name)
       }))
       .sort((a, b) => b.value - a.value); // Sort by count descending
-  }, [allProjectsData, selectedTypes, selectedDisasterFocus, selectedCity]);
+  }, [allProjects, filteredProjects]);
 
   const headerStyle = {
     background: '#01321e',
@@ -1802,7 +2818,7 @@ const App = () => {
                   </svg>
                   <div>
                     <p style={{ fontSize: '0.75rem', color: '#9ca3af', margin: '0 0 2px 0' }}>Updated</p>
-                    <p style={{ fontSize: '0.75rem', fontWeight: 500, color: '#374151', margin: 0 }}>2025</p>
+                    <p style={{ fontSize: '0.75rem', fontWeight: 500, color: '#374151', margin: 0 }}>{activeDataset.date ? activeDataset.date.slice(0, 4) : '2025'}</p>
                   </div>
                 </div>
               </div>
@@ -1897,6 +2913,58 @@ const App = () => {
               </button>
             </div>
           )}
+          {/* Project Inventory Picker */}
+          <div style={{ marginBottom: '24px' }}>
+            <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
+              Project Inventory
+            </h3>
+            <select
+              aria-label="Project inventory"
+              value={activeDatasetId}
+              onChange={(e) => handleDatasetChange(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                fontSize: '0.9em',
+                color: '#2c3e50',
+                border: '1px solid rgba(255, 255, 255, 0.4)',
+                borderRadius: '8px',
+                backgroundColor: 'rgba(255, 255, 255, 0.6)',
+                backdropFilter: 'blur(10px) saturate(180%)',
+                WebkitBackdropFilter: 'blur(10px) saturate(180%)',
+                cursor: 'pointer',
+                outline: 'none',
+                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08), inset 0 0 0 1px rgba(255, 255, 255, 0.5)',
+                fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+              }}
+            >
+              {PROJECT_DATASETS.map(dataset => (
+                <option key={dataset.id} value={dataset.id}>
+                  {formatDatasetLabel(dataset)}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                setDiffOpen(true);
+                setGapOpen(false);
+                if (isMobile) setSidebarOpen(false);
+              }}
+              style={{
+                marginTop: '8px',
+                padding: '4px 8px',
+                fontSize: '0.85em',
+                background: 'transparent',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                color: '#546e7a'
+              }}
+            >
+              Compare snapshots
+            </button>
+          </div>
+
           {/* City Filter */}
           <div style={{ marginBottom: '24px', position: 'relative' }} data-city-dropdown>
             <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
@@ -1963,18 +3031,25 @@ const App = () => {
                 >
                   All Cities
                 </div>
-                {uniqueCities.map(city => (
+                {uniqueCities.map(city => {
+                  const count = getFacetCount('cities', city);
+                  const isEmpty = count === 0 && selectedCity !== city;
+                  return (
                   <div
                     key={city}
+                    aria-disabled={isEmpty}
                     onClick={() => {
+                      if (isEmpty) return;
                       setSelectedCity(city);
                       setCityDropdownOpen(false);
                     }}
                     style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
                       padding: '8px 12px',
-                      cursor: 'pointer',
+                      cursor: isEmpty ? 'default' : 'pointer',
                       fontSize: '0.9em',
-                      color: selectedCity === city ? '#3498db' : '#2c3e50',
+                      color: isEmpty ? '#b0bec5' : selectedCity === city ? '#3498db' : '#2c3e50',
                       backgroundColor: selectedCity === city ? 'rgba(240, 248, 255, 0.7)' : 'transparent',
                       borderRadius: '6px',
                       transition: 'all 0.2s ease'
@@ -1982,9 +3057,11 @@ const App = () => {
                     onMouseEnter={(e) => e.currentTarget.style.backgroundColor = 'rgba(240, 248, 255, 0.5)'}
                     onMouseLeave={(e) => e.currentTarget.style.backgroundColor = selectedCity === city ? 'rgba(240, 248, 255, 0.7)' : 'transparent'}
                   >
-                    {formatCityName(city)}
+                    <span>{formatCityName(city)}</span>
+                    <span style={{ color: '#90a4ae', fontSize: '0.9em' }}>{count}</span>
                   </div>
-                ))}
+                  );
+                })}
               </div>
             )}
           </div>
@@ -1996,21 +3073,19 @@ const App = () => {
             </h3>
             <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
               {uniqueTypes.map(type => (
-                <label key={type} style={{ display: 'flex', alignItems: 'center', marginBottom: '8px', cursor: 'pointer' }}>
-                  <input
-                    type="checkbox"
-                    checked={selectedTypes.includes(type)}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        setSelectedTypes([...selectedTypes, type]);
-                      } else {
-                        setSelectedTypes(selectedTypes.filter(t => t !== type));
-                      }
-                    }}
-                    style={{ marginRight: '8px', cursor: 'pointer' }}
-                  />
-                  <span style={{ color: '#546e7a', fontSize: '0.9em' }}>{type}</span>
-                </label>
+                <FacetCheckbox
+                  key={type}
+                  label={type}
+                  count={getFacetCount('types', type)}
+                  checked={selectedTypes.includes(type)}
+                  onChange={(checked) => {
+                    if (checked) {
+                      setSelectedTypes([...selectedTypes, type]);
+                    } else {
+                      setSelectedTypes(selectedTypes.filter(t => t !== type));
+                    }
+                  }}
+                />
               ))}
             </div>
             {selectedTypes.length > 0 && (
@@ -2032,6 +3107,49 @@ const App = () => {
             )}
           </div>
 
+          {/* Category Filter */}
+          {uniqueCategories.length > 0 && (
+            <div style={{ marginBottom: '24px' }}>
+              <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
+                Categories
+              </h3>
+              <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+                {uniqueCategories.map(category => (
+                  <FacetCheckbox
+                    key={category}
+                    label={category}
+                    count={getFacetCount('categories', category)}
+                    checked={selectedCategories.includes(category)}
+                    onChange={(checked) => {
+                      if (checked) {
+                        setSelectedCategories([...selectedCategories, category]);
+                      } else {
+                        setSelectedCategories(selectedCategories.filter(c => c !== category));
+                      }
+                    }}
+                  />
+                ))}
+              </div>
+              {selectedCategories.length > 0 && (
+                <button
+                  onClick={() => setSelectedCategories([])}
+                  style={{
+                    marginTop: '8px',
+                    padding: '4px 8px',
+                    fontSize: '0.85em',
+                    background: 'transparent',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    color: '#546e7a'
+                  }}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Disaster Focus Filter */}
           <div style={{ marginBottom: '24px' }}>
             <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
@@ -2039,21 +3157,19 @@ const App = () => {
             </h3>
             <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
               {uniqueDisasterFocus.map(focus => (
-                <label key={focus} style={{ display: 'flex', alignItems: 'center', marginBottom: '8px', cursor: 'pointer' }}>
-                  <input
-                    type="checkbox"
-                    checked={selectedDisasterFocus.includes(focus)}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        setSelectedDisasterFocus([...selectedDisasterFocus, focus]);
-                      } else {
-                        setSelectedDisasterFocus(selectedDisasterFocus.filter(f => f !== focus));
-                      }
-                    }}
-                    style={{ marginRight: '8px', cursor: 'pointer' }}
-                  />
-                  <span style={{ color: '#546e7a', fontSize: '0.9em' }}>{focus}</span>
-                </label>
+                <FacetCheckbox
+                  key={focus}
+                  label={focus}
+                  count={getFacetCount('disasterFocus', focus)}
+                  checked={selectedDisasterFocus.includes(focus)}
+                  onChange={(checked) => {
+                    if (checked) {
+                      setSelectedDisasterFocus([...selectedDisasterFocus, focus]);
+                    } else {
+                      setSelectedDisasterFocus(selectedDisasterFocus.filter(f => f !== focus));
+                    }
+                  }}
+                />
               ))}
             </div>
             {selectedDisasterFocus.length > 0 && (
@@ -2075,6 +3191,125 @@ const App = () => {
             )}
           </div>
 
+          {/* Status Filter */}
+          <div style={{ marginBottom: '24px' }}>
+            <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
+              Project Status
+            </h3>
+            <div>
+              {PROJECT_STATUSES.map(status => (
+                <FacetCheckbox
+                  key={status}
+                  label={status}
+                  count={getFacetCount('statuses', status)}
+                  checked={selectedStatuses.includes(status)}
+                  onChange={(checked) => {
+                    if (checked) {
+                      setSelectedStatuses([...selectedStatuses, status]);
+                    } else {
+                      setSelectedStatuses(selectedStatuses.filter(s => s !== status));
+                    }
+                  }}
+                  icon={<span style={{ ...getStatusBadgeStyle(status), marginRight: '8px' }} />}
+                />
+              ))}
+            </div>
+            {selectedStatuses.length > 0 && (
+              <button
+                onClick={() => setSelectedStatuses([])}
+                style={{
+                  marginTop: '8px',
+                  padding: '4px 8px',
+                  fontSize: '0.85em',
+                  background: 'transparent',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  color: '#546e7a'
+                }}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          {/* Timeline Filter */}
+          {timelineExtent && timelineExtent[1] > timelineExtent[0] && (
+            <div style={{ marginBottom: '24px' }}>
+              <h3 style={{ fontSize: '1.1em', fontWeight: '500', color: '#2c3e50', marginBottom: '12px' }}>
+                Project Timeline
+              </h3>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
+                <button
+                  aria-label={timelinePlaying ? 'Pause timeline' : 'Play timeline'}
+                  onClick={handleTimelinePlay}
+                  style={{
+                    width: '30px',
+                    height: '30px',
+                    borderRadius: '50%',
+                    border: 'none',
+                    background: '#1b3a4b',
+                    color: 'white',
+                    cursor: 'pointer',
+                    fontSize: '0.8em',
+                    flexShrink: 0
+                  }}
+                >
+                  {timelinePlaying ? '❚❚' : '▶'}
+                </button>
+                <span style={{ color: '#2c3e50', fontSize: '0.95em', fontWeight: 600 }}>
+                  {(() => {
+                    const [from, to] = timelineRange || timelineExtent;
+                    return from === to ? from : `${from} – ${to}`;
+                  })()}
+                </span>
+              </div>
+              {['from', 'to'].map((bound, index) => (
+                <label key={bound} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8em', color: '#546e7a', marginBottom: '4px' }}>
+                  <span style={{ width: '32px' }}>{bound === 'from' ? 'From' : 'To'}</span>
+                  <input
+                    type="range"
+                    min={timelineExtent[0]}
+                    max={timelineExtent[1]}
+                    step={1}
+                    value={(timelineRange || timelineExtent)[index]}
+                    onChange={(e) => handleTimelineChange(bound, Number(e.target.value))}
+                    style={{ flex: 1, cursor: 'pointer' }}
+                  />
+                </label>
+              ))}
+              <label style={{ display: 'flex', alignItems: 'center', marginTop: '6px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={timelineIncludeUndated}
+                  onChange={(e) => setTimelineIncludeUndated(e.target.checked)}
+                  style={{ marginRight: '8px', cursor: 'pointer' }}
+                />
+                <span style={{ color: '#546e7a', fontSize: '0.85em' }}>Include projects without dates</span>
+              </label>
+              {timelineRange && (
+                <button
+                  onClick={() => {
+                    setTimelinePlaying(false);
+                    setTimelineRange(null);
+                  }}
+                  style={{
+                    marginTop: '8px',
+                    padding: '4px 8px',
+                    fontSize: '0.85em',
+                    background: 'transparent',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    color: '#546e7a'
+                  }}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Statistics Squares */}
           <div style={{ 
             display: 'grid', 
@@ -2144,6 +3379,161 @@ const App = () => {
             </div>
           </div>
 
+          {/* Projects by status */}
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px', marginTop: '12px' }}>
+            {PROJECT_STATUSES.map(status => (
+              <div
+                key={status}
+                title={`${filteredStats.statusCounts[status]} ${status.toLowerCase()} projects`}
+                style={{
+                  background: 'rgba(255, 255, 255, 0.8)',
+                  border: '1px solid rgba(255, 255, 255, 0.4)',
+                  borderRadius: '8px',
+                  padding: '6px 4px',
+                  boxShadow: '0 2px 6px rgba(0, 0, 0, 0.06)',
+                  textAlign: 'center'
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '5px', fontSize: '1em', fontWeight: 700, color: '#2c3e50' }}>
+                  <span style={getStatusBadgeStyle(status, 9)} />
+                  {filteredStats.statusCounts[status]}
+                </div>
+                <div style={{ fontSize: '0.68em', color: '#546e7a', marginTop: '2px' }}>{status}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Export filtered projects */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '12px', fontSize: '0.8em', color: '#546e7a' }}>
+            <span style={{ marginRight: 'auto' }}>Export {filteredStats.projectCount} projects</span>
+            {Object.entries(EXPORT_FORMATS).map(([format, { extension }]) => (
+              <button
+                key={format}
+                onClick={() => handleExportProjects(format)}
+                disabled={filteredStats.projectCount === 0}
+                title={`Download as ${EXPORT_FORMATS[format].label}`}
+                style={{
+                  padding: '4px 8px',
+                  fontSize: '0.95em',
+                  background: 'rgba(255, 255, 255, 0.8)',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  cursor: filteredStats.projectCount === 0 ? 'default' : 'pointer',
+                  color: '#2c3e50'
+                }}
+              >
+                {extension.toUpperCase()}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleOpenPrintReport}
+            disabled={!mapReady}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '6px 8px',
+              fontSize: '0.85em',
+              background: 'transparent',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              cursor: mapReady ? 'pointer' : 'default',
+              color: '#546e7a'
+            }}
+          >
+            Print report
+          </button>
+
+          {/* Justice40 Investment Share */}
+          {justice40Stats && justice40Stats.total.count > 0 && (
+            <div style={{
+              marginTop: '12px',
+              background: 'rgba(255, 255, 255, 0.8)',
+              backdropFilter: 'blur(10px) saturate(180%)',
+              WebkitBackdropFilter: 'blur(10px) saturate(180%)',
+              border: '1px solid rgba(255, 255, 255, 0.4)',
+              borderRadius: '12px',
+              padding: '14px 16px',
+              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08), inset 0 0 0 1px rgba(255, 255, 255, 0.5)'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9em', fontWeight: 600, color: '#2c3e50', marginBottom: '10px' }}>
+                <CejstSwatch />
+                Justice40 Share
+              </div>
+              <div style={{ display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden', background: '#eceff1', marginBottom: '10px' }}>
+                <div style={{ width: `${justice40Stats.inside.countShare}%`, background: '#B71C1C' }}></div>
+                <div style={{ width: `${justice40Stats.outside.countShare}%`, background: '#90a4ae' }}></div>
+              </div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.78em', color: '#2c3e50' }}>
+                <thead>
+                  <tr style={{ color: '#546e7a', textAlign: 'right' }}>
+                    <th style={{ textAlign: 'left', fontWeight: 500, paddingBottom: '4px' }}></th>
+                    <th style={{ fontWeight: 500, paddingBottom: '4px' }}>Projects</th>
+                    <th style={{ fontWeight: 500, paddingBottom: '4px' }}>Investment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    { key: 'inside', label: 'Disadvantaged tracts', color: '#B71C1C' },
+                    { key: 'outside', label: 'Other tracts', color: '#90a4ae' },
+                    { key: 'unknown', label: 'Unmatched', color: '#cfd8dc' }
+                  ]
+                    .filter(({ key }) => key !== 'unknown' || justice40Stats.unknown.count > 0)
+                    .map(({ key, label, color }) => (
+                      <tr key={key} style={{ textAlign: 'right' }}>
+                        <td style={{ textAlign: 'left', padding: '3px 0' }}>
+                          <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '50%', background: color, marginRight: '6px' }}></span>
+                          {label}
+                        </td>
+                        <td style={{ padding: '3px 0 3px 8px' }}>
+                          {justice40Stats[key].count} <span style={{ color: '#546e7a' }}>({justice40Stats[key].countShare.toFixed(0)}%)</span>
+                        </td>
+                        <td style={{ padding: '3px 0 3px 8px' }}>
+                          {justice40Stats[key].cost > 0 ? formatCostCompact(justice40Stats[key].cost) : '—'}{' '}
+                          <span style={{ color: '#546e7a' }}>({justice40Stats[key].costShare.toFixed(0)}%)</span>
+                        </td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+              {justice40Stats.unknown.count > 0 && (
+                <div style={{ fontSize: '0.7em', color: '#546e7a', marginTop: '6px' }}>
+                  Unmatched projects fall outside the tract layer or in tracts without a CEJST flag.
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Tract Gap Analysis */}
+          {censusStats && (
+            <button
+              onClick={() => {
+                setGapOpen(open => !open);
+                closeInventoryDiff();
+                if (isMobile) setSidebarOpen(false);
+              }}
+              style={{
+                width: '100%',
+                marginTop: '12px',
+                padding: '10px 14px',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                background: gapOpen ? 'rgba(213, 0, 0, 0.08)' : 'rgba(255, 255, 255, 0.8)',
+                border: `1px solid ${gapOpen ? 'rgba(213, 0, 0, 0.4)' : 'rgba(255, 255, 255, 0.4)'}`,
+                borderRadius: '12px',
+                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08), inset 0 0 0 1px rgba(255, 255, 255, 0.5)',
+                cursor: 'pointer',
+                fontSize: '0.85em',
+                color: '#2c3e50',
+                fontWeight: 500
+              }}
+            >
+              <span>High-risk tracts without projects</span>
+              <span style={{ fontWeight: 700, color: '#D50000' }}>{tractGaps.length}</span>
+            </button>
+          )}
+
           {/* Pie Chart */}
           {pieChartData.length > 0 && (
             <div style={{
@@ -2341,6 +3731,7 @@ const App = () => {
                 <input
                   type="text"
                   placeholder="Search projects..."
+                  title={'Search projects. Narrow with city:"Miami Beach", type:green, status:ongoing, cost:>1M, year:2020..2024, -word or OR'}
                   value={searchQuery}
                   onChange={(e) => {
                     setSearchQuery(e.target.value);
@@ -2431,11 +3822,12 @@ const App = () => {
                   zIndex: 1001
                 }}>
                   {searchResults.map((result, index) => {
-                    const props = result.properties || {};
-                    const projectName = props['Project_Na'] || props['Project Name'] || 'Unnamed Project';
-                    const city = (props['NAME'] || props['City']) ? formatCityName((props['NAME'] || props['City']).trim()) : '—';
-                    const infrastructureType = props['Infrastruc'] || props['Infrastructure Type'] || props['Type'] || '—';
-                    const description = props['New_15_25_'] || props['New 15-25 Words Project Description'] || '';
+                    const project = getProjectRecord(result);
+                    const projectName = project.name || 'Unnamed Project';
+                    const city = project.city ? formatCityName(project.city) : '—';
+                    const infrastructureType = project.typeLabel || '—';
+                    const description = project.description || '';
+                    const matchReasons = searchMatchReasons[index] || [];
                     const isSelected = index === selectedResultIndex;
 
                     return (
@@ -2494,6 +3886,22 @@ const App = () => {
                             {highlightText(description, searchQuery)}
                           </div>
                         )}
+                        {matchReasons.length > 0 && (
+                          <div
+                            title={matchReasons.join('\n')}
+                            style={{
+                              fontSize: '0.7em',
+                              color: '#2980b9',
+                              marginTop: '6px',
+                              whiteSpace: 'nowrap',
+                              overflow: 'hidden',
+                              textOverflow: 'ellipsis'
+                            }}
+                          >
+                            Matched {matchReasons.slice(0, 2).join(' · ')}
+                            {matchReasons.length > 2 && ` · +${matchReasons.length - 2} more`}
+                          </div>
+                        )}
                       </div>
                     );
                   })}
@@ -2524,27 +3932,347 @@ const App = () => {
                 </div>
               )}
             </div>
-          </div>
+          </div>
+          )}
+
+          {/* Tract Gap Analysis Panel */}
+          {gapOpen && (
+            <div style={{
+              position: 'absolute',
+              top: isMobile ? '56px' : '20px',
+              left: isMobile ? '8px' : '60px',
+              right: isMobile ? '8px' : 'auto',
+              width: isMobile ? 'auto' : '380px',
+              maxHeight: isMobile ? '55vh' : '70vh',
+              display: 'flex',
+              flexDirection: 'column',
+              zIndex: 1002,
+              background: 'rgba(255, 255, 255, 0.9)',
+              backdropFilter: 'blur(20px) saturate(180%)',
+              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+              borderRadius: '12px',
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+              border: '1px solid rgba(255, 255, 255, 0.3)',
+              overflow: 'hidden'
+            }}>
+              <div style={{ padding: '16px 16px 12px', borderBottom: '1px solid rgba(0, 0, 0, 0.06)' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                  <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b' }}>Project Gaps in High-Risk Tracts</div>
+                  <button
+                    aria-label="Close gap analysis"
+                    onClick={() => setGapOpen(false)}
+                    style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#546e7a', fontSize: '1.1em', lineHeight: 1 }}
+                  >
+                    ×
+                  </button>
+                </div>
+                <div style={{ fontSize: '0.78em', color: '#546e7a', marginBottom: '8px' }}>
+                  Tracts rated Relatively High or Very High by FEMA with few projects matching the current filters.
+                </div>
+                <label style={{ fontSize: '0.8em', color: '#1b3a4b' }}>
+                  Show tracts with at most{' '}
+                  <select
+                    value={gapMaxProjects}
+                    onChange={(e) => setGapMaxProjects(Number(e.target.value))}
+                    style={{ fontSize: '1em', border: '1px solid rgba(0, 0, 0, 0.1)', borderRadius: '4px', background: 'rgba(255, 255, 255, 0.8)' }}
+                  >
+                    {[0, 1, 2, 3].map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                  {' '}projects
+                </label>
+              </div>
+              <div style={{ overflowY: 'auto', flex: 1 }}>
+                {tractGaps.map((gap, index) => (
+                  <div
+                    key={gap.geoid || index}
+                    onClick={() => zoomToTract(gap.feature)}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '10px',
+                      padding: '8px 16px',
+                      borderTop: index === 0 ? 'none' : '1px solid rgba(0, 0, 0, 0.05)',
+                      cursor: 'pointer',
+                      fontSize: '0.82em'
+                    }}
+                  >
+                    <div style={{ width: '22px', color: '#90a4ae', fontWeight: 600, textAlign: 'right' }}>{index + 1}</div>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ color: '#2c3e50', fontWeight: 500 }}>{gap.name || gap.geoid}</div>
+                      <div style={{ color: '#546e7a', fontSize: '0.9em' }}>
+                        <span style={{ color: gap.riskRating === 'Very High' ? '#E64A19' : '#FF8A65', fontWeight: 600 }}>{gap.riskRating}</span>
+                        {gap.population !== null && <span> · {formatWithCommas(gap.population)} residents</span>}
+                      </div>
+                    </div>
+                    <div style={{ textAlign: 'right', color: '#2c3e50', whiteSpace: 'nowrap' }}>
+                      <div>{gap.projectCount} {gap.projectCount === 1 ? 'project' : 'projects'}</div>
+                      <div style={{ color: '#546e7a', fontSize: '0.9em' }}>{gap.totalCost > 0 ? formatCostCompact(gap.totalCost) : '—'}</div>
+                    </div>
+                  </div>
+                ))}
+                {tractGaps.length === 0 && (
+                  <div style={{ padding: '16px', textAlign: 'center', color: '#546e7a', fontSize: '0.85em' }}>
+                    Every high-risk tract has more than {gapMaxProjects} matching {gapMaxProjects === 1 ? 'project' : 'projects'}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Inventory Diff Panel */}
+          {diffOpen && (
+            <div style={{
+              position: 'absolute',
+              top: isMobile ? '56px' : '20px',
+              left: isMobile ? '8px' : '60px',
+              right: isMobile ? '8px' : 'auto',
+              width: isMobile ? 'auto' : '440px',
+              maxHeight: isMobile ? '55vh' : '70vh',
+              display: 'flex',
+              flexDirection: 'column',
+              zIndex: 1002,
+              background: 'rgba(255, 255, 255, 0.9)',
+              backdropFilter: 'blur(20px) saturate(180%)',
+              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+              borderRadius: '12px',
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+              border: '1px solid rgba(255, 255, 255, 0.3)',
+              overflow: 'hidden'
+            }}>
+              <div style={{ padding: '16px 16px 12px', borderBottom: '1px solid rgba(0, 0, 0, 0.06)' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                  <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b' }}>Inventory Changes</div>
+                  <button
+                    aria-label="Close inventory comparison"
+                    onClick={closeInventoryDiff}
+                    style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#546e7a', fontSize: '1.1em', lineHeight: 1 }}
+                  >
+                    ×
+                  </button>
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '10px' }}>
+                  {[
+                    { label: 'From', value: diffBaseId, onChange: setDiffBaseId },
+                    { label: 'To', value: diffCompareId, onChange: setDiffCompareId }
+                  ].map(({ label, value, onChange }) => (
+                    <label key={label} style={{ fontSize: '0.75em', color: '#546e7a', fontWeight: 500 }}>
+                      {label}
+                      <select
+                        value={value}
+                        onChange={(e) => onChange(e.target.value)}
+                        style={{ display: 'block', width: '100%', marginTop: '4px', padding: '6px 8px', fontSize: '1.1em', color: '#2c3e50', border: '1px solid rgba(0, 0, 0, 0.1)', borderRadius: '6px', background: 'rgba(255, 255, 255, 0.8)' }}
+                      >
+                        {PROJECT_DATASETS.map(dataset => (
+                          <option key={dataset.id} value={dataset.id}>{formatDatasetLabel(dataset)}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <button
+                  onClick={runInventoryDiff}
+                  disabled={diffLoading || diffBaseId === diffCompareId}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '0.85em',
+                    background: '#01321e',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    cursor: diffLoading || diffBaseId === diffCompareId ? 'default' : 'pointer',
+                    opacity: diffLoading || diffBaseId === diffCompareId ? 0.6 : 1
+                  }}
+                >
+                  {diffLoading ? 'Comparing…' : 'Compare'}
+                </button>
+                {diffError && (
+                  <div style={{ marginTop: '8px', fontSize: '0.8em', color: '#e74c3c' }}>{diffError}</div>
+                )}
+                {diffResult && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+                    {['changed', DIFF_STATUS.ADDED, DIFF_STATUS.REMOVED, DIFF_STATUS.MODIFIED, DIFF_STATUS.UNCHANGED].map(status => {
+                      const isActive = diffStatusFilter === status;
+                      const count = status === 'changed'
+                        ? diffResult.summary.added + diffResult.summary.removed + diffResult.summary.modified
+                        : diffResult.summary[status];
+                      const color = DIFF_STATUS_COLORS[status] || '#1b3a4b';
+                      return (
+                        <button
+                          key={status}
+                          onClick={() => setDiffStatusFilter(status)}
+                          style={{
+                            padding: '3px 8px',
+                            fontSize: '0.75em',
+                            borderRadius: '12px',
+                            border: `1px solid ${color}`,
+                            background: isActive ? color : 'transparent',
+                            color: isActive ? 'white' : color,
+                            cursor: 'pointer',
+                            fontWeight: 600
+                          }}
+                        >
+                          {status === 'changed' ? 'All changes' : DIFF_STATUS_LABELS[status]} ({count})
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+              {diffResult && (
+                <div style={{ overflowY: 'auto', flex: 1 }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8em' }}>
+                    <thead>
+                      <tr style={{ textAlign: 'left', color: '#546e7a' }}>
+                        <th style={{ padding: '8px 16px', fontWeight: 600 }}>Status</th>
+                        <th style={{ padding: '8px 8px', fontWeight: 600 }}>Project</th>
+                        <th style={{ padding: '8px 16px 8px 8px', fontWeight: 600 }}>Changes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diffRows.map((entry, index) => {
+                        const coordinates = entry.compare?.coordinates || entry.base?.coordinates;
+                        return (
+                          <tr
+                            key={index}
+                            onClick={() => {
+                              if (coordinates && map.current) {
+                                map.current.flyTo({ center: coordinates, zoom: 15, duration: 1500 });
+                              }
+                            }}
+                            style={{ borderTop: '1px solid rgba(0, 0, 0, 0.05)', cursor: coordinates ? 'pointer' : 'default', verticalAlign: 'top' }}
+                          >
+                            <td style={{ padding: '8px 16px', color: DIFF_STATUS_COLORS[entry.status], fontWeight: 600, whiteSpace: 'nowrap' }}>
+                              {DIFF_STATUS_LABELS[entry.status]}
+                            </td>
+                            <td style={{ padding: '8px 8px', color: '#2c3e50' }}>{entry.name || 'Unnamed Project'}</td>
+                            <td style={{ padding: '8px 16px 8px 8px', color: '#546e7a' }}>
+                              {entry.changes.length > 0
+                                ? entry.changes.map(change => <div key={change.field}>{describeDiffChange(change)}</div>)
+                                : '—'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  {diffRows.length === 0 && (
+                    <div style={{ padding: '16px', textAlign: 'center', color: '#546e7a', fontSize: '0.85em' }}>
+                      No projects in this group
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
           )}
 
           {map.current && (
             <MapboxPopup map={map.current} activeFeature={activeFeature} />
           )}
 
+          {detailProject && (
+            <ProjectDetailPanel
+              project={detailProject}
+              nearby={nearbyProjects}
+              isMobile={isMobile}
+              getMarkerColor={getMarkerColor}
+              shareUrl={detailShareUrl}
+              linkCopied={detailLinkCopied}
+              onCopyLink={handleCopyDetailLink}
+              onSelectProject={handleSelectNearbyProject}
+              onClose={() => setDetailProjectId(null)}
+            />
+          )}
+
+          {printReport && (
+            <PrintReport
+              report={printReport}
+              legend={getReportLegend()}
+              showCejst={cejstVisible}
+              filters={describeExportFilters({
+                dataset: formatDatasetLabel(activeDataset),
+                types: selectedTypes,
+                categories: selectedCategories,
+                disasterFocus: selectedDisasterFocus,
+                statuses: selectedStatuses,
+                city: selectedCity,
+                years: timelineRange,
+                date: printReport.createdAt
+              }).filter(([label]) => label !== 'Exported')}
+              stats={filteredStats}
+              pieData={pieChartData}
+              projects={filteredProjects}
+              onClose={() => setPrintReport(null)}
+            />
+          )}
+
+          {indexSourceStatus && indexSourceStatus.boundaries?.status !== SOURCE_STATUS.LOADED && (
+            <div style={{
+              position: 'absolute',
+              bottom: isMobile ? '62px' : '190px',
+              right: isMobile ? 'max(16px, env(safe-area-inset-right))' : '20px',
+              zIndex: 1000,
+              background: 'rgba(255, 255, 255, 0.85)',
+              backdropFilter: 'blur(20px) saturate(180%)',
+              WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+              padding: isMobile ? '12px 14px' : '16px',
+              borderRadius: isMobile ? '10px' : '12px',
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+              border: '1px solid rgba(255, 255, 255, 0.3)',
+              maxWidth: '260px'
+            }}>
+              <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b', marginBottom: '6px' }}>
+                Modelling Layer unavailable
+              </div>
+              <div style={{ fontSize: '0.8em', color: '#546e7a' }}>
+                Census tract boundaries could not be loaded, so no index can be drawn.
+              </div>
+              <SourceStatusList status={indexSourceStatus} defaultOpen />
+            </div>
+          )}
+
           {censusLayersReady && censusStats && (
             <>
               {isMobile ? (
                 <>
-                  {/* Mobile: Layers dropdown above Satellite (bottom-up: Satellite, then Layers dropdown) */}
+                  {/* Mobile: Layers dropdown above Satellite (bottom-up: Satellite, Layers dropdown, CEJST toggle) */}
                   <div
                     style={{
                       position: 'absolute',
                       bottom: '62px',
                       right: 'max(16px, env(safe-area-inset-right))',
                       zIndex: 1000,
-                      minWidth: '160px'
+                      minWidth: '160px',
+                      display: 'flex',
+                      flexDirection: 'column',
+                      gap: '6px'
                     }}
                   >
+                    <label style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      padding: '5px 10px',
+                      background: 'rgba(255, 255, 255, 0.85)',
+                      backdropFilter: 'blur(20px) saturate(180%)',
+                      WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                      border: '1px solid rgba(255, 255, 255, 0.3)',
+                      borderRadius: '10px',
+                      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+                      color: '#1b3a4b',
+                      fontSize: '0.8em',
+                      cursor: 'pointer'
+                    }}>
+                      <input
+                        type="checkbox"
+                        checked={cejstVisible}
+                        disabled={!isSourceLoaded('cejst')}
+                        onChange={(e) => setCejstVisible(e.target.checked)}
+                      />
+                      <CejstSwatch />
+                      CEJST disadvantaged
+                    </label>
                     <select
                       aria-label="Modelling layer"
                       value={!censusVisible || activeCensusView === 'none' ? 'none' : activeCensusView}
@@ -2567,34 +4295,79 @@ const App = () => {
                       }}
                     >
                       <option value="none">No Layer</option>
-                      <option value="risk">Risk Index</option>
-                      <option value="pred3pe">Resilience Index</option>
+                      <option value="risk" disabled={!layerAvailability.risk}>Risk Index</option>
+                      <option value="cre" disabled={!layerAvailability.cre}>Resilience Index</option>
+                      <option value="vulnerability" disabled={!layerAvailability.vulnerability}>Social Vulnerability Index</option>
+                      <option value="bivariate" disabled={!layerAvailability.bivariate}>Risk × Resilience</option>
                     </select>
                   </div>
                   {/* Mobile: Legend always visible when layer is active (above Layers dropdown) */}
                   {censusVisible && activeCensusView === 'risk' && sortedRatings.length > 0 && (
-                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '108px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)', minWidth: '180px' }}>
-                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', marginBottom: '8px' }}>FEMA Risk Rating</div>
+                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '140px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)', minWidth: '180px' }}>
+                      <HazardLayerOptions
+                        hazard={riskHazard}
+                        component={riskComponent}
+                        available={hazardAvailability}
+                        onHazardChange={handleRiskHazardChange}
+                        onComponentChange={setRiskComponent}
+                        mode={riskScoreMode ? 'score' : 'rating'}
+                        classification={riskClassification}
+                        scoreAvailable={riskScoreBreaks.length > 1}
+                        onModeChange={setRiskColorMode}
+                        onClassificationChange={setRiskClassification}
+                      />
+                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', margin: '10px 0 8px' }}>{riskLegendTitle}{riskScoreMode && ' (score)'}</div>
+                      {riskScoreMode ? (
+                        <ClassBreaksLegend breaks={riskScoreBreaks} colors={riskScoreColors} formatValue={(value) => value.toFixed(1)} compact />
+                      ) : (
                       <div style={{ marginBottom: '4px' }}>
                         <div style={{ width: '100%', height: '14px', borderRadius: '4px', overflow: 'hidden', marginBottom: '4px' }}>
-                          <div style={{ width: '100%', height: '100%', background: 'linear-gradient(to right, #FFF9C4 0%, #FFF9C4 20%, #FFE082 25%, #FFE082 40%, #FFB74D 45%, #FFB74D 60%, #FF8A65 65%, #FF8A65 80%, #E64A19 85%, #E64A19 100%)' }}></div>
+                          <div style={{ width: '100%', height: '100%', background: riskLegendGradient }}></div>
                         </div>
                         <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7em', color: '#546e7a' }}><span>Very Low</span><span>Very High</span></div>
                       </div>
+                      )}
+                    </div>
+                  )}
+                  {censusVisible && activeCensusView === 'vulnerability' && vulnerabilityBreaks.length > 1 && (
+                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '140px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)', minWidth: '180px' }}>
+                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', marginBottom: '8px' }}>Social Vulnerability (quintiles)</div>
+                      <ClassBreaksLegend breaks={vulnerabilityBreaks} colors={VULNERABILITY_INDEX_COLORS} compact />
+                    </div>
+                  )}
+                  {censusVisible && activeCensusView === 'bivariate' && censusStats?.bivariate && (
+                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '140px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)' }}>
+                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', marginBottom: '8px' }}>Risk × Resilience</div>
+                      <BivariateLegend breaks={censusStats.bivariate.breaks} compact />
                     </div>
                   )}
-                  {censusVisible && activeCensusView === 'pred3pe' && censusStats?.pred3PE && (
-                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '108px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)', minWidth: '180px' }}>
-                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', marginBottom: '8px' }}>Resilience Index (%)</div>
+                  {censusVisible && activeCensusView === 'cre' && creLegendStats && (
+                    <div style={{ position: 'absolute', right: 'max(16px, env(safe-area-inset-right))', bottom: '140px', zIndex: 1000, background: 'rgba(255, 255, 255, 0.85)', backdropFilter: 'blur(20px) saturate(180%)', WebkitBackdropFilter: 'blur(20px) saturate(180%)', padding: '12px 14px', borderRadius: '10px', boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)', border: '1px solid rgba(255, 255, 255, 0.3)', minWidth: '180px' }}>
+                      <CreLayerOptions
+                        bucket={creBucket}
+                        measure={creMeasure}
+                        showUncertainty={creShowUncertainty}
+                        onBucketChange={setCreBucket}
+                        onMeasureChange={setCreMeasure}
+                        onShowUncertaintyChange={setCreShowUncertainty}
+                      />
+                      <div style={{ fontSize: '0.9em', fontWeight: 600, color: '#1b3a4b', margin: '10px 0 8px' }}>{creLegendTitle}</div>
                       <div style={{ marginBottom: '4px' }}>
                         <div style={{ width: '100%', height: '14px', borderRadius: '4px', overflow: 'hidden', marginBottom: '4px' }}>
-                          <div style={{ width: '100%', height: '100%', background: 'linear-gradient(to right, #E8D4F5 0%, #E8D4F5 10%, #D4B3E8 20%, #C298DB 35%, #A866C7 50%, #7A3FA8 65%, #5A1D85 80%, #2D0045 90%, #2D0045 100%)' }}></div>
+                          <div style={{ width: '100%', height: '100%', background: creLegendGradient }}></div>
                         </div>
                         <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7em', color: '#546e7a' }}>
-                          <span>{censusStats.pred3PE.min?.toFixed(1) || '0'}%</span>
-                          <span>{censusStats.pred3PE.max?.toFixed(1) || '0'}%</span>
+                          <span>{formatCreLegendValue(creLegendStats.min)}</span>
+                          <span>{formatCreLegendValue(creLegendStats.max)}</span>
                         </div>
                       </div>
+                      {creShowUncertainty && (
+                        <UncertaintyLegend
+                          threshold={creCvThreshold}
+                          unreliableCount={creUnreliableCount}
+                          onThresholdChange={setCreCvThreshold}
+                        />
+                      )}
                     </div>
                   )}
                 </>
@@ -2627,26 +4400,108 @@ const App = () => {
                       />
                       No Layer
                     </label>
-                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', cursor: 'pointer', fontSize: '0.9em', color: '#1b3a4b' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', cursor: layerAvailability.risk ? 'pointer' : 'default', opacity: layerAvailability.risk ? 1 : 0.5, fontSize: '0.9em', color: '#1b3a4b' }}>
                       <input
                         type="radio"
                         name="census-view"
                         value="risk"
                         checked={activeCensusView === 'risk' && censusVisible}
+                        disabled={!layerAvailability.risk}
                         onChange={() => handleCensusViewChange('risk')}
                       />
                       Risk Index
+                      {!layerAvailability.risk && (
+                        <SourceStatusBadge source={indexSourceStatus?.[layerSourceKeys.risk]} />
+                      )}
                     </label>
-                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '0.9em', color: '#1b3a4b' }}>
+                    {activeCensusView === 'risk' && censusVisible && layerAvailability.risk && (
+                      <div style={{ margin: '0 0 8px 24px' }}>
+                        <HazardLayerOptions
+                          hazard={riskHazard}
+                          component={riskComponent}
+                          available={hazardAvailability}
+                          onHazardChange={handleRiskHazardChange}
+                          onComponentChange={setRiskComponent}
+                          mode={riskScoreMode ? 'score' : 'rating'}
+                          classification={riskClassification}
+                          scoreAvailable={riskScoreBreaks.length > 1}
+                          onModeChange={setRiskColorMode}
+                          onClassificationChange={setRiskClassification}
+                        />
+                      </div>
+                    )}
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: layerAvailability.cre ? 'pointer' : 'default', opacity: layerAvailability.cre ? 1 : 0.5, fontSize: '0.9em', color: '#1b3a4b' }}>
                       <input
                         type="radio"
                         name="census-view"
-                        value="pred3pe"
-                        checked={activeCensusView === 'pred3pe' && censusVisible}
-                        onChange={() => handleCensusViewChange('pred3pe')}
+                        value="cre"
+                        checked={activeCensusView === 'cre' && censusVisible}
+                        disabled={!layerAvailability.cre}
+                        onChange={() => handleCensusViewChange('cre')}
                       />
                       Resilience Index
+                      {!layerAvailability.cre && (
+                        <SourceStatusBadge source={indexSourceStatus?.[layerSourceKeys.cre]} />
+                      )}
+                    </label>
+                    {activeCensusView === 'cre' && censusVisible && (
+                      <div style={{ margin: '8px 0 8px 24px' }}>
+                        <CreLayerOptions
+                          bucket={creBucket}
+                          measure={creMeasure}
+                          showUncertainty={creShowUncertainty}
+                          onBucketChange={setCreBucket}
+                          onMeasureChange={setCreMeasure}
+                          onShowUncertaintyChange={setCreShowUncertainty}
+                        />
+                      </div>
+                    )}
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', cursor: layerAvailability.vulnerability ? 'pointer' : 'default', opacity: layerAvailability.vulnerability ? 1 : 0.5, fontSize: '0.9em', color: '#1b3a4b' }}>
+                      <input
+                        type="radio"
+                        name="census-view"
+                        value="vulnerability"
+                        checked={activeCensusView === 'vulnerability' && censusVisible}
+                        disabled={!layerAvailability.vulnerability}
+                        onChange={() => handleCensusViewChange('vulnerability')}
+                      />
+                      Social Vulnerability Index
+                      {!layerAvailability.vulnerability && (
+                        <SourceStatusBadge source={indexSourceStatus?.[layerSourceKeys.vulnerability]} />
+                      )}
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', cursor: layerAvailability.bivariate ? 'pointer' : 'default', opacity: layerAvailability.bivariate ? 1 : 0.5, fontSize: '0.9em', color: '#1b3a4b' }}>
+                      <input
+                        type="radio"
+                        name="census-view"
+                        value="bivariate"
+                        checked={activeCensusView === 'bivariate' && censusVisible}
+                        disabled={!layerAvailability.bivariate}
+                        onChange={() => handleCensusViewChange('bivariate')}
+                      />
+                      Risk × Resilience
+                      {!layerAvailability.bivariate && (
+                        <SourceStatusBadge source={indexSourceStatus?.[isSourceLoaded('risk') ? 'resilience' : 'risk']} />
+                      )}
+                    </label>
+                    <div style={{ borderTop: '1px solid rgba(0, 0, 0, 0.08)', margin: '10px 0 8px' }}></div>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: isSourceLoaded('cejst') ? 'pointer' : 'default', opacity: isSourceLoaded('cejst') ? 1 : 0.5, fontSize: '0.9em', color: '#1b3a4b' }}>
+                      <input
+                        type="checkbox"
+                        checked={cejstVisible}
+                        disabled={!isSourceLoaded('cejst')}
+                        onChange={(e) => setCejstVisible(e.target.checked)}
+                      />
+                      <CejstSwatch />
+                      CEJST Disadvantaged
+                      {!isSourceLoaded('cejst') && <SourceStatusBadge source={indexSourceStatus?.cejst} />}
                     </label>
+                    {cejstVisible && censusStats?.cejst && (
+                      <div style={{ margin: '4px 0 0 24px', fontSize: '0.75em', color: '#546e7a', maxWidth: '200px' }}>
+                        {censusStats.cejst.disadvantaged} tracts identified as disadvantaged by the Climate and Economic Justice Screening Tool
+                      </div>
+                    )}
+                    <SourceStatusList status={indexSourceStatus} />
                   </div>
 
               {censusVisible && activeCensusView === 'risk' && sortedRatings.length > 0 && (
@@ -2665,8 +4520,16 @@ const App = () => {
                   minWidth: '220px'
                 }}>
                   <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b', marginBottom: '12px' }}>
-                    FEMA Risk Rating
+                    {riskLegendTitle}{riskScoreMode && ' (score)'}
                   </div>
+                  {riskScoreMode ? (
+                    <>
+                      <ClassBreaksLegend breaks={riskScoreBreaks} colors={riskScoreColors} formatValue={(value) => value.toFixed(1)} />
+                      <div style={{ fontSize: '0.7em', color: '#90a4ae', marginTop: '6px' }}>
+                        {CLASSIFICATION_METHODS[riskClassification]} breaks; colors blend between classes
+                      </div>
+                    </>
+                  ) : (
                   <div style={{ marginBottom: '8px' }}>
                     <div style={{
                       width: '100%',
@@ -2678,7 +4541,7 @@ const App = () => {
                       <div style={{
                         width: '100%',
                         height: '100%',
-                        background: 'linear-gradient(to right, #FFF9C4 0%, #FFF9C4 20%, #FFE082 25%, #FFE082 40%, #FFB74D 45%, #FFB74D 60%, #FF8A65 65%, #FF8A65 80%, #E64A19 85%, #E64A19 100%)'
+                        background: riskLegendGradient
                     }}></div>
                     </div>
                     <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75em', color: '#546e7a' }}>
@@ -2686,10 +4549,54 @@ const App = () => {
                       <span>Very High</span>
                     </div>
                   </div>
+                  )}
+                </div>
+              )}
+
+              {censusVisible && activeCensusView === 'vulnerability' && vulnerabilityBreaks.length > 1 && (
+                <div style={{
+                  position: 'absolute',
+                  right: '20px',
+                  bottom: '70px',
+                  zIndex: 1000,
+                  background: 'rgba(255, 255, 255, 0.75)',
+                  backdropFilter: 'blur(20px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                  padding: '16px',
+                  borderRadius: '12px',
+                  boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+                  border: '1px solid rgba(255, 255, 255, 0.3)',
+                  minWidth: '220px'
+                }}>
+                  <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b', marginBottom: '12px' }}>
+                    Social Vulnerability (quintiles)
+                  </div>
+                  <ClassBreaksLegend breaks={vulnerabilityBreaks} colors={VULNERABILITY_INDEX_COLORS} />
+                </div>
+              )}
+
+              {censusVisible && activeCensusView === 'bivariate' && censusStats?.bivariate && (
+                <div style={{
+                  position: 'absolute',
+                  right: '20px',
+                  bottom: '70px',
+                  zIndex: 1000,
+                  background: 'rgba(255, 255, 255, 0.75)',
+                  backdropFilter: 'blur(20px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+                  padding: '16px',
+                  borderRadius: '12px',
+                  boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+                  border: '1px solid rgba(255, 255, 255, 0.3)'
+                }}>
+                  <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b', marginBottom: '12px' }}>
+                    Risk × Resilience
+                  </div>
+                  <BivariateLegend breaks={censusStats.bivariate.breaks} />
                 </div>
               )}
 
-              {censusVisible && activeCensusView === 'pred3pe' && censusStats?.pred3PE && (
+              {censusVisible && activeCensusView === 'cre' && creLegendStats && (
                 <div style={{
                   position: 'absolute',
                   right: '20px',
@@ -2705,7 +4612,7 @@ const App = () => {
                   minWidth: '220px'
                 }}>
                   <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b', marginBottom: '12px' }}>
-                    Resilience Index (%)
+                    {creLegendTitle}
                   </div>
                   <div style={{ marginBottom: '8px' }}>
                     <div style={{
@@ -2718,14 +4625,21 @@ const App = () => {
                       <div style={{
                         width: '100%',
                         height: '100%',
-                        background: 'linear-gradient(to right, #E8D4F5 0%, #E8D4F5 10%, #D4B3E8 20%, #C298DB 35%, #A866C7 50%, #7A3FA8 65%, #5A1D85 80%, #2D0045 90%, #2D0045 100%)'
+                        background: creLegendGradient
                       }}></div>
                     </div>
                     <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75em', color: '#546e7a' }}>
-                      <span>{censusStats.pred3PE.min?.toFixed(1) || '0'}%</span>
-                      <span>{censusStats.pred3PE.max?.toFixed(1) || '0'}%</span>
+                      <span>{formatCreLegendValue(creLegendStats.min)}</span>
+                      <span>{formatCreLegendValue(creLegendStats.max)}</span>
                     </div>
                   </div>
+                  {creShowUncertainty && (
+                    <UncertaintyLegend
+                      threshold={creCvThreshold}
+                      unreliableCount={creUnreliableCount}
+                      onThresholdChange={setCreCvThreshold}
+                    />
+                  )}
                 </div>
               )}
                 </>
@@ -2796,6 +4710,10 @@ const App = () => {
           0% { transform: rotate(0deg); }
           100% { transform: rotate(360deg); }
         }
+        @keyframes slideInRight {
+          from { transform: translateX(24px); opacity: 0; }
+          to { transform: translateX(0); opacity: 1; }
+        }
         .mapboxgl-popup-content {
           background: rgba(255, 255, 255, 0.85) !important;
           backdrop-filter: blur(20px) saturate(180%) !important;
@@ -2867,7 +4785,7 @@ const MapboxPopup = ({ map, activeFeature }) => {
       return;
     }
 
-    const coords = activeFeature.geometry?.coordinates;
+    const coords = getProjectRecord(activeFeature)?.coordinates;
     if (!coords) return;
 
     // Remove existing popup first to prevent close event from interfering
@@ -2878,64 +4796,764 @@ const MapboxPopup = ({ map, activeFeature }) => {
     requestAnimationFrame(() => {
       if (!map || !popupRef.current || !activeFeature) return;
       
-      const coords = activeFeature.geometry?.coordinates;
+      const coords = getProjectRecord(activeFeature)?.coordinates;
       if (!coords) return;
 
       popupRef.current
         .setLngLat(coords)
         .setHTML(contentRef.current.outerHTML)
         .addTo(map);
+
+      // The popup holds a static copy of the markup, so the button is wired up here
+      const detailsButton = popupRef.current.getElement()?.querySelector('[data-project-details]');
+      if (detailsButton) {
+        const projectId = getProjectRecord(activeFeature).linkId;
+        detailsButton.addEventListener('click', () => {
+          window.dispatchEvent(new CustomEvent('projectDetailsRequested', { detail: { projectId } }));
+        });
+      }
     });
   }, [map, activeFeature]);
 
   if (!contentRef.current) return null;
 
-  const props = activeFeature?.properties || {};
+  const project = getProjectRecord(activeFeature) || {};
 
   return (
     <>{createPortal(
       <div className="portal-content" style={{ maxWidth: 360 }}>
         <div style={{ fontSize: '1.05em', fontWeight: 700, color: '#2c3e50', marginBottom: 10 }}>
-          {props['Project_Na'] || props['Project Name'] || 'Project'}
+          {project.name || 'Project'}
         </div>
         <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '0 6px', fontSize: '0.9em' }}>
           <tbody>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600, width: 110 }}>Infrastructure Type</td>
-              <td style={{ color: '#2c3e50' }}>{props['Infrastruc'] || props['Infrastructure Type'] || props['Type'] || '—'}</td>
+              <td style={{ color: '#2c3e50' }}>{project.typeLabel || '—'}</td>
             </tr>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600 }}>Category</td>
-              <td style={{ color: '#2c3e50' }}>{props['Categories'] || '—'}</td>
+              <td style={{ color: '#2c3e50' }}>{project.categories || '—'}</td>
             </tr>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600 }}>Focus</td>
-              <td style={{ color: '#2c3e50' }}>{props['Disaster_F'] || props['Disaster Focus'] || '—'}</td>
+              <td style={{ color: '#2c3e50' }}>{project.disasterFocus || '—'}</td>
             </tr>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600 }}>City</td>
-              <td style={{ color: '#2c3e50' }}>{(props['NAME'] || props['City']) ? formatCityName((props['NAME'] || props['City']).trim()) : '—'}</td>
+              <td style={{ color: '#2c3e50' }}>{project.city ? formatCityName(project.city) : '—'}</td>
             </tr>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600 }}>Status</td>
-              <td style={{ color: (props['Project__1'] || props['Project Status'] || '').toLowerCase() === 'completed' ? '#27ae60' : '#f39c12', fontWeight: 700 }}>
-                {props['Project__1'] || props['Project Status'] || 'Unknown'}
+              <td style={{ color: (PROJECT_STATUS_STYLES[project.statusGroup] || PROJECT_STATUS_STYLES.Unknown).color, fontWeight: 700 }}>
+                {project.status || 'Unknown'}
               </td>
             </tr>
             <tr>
               <td style={{ color: '#34495e', fontWeight: 600 }}>Cost</td>
-              <td style={{ color: ((props['Estimated_'] || props['Estimated Project Cost']) == null) ?'#f39c12' : '#27ae60', fontWeight: 700 }}>{
-                  formatCostCompact(props['Estimated_'] || props['Estimated Project Cost']) || 'Not Disclosed'}</td>
+              <td style={{ color: project.cost == null ? '#f39c12' : '#27ae60', fontWeight: 700 }}>{
+                  formatCostCompact(project.cost) || 'Not Disclosed'}</td>
             </tr>
           </tbody>
         </table>
-        {(props['New_15_25_'] || props['New 15-25 Words Project Description']) && (
+        {project.description && (
           <div style={{ marginTop: 12, paddingTop: 10, borderTop: '1px solid #ecf0f1', color: '#7f8c8d', fontSize: '0.85em', lineHeight: 1.4 }}>
-            {props['New_15_25_'] || props['New 15-25 Words Project Description']}
+            {project.description}
           </div>
         )}
+        {project.linkId && (
+          <button
+            type="button"
+            data-project-details
+            style={{ marginTop: 10, padding: '5px 10px', background: '#1b3a4b', color: 'white', border: 'none', borderRadius: 6, fontSize: '0.8em', cursor: 'pointer' }}
+          >
+            View all details
+          </button>
+        )}
       </div>,
       contentRef.current
     )}</>
   );
-};
\ No newline at end of file
+};
+
+// Filter checkbox with its live match count; options that would empty the map are greyed out
+const FacetCheckbox = ({ label, count, checked, onChange, icon }) => {
+  const isEmpty = count === 0 && !checked;
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', marginBottom: '8px', cursor: isEmpty ? 'default' : 'pointer', opacity: isEmpty ? 0.45 : 1 }}>
+      <input
+        type="checkbox"
+        checked={checked}
+        disabled={isEmpty}
+        onChange={(e) => onChange(e.target.checked)}
+        style={{ marginRight: '8px', cursor: isEmpty ? 'default' : 'pointer' }}
+      />
+      {icon}
+      <span style={{ color: '#546e7a', fontSize: '0.9em' }}>
+        {label} <span style={{ color: '#90a4ae' }}>({count})</span>
+      </span>
+    </label>
+  );
+};
+
+// Small static map centred on the project, with its neighbours as dots
+const ProjectMiniMap = ({ project, nearby, getMarkerColor }) => {
+  const containerRef = useRef(null);
+  const getMarkerColorRef = useRef(getMarkerColor); // Recreated on every App render; not worth rebuilding the map for
+  getMarkerColorRef.current = getMarkerColor;
+
+  useEffect(() => {
+    if (!containerRef.current || !project.coordinates) return;
+    const getColor = getMarkerColorRef.current;
+    const miniMap = new mapboxgl.Map({
+      container: containerRef.current,
+      style: 'mapbox://styles/mapbox/light-v11',
+      center: project.coordinates,
+      zoom: 14,
+      interactive: false,
+      attributionControl: false
+    });
+    const markers = nearby.map(({ project: neighbour }) => {
+      const element = document.createElement('div');
+      Object.assign(element.style, {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        background: getColor(neighbour.type),
+        border: '1px solid white',
+        opacity: '0.8'
+      });
+      return new mapboxgl.Marker({ element }).setLngLat(neighbour.coordinates).addTo(miniMap);
+    });
+    markers.push(new mapboxgl.Marker({ color: getColor(project.type) }).setLngLat(project.coordinates).addTo(miniMap));
+
+    return () => {
+      markers.forEach(marker => marker.remove());
+      miniMap.remove();
+    };
+  }, [project, nearby]);
+
+  if (!project.coordinates) return null;
+
+  return (
+    <div>
+      <div ref={containerRef} style={{ height: '150px', borderRadius: '8px', overflow: 'hidden', border: '1px solid rgba(0, 0, 0, 0.08)' }} />
+      <div style={{ fontSize: '0.7em', color: '#90a4ae', marginTop: '4px' }}>
+        {project.coordinates[1].toFixed(5)}, {project.coordinates[0].toFixed(5)}
+      </div>
+    </div>
+  );
+};
+
+// Render free text with any URLs in it as links
+const LinkedText = ({ text }) => (
+  <>
+    {splitTextLinks(text).map((segment, index) => (segment.url ? (
+      <a key={index} href={segment.url} target="_blank" rel="noopener noreferrer" style={{ color: '#2980b9', wordBreak: 'break-all' }}>
+        {segment.text}
+      </a>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )))}
+  </>
+);
+
+const formatDetailValue = (field) => {
+  if (field.key === 'city') return formatCityName(field.value);
+  if (field.key === 'cost') return `$${formatWithCommas(field.value)}`;
+  if (field.links) return <LinkedText text={field.value} />;
+  return String(field.value);
+};
+
+// Slide-out panel with every attribute of a project, a locator map and nearby projects
+const ProjectDetailPanel = ({ project, nearby, isMobile, getMarkerColor, shareUrl, linkCopied, onCopyLink, onSelectProject, onClose }) => {
+  const fields = getProjectDetailFields(project);
+  const shortFields = fields.filter(field => !field.long);
+  const longFields = fields.filter(field => field.long);
+  const sectionTitleStyle = { fontSize: '0.72em', fontWeight: 600, color: '#546e7a', textTransform: 'uppercase', letterSpacing: '0.04em', marginBottom: '6px' };
+
+  return (
+    <div
+      role="dialog"
+      aria-label={`${project.name || 'Project'} details`}
+      style={{
+        position: 'absolute',
+        top: isMobile ? 'auto' : '20px',
+        bottom: isMobile ? '8px' : '20px',
+        right: isMobile ? '8px' : '20px',
+        left: isMobile ? '8px' : 'auto',
+        width: isMobile ? 'auto' : '380px',
+        maxHeight: isMobile ? '70vh' : 'none',
+        display: 'flex',
+        flexDirection: 'column',
+        zIndex: 1003,
+        background: 'rgba(255, 255, 255, 0.92)',
+        backdropFilter: 'blur(20px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.12), inset 0 0 0 1px rgba(255, 255, 255, 0.6)',
+        border: '1px solid rgba(255, 255, 255, 0.3)',
+        overflow: 'hidden',
+        animation: 'slideInRight 0.2s ease-out'
+      }}
+    >
+      <div style={{ padding: '16px 16px 12px', borderBottom: '1px solid rgba(0, 0, 0, 0.06)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', minWidth: 0 }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: getMarkerColor(project.type), flexShrink: 0 }} />
+            <div style={{ fontSize: '1em', fontWeight: 600, color: '#1b3a4b' }}>{project.name || 'Project'}</div>
+          </div>
+          <button
+            aria-label="Close project details"
+            onClick={onClose}
+            style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#546e7a', fontSize: '1.1em', lineHeight: 1 }}
+          >
+            ×
+          </button>
+        </div>
+        <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+          <input
+            readOnly
+            aria-label="Link to this project"
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            style={{ flex: 1, minWidth: 0, fontSize: '0.75em', padding: '4px 6px', color: '#546e7a', border: '1px solid rgba(0, 0, 0, 0.1)', borderRadius: '4px', background: 'rgba(255, 255, 255, 0.8)' }}
+          />
+          <button
+            onClick={onCopyLink}
+            style={{ padding: '4px 10px', fontSize: '0.75em', background: '#1b3a4b', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', whiteSpace: 'nowrap' }}
+          >
+            {linkCopied ? 'Copied' : 'Copy link'}
+          </button>
+        </div>
+      </div>
+
+      <div style={{ overflowY: 'auto', flex: 1, padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '14px' }}>
+        <ProjectMiniMap project={project} nearby={nearby} getMarkerColor={getMarkerColor} />
+
+        <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '0 5px', fontSize: '0.82em' }}>
+          <tbody>
+            {shortFields.map(field => (
+              <tr key={field.key}>
+                <td style={{ color: '#34495e', fontWeight: 600, width: 130, verticalAlign: 'top' }}>{field.label}</td>
+                <td style={{
+                  color: field.key === 'status' ? PROJECT_STATUS_STYLES[project.statusGroup].color : '#2c3e50',
+                  fontWeight: field.key === 'status' ? 700 : 400
+                }}>
+                  {formatDetailValue(field)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {longFields.map(field => (
+          <div key={field.key}>
+            <div style={sectionTitleStyle}>{field.label}</div>
+            <div style={{ fontSize: '0.82em', color: '#37474f', lineHeight: 1.45, whiteSpace: 'pre-wrap' }}>
+              {formatDetailValue(field)}
+            </div>
+          </div>
+        ))}
+
+        <div>
+          <div style={sectionTitleStyle}>Nearby projects</div>
+          {nearby.length === 0 ? (
+            <div style={{ fontSize: '0.8em', color: '#90a4ae' }}>No other projects within 5 km.</div>
+          ) : nearby.map(({ project: neighbour, distance }) => (
+            <div
+              key={neighbour.id}
+              onClick={() => onSelectProject(neighbour)}
+              style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 0', borderTop: '1px solid rgba(0, 0, 0, 0.05)', cursor: 'pointer', fontSize: '0.8em' }}
+            >
+              <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: getMarkerColor(neighbour.type), flexShrink: 0 }} />
+              <span style={{ flex: 1, color: '#1b3a4b' }}>{neighbour.name || 'Project'}</span>
+              <span style={{ color: '#90a4ae', whiteSpace: 'nowrap' }}>{formatDistance(distance)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Bucket and count/percent picker for the Community Resilience Estimates layer
+const CreLayerOptions = ({ bucket, measure, showUncertainty, onBucketChange, onMeasureChange, onShowUncertaintyChange }) => {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <select
+        aria-label="Risk factor bucket"
+        value={bucket}
+        onChange={(e) => onBucketChange(e.target.value)}
+        style={{
+          padding: '4px 6px',
+          fontSize: '0.8em',
+          color: '#1b3a4b',
+          border: '1px solid rgba(0, 0, 0, 0.1)',
+          borderRadius: '6px',
+          background: 'rgba(255, 255, 255, 0.8)',
+          cursor: 'pointer'
+        }}
+      >
+        {CRE_BUCKETS.map(key => (
+          <option key={key} value={key}>{CRE_BUCKET_INFO[key].label}</option>
+        ))}
+      </select>
+      <div style={{ display: 'flex', borderRadius: '6px', overflow: 'hidden', border: '1px solid rgba(0, 0, 0, 0.1)' }}>
+        {CRE_DISPLAY_MEASURES.map(key => (
+          <button
+            key={key}
+            onClick={() => onMeasureChange(key)}
+            style={{
+              flex: 1,
+              padding: '4px 6px',
+              fontSize: '0.75em',
+              border: 'none',
+              cursor: 'pointer',
+              background: measure === key ? '#1b3a4b' : 'rgba(255, 255, 255, 0.8)',
+              color: measure === key ? 'white' : '#1b3a4b'
+            }}
+          >
+            {key === 'percent' ? 'Percent' : 'Count'}
+          </button>
+        ))}
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8em', color: '#1b3a4b', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={showUncertainty}
+          onChange={(e) => onShowUncertaintyChange(e.target.checked)}
+        />
+        Flag unreliable estimates
+      </label>
+    </div>
+  );
+};
+
+// Legend row explaining the uncertainty hatching and its coefficient of variation cut-off
+const UncertaintyLegend = ({ threshold, unreliableCount, onThresholdChange }) => {
+  return (
+    <div style={{ marginTop: '10px', paddingTop: '8px', borderTop: '1px solid rgba(0, 0, 0, 0.08)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.75em', color: '#1b3a4b' }}>
+        <div style={{
+          width: '18px',
+          height: '14px',
+          flexShrink: 0,
+          borderRadius: '2px',
+          border: '1px solid rgba(0, 0, 0, 0.2)',
+          background: 'repeating-linear-gradient(-45deg, #263238 0 1.5px, transparent 1.5px 5px)'
+        }}></div>
+        <span>
+          Unreliable: CV ≥{' '}
+          <select
+            aria-label="Coefficient of variation threshold"
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+            style={{ fontSize: '1em', border: '1px solid rgba(0, 0, 0, 0.1)', borderRadius: '4px', background: 'rgba(255, 255, 255, 0.8)' }}
+          >
+            {CRE_CV_THRESHOLDS.map(value => (
+              <option key={value} value={value}>{Math.round(value * 100)}%</option>
+            ))}
+          </select>
+        </span>
+      </div>
+      <div style={{ fontSize: '0.7em', color: '#546e7a', marginTop: '4px', maxWidth: '200px' }}>
+        {unreliableCount} tracts have a margin of error too wide to rank on (CV = MOE / 1.645 / estimate).
+      </div>
+    </div>
+  );
+};
+
+// Swatch list for classed choropleths: one row per class with its value range
+const ClassBreaksLegend = ({ breaks, colors, compact = false, formatValue = (value) => value.toFixed(3) }) => {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: compact ? '3px' : '5px' }}>
+      {colors.slice(0, breaks.length - 1).map((color, index) => (
+        <div key={color} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: compact ? '0.7em' : '0.75em', color: '#546e7a' }}>
+          <div style={{ width: compact ? '14px' : '18px', height: compact ? '10px' : '12px', borderRadius: '2px', background: color, border: '1px solid rgba(0, 0, 0, 0.1)' }}></div>
+          <span>{formatValue(breaks[index])} – {formatValue(breaks[index + 1])}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Legend swatch matching the CEJST hatch pattern
+const CejstSwatch = () => (
+  <span style={{
+    display: 'inline-block',
+    width: '16px',
+    height: '12px',
+    flexShrink: 0,
+    borderRadius: '2px',
+    border: '1.5px solid #B71C1C',
+    background: 'repeating-linear-gradient(-45deg, #B71C1C 0 1.5px, transparent 1.5px 5px)'
+  }}></span>
+);
+
+// 3 x 3 legend square: FEMA risk increases to the right, resilience decreases upwards
+const BivariateLegend = ({ breaks, compact = false }) => {
+  const cellSize = compact ? 18 : 24;
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px' }}>
+      <div style={{
+        writingMode: 'vertical-rl',
+        transform: 'rotate(180deg)',
+        fontSize: compact ? '0.65em' : '0.7em',
+        color: '#546e7a',
+        whiteSpace: 'nowrap',
+        marginBottom: compact ? '16px' : '18px'
+      }}>
+        Lower resilience →
+      </div>
+      <div>
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(3, ${cellSize}px)`, gap: '1px' }}>
+          {[2, 1, 0].flatMap(vulnerabilityClass => [0, 1, 2].map(riskClass => (
+            <div
+              key={`${vulnerabilityClass}-${riskClass}`}
+              title={describeBivariateClass(`${vulnerabilityClass}-${riskClass}`)}
+              style={{ width: `${cellSize}px`, height: `${cellSize}px`, background: BIVARIATE_COLORS[vulnerabilityClass][riskClass] }}
+            ></div>
+          )))}
+        </div>
+        <div style={{ fontSize: compact ? '0.65em' : '0.7em', color: '#546e7a', marginTop: '4px', whiteSpace: 'nowrap' }}>
+          Higher FEMA risk →
+        </div>
+      </div>
+      {!compact && breaks.length === 4 && (
+        <div style={{ fontSize: '0.7em', color: '#546e7a', marginLeft: '8px', alignSelf: 'center', maxWidth: '120px' }}>
+          Residents with 3+ risk factors: {BIVARIATE_CLASS_LABELS[0].toLowerCase()} &lt; {breaks[1].toFixed(1)}%,{' '}
+          {BIVARIATE_CLASS_LABELS[2].toLowerCase()} ≥ {breaks[2].toFixed(1)}%
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SOURCE_STATUS_STYLES = {
+  loaded: { label: 'Loaded', color: '#2e7d32', background: 'rgba(46, 125, 50, 0.1)' },
+  missing: { label: 'Missing', color: '#607d8b', background: 'rgba(96, 125, 139, 0.12)' },
+  invalid: { label: 'Invalid', color: '#c62828', background: 'rgba(198, 40, 40, 0.1)' }
+};
+
+const SOURCE_STATUS_LABELS = {
+  boundaries: 'Tract boundaries',
+  risk: 'FEMA Risk Index',
+  resilience: 'Resilience Estimates',
+  vulnerability: 'Social Vulnerability',
+  cejst: 'CEJST'
+};
+
+// Pill showing whether a dataset loaded; the tooltip lists every candidate that was tried
+const SourceStatusBadge = ({ source }) => {
+  const style = SOURCE_STATUS_STYLES[source?.status] || SOURCE_STATUS_STYLES.missing;
+  const details = (source?.attempts || [])
+    .map(attempt => `${attempt.url}: ${attempt.reason || attempt.status}`)
+    .join('\n');
+  return (
+    <span
+      title={details || undefined}
+      style={{
+        marginLeft: 'auto',
+        padding: '1px 6px',
+        borderRadius: '8px',
+        fontSize: '0.75em',
+        fontWeight: 600,
+        color: style.color,
+        background: style.background,
+        whiteSpace: 'nowrap'
+      }}
+    >
+      {style.label}
+    </span>
+  );
+};
+
+// Per-dataset load status for the Modelling Layer
+const SourceStatusList = ({ status, defaultOpen = false }) => {
+  if (!status) return null;
+  return (
+    <details open={defaultOpen} style={{ marginTop: '10px', fontSize: '0.8em', color: '#546e7a' }}>
+      <summary style={{ cursor: 'pointer' }}>Data sources</summary>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '6px' }}>
+        {Object.entries(SOURCE_STATUS_LABELS)
+          .filter(([key]) => status[key])
+          .map(([key, label]) => (
+            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span>{label}</span>
+              <SourceStatusBadge source={status[key]} />
+            </div>
+          ))}
+      </div>
+    </details>
+  );
+};
+
+// Hazard and rating component picker for the FEMA Risk Index layer
+const HazardLayerOptions = ({
+  hazard,
+  component,
+  available,
+  onHazardChange,
+  onComponentChange,
+  mode,
+  classification,
+  scoreAvailable,
+  onModeChange,
+  onClassificationChange
+}) => {
+  const hazards = NRI_HAZARD_KEYS.filter(key => available[key]?.length);
+  const components = available[hazard] || [];
+  // The risk file only has the composite rating: say so instead of offering a one-entry picker
+  const breakdownMissing = Boolean(available.ALL?.length) && !hasHazardBreakdown(available);
+  if (!breakdownMissing && hazards.length <= 1 && components.length <= 1 && !scoreAvailable) return null;
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      {breakdownMissing ? (
+        <div role="status" style={{ fontSize: '0.75em', color: '#7f8c8d', lineHeight: 1.4 }}>
+          Per-hazard ratings unavailable: the loaded FEMA Risk Index file only has the composite rating.
+        </div>
+      ) : (
+        <select
+          aria-label="Hazard"
+          value={hazard}
+          onChange={(e) => onHazardChange(e.target.value)}
+          style={{
+            padding: '4px 6px',
+            fontSize: '0.8em',
+            color: '#1b3a4b',
+            border: '1px solid rgba(0, 0, 0, 0.1)',
+            borderRadius: '6px',
+            background: 'rgba(255, 255, 255, 0.8)',
+            cursor: 'pointer'
+          }}
+        >
+          {hazards.map(key => (
+            <option key={key} value={key}>{NRI_HAZARDS[key].label}</option>
+          ))}
+        </select>
+      )}
+      {components.length > 1 && (
+        <select
+          aria-label="Rating component"
+          value={component}
+          onChange={(e) => onComponentChange(e.target.value)}
+          style={{
+            padding: '4px 6px',
+            fontSize: '0.8em',
+            color: '#1b3a4b',
+            border: '1px solid rgba(0, 0, 0, 0.1)',
+            borderRadius: '6px',
+            background: 'rgba(255, 255, 255, 0.8)',
+            cursor: 'pointer'
+          }}
+        >
+          {components.map(key => (
+            <option key={key} value={key}>{NRI_COMPONENTS[key].label}</option>
+          ))}
+        </select>
+      )}
+      {scoreAvailable && (
+        <div style={{ display: 'flex', borderRadius: '6px', overflow: 'hidden', border: '1px solid rgba(0, 0, 0, 0.1)' }}>
+          {['rating', 'score'].map(key => (
+            <button
+              key={key}
+              onClick={() => onModeChange(key)}
+              style={{
+                flex: 1,
+                padding: '4px 6px',
+                fontSize: '0.75em',
+                border: 'none',
+                cursor: 'pointer',
+                background: mode === key ? '#1b3a4b' : 'rgba(255, 255, 255, 0.8)',
+                color: mode === key ? 'white' : '#1b3a4b'
+              }}
+            >
+              {key === 'score' ? 'Score' : 'Rating'}
+            </button>
+          ))}
+        </div>
+      )}
+      {scoreAvailable && mode === 'score' && (
+        <select
+          aria-label="Classification method"
+          value={classification}
+          onChange={(e) => onClassificationChange(e.target.value)}
+          style={{
+            padding: '4px 6px',
+            fontSize: '0.8em',
+            color: '#1b3a4b',
+            border: '1px solid rgba(0, 0, 0, 0.1)',
+            borderRadius: '6px',
+            background: 'rgba(255, 255, 255, 0.8)',
+            cursor: 'pointer'
+          }}
+        >
+          {Object.entries(CLASSIFICATION_METHODS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+// Color swatch list for categorical legends
+const CategoryLegend = ({ items }) => (
+  <div style={{ display: 'flex', flexDirection: 'column', gap: '3px' }}>
+    {items.map(({ label, color }) => (
+      <div key={label} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.7em', color: '#546e7a' }}>
+        <div style={{ width: '14px', height: '10px', borderRadius: '2px', background: color, border: '1px solid rgba(0, 0, 0, 0.1)' }}></div>
+        <span>{label}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// One-page handout: on screen it is a preview, in print it replaces the app (see index.css)
+const PrintReport = ({ report, legend, showCejst, filters, stats, pieData, projects, onClose }) => {
+  const dateLabel = report.createdAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #eceff1', textAlign: 'left', verticalAlign: 'top' };
+  const { rows, hiddenCount, hiddenInvestment } = summarizeReportProjects(projects);
+
+  return createPortal(
+    <div className="print-report">
+      <div className="print-report-actions">
+        <button onClick={() => window.print()} style={{ padding: '6px 12px', background: '#1b3a4b', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+          Print / Save as PDF
+        </button>
+        {report.mapImage && (
+          <a
+            href={report.mapImage}
+            download={`resilience-map-${report.createdAt.toISOString().slice(0, 10)}.png`}
+            style={{ padding: '6px 12px', background: 'white', color: '#1b3a4b', border: '1px solid #ccc', borderRadius: '4px', textDecoration: 'none' }}
+          >
+            Download map PNG
+          </a>
+        )}
+        <button onClick={onClose} style={{ padding: '6px 12px', background: 'white', color: '#546e7a', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' }}>
+          Close
+        </button>
+      </div>
+      <div className="print-report-page">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', borderBottom: '2px solid #1b3a4b', paddingBottom: '8px', marginBottom: '12px' }}>
+          <div>
+            <h1 style={{ fontSize: '1.4em', color: '#1b3a4b', margin: 0 }}>SCALE-R Resilience Dashboard</h1>
+            <div style={{ fontSize: '0.85em', color: '#546e7a', marginTop: '2px' }}>Resilience projects in Miami-Dade County</div>
+          </div>
+          <div style={{ fontSize: '0.85em', color: '#546e7a', textAlign: 'right' }}>{dateLabel}</div>
+        </div>
+
+        <div style={{ fontSize: '0.75em', color: '#546e7a', marginBottom: '10px' }}>
+          {filters.map(([label, value]) => (
+            <span key={label} style={{ marginRight: '14px' }}><strong style={{ color: '#2c3e50' }}>{label}:</strong> {value}</span>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'flex-start' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {report.mapImage ? (
+              <img src={report.mapImage} alt="Map of the filtered projects" style={{ width: '100%', border: '1px solid #cfd8dc', borderRadius: '4px' }} />
+            ) : (
+              <div style={{ padding: '40px', textAlign: 'center', color: '#90a4ae', border: '1px dashed #cfd8dc' }}>Map snapshot unavailable</div>
+            )}
+          </div>
+          <div style={{ width: '190px', flexShrink: 0, display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <div>
+              <div style={{ fontSize: '0.8em', fontWeight: 600, color: '#1b3a4b', marginBottom: '4px' }}>Projects</div>
+              <CategoryLegend items={getProjectTypeLegend()} />
+            </div>
+            {legend && (
+              <div>
+                <div style={{ fontSize: '0.8em', fontWeight: 600, color: '#1b3a4b', marginBottom: '4px' }}>{legend.title}</div>
+                {legend.content}
+              </div>
+            )}
+            {showCejst && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.7em', color: '#546e7a' }}>
+                <CejstSwatch />
+                CEJST disadvantaged
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '16px', alignItems: 'center', margin: '14px 0', breakInside: 'avoid' }}>
+          <div style={{ textAlign: 'center', padding: '10px 16px', border: '1px solid #cfd8dc', borderRadius: '6px' }}>
+            <div style={{ fontSize: '1.5em', fontWeight: 700, color: '#2c3e50' }}>{stats.projectCount}</div>
+            <div style={{ fontSize: '0.75em', color: '#546e7a' }}>Projects</div>
+          </div>
+          <div style={{ textAlign: 'center', padding: '10px 16px', border: '1px solid #cfd8dc', borderRadius: '6px' }}>
+            <div style={{ fontSize: '1.5em', fontWeight: 700, color: '#2c3e50' }}>
+              {stats.totalInvestment > 0 ? formatCostCompact(stats.totalInvestment) : '—'}
+            </div>
+            <div style={{ fontSize: '0.75em', color: '#546e7a' }}>Total Investment</div>
+          </div>
+          <div style={{ fontSize: '0.75em', color: '#546e7a', lineHeight: 1.6 }}>
+            {PROJECT_STATUSES.map(status => (
+              <div key={status} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span style={getStatusBadgeStyle(status, 8)} />
+                {status}: <strong style={{ color: '#2c3e50' }}>{stats.statusCounts[status]}</strong>
+              </div>
+            ))}
+          </div>
+          {pieData.length > 0 && (
+            <div>
+              <div style={{ fontSize: '0.8em', fontWeight: 600, color: '#1b3a4b' }}>Infrastructure Type Distribution</div>
+              <PieChart width={300} height={130}>
+                <Pie data={pieData} cx={60} cy={62} outerRadius={55} dataKey="value" isAnimationActive={false}>
+                  {pieData.map((entry, index) => (
+                    <Cell key={`print-cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Legend layout="vertical" align="right" verticalAlign="middle" iconType="circle" wrapperStyle={{ fontSize: '0.75em' }} />
+              </PieChart>
+            </div>
+          )}
+        </div>
+
+        {hiddenCount > 0 && (
+          <div style={{ fontSize: '0.75em', fontWeight: 600, color: '#1b3a4b', marginBottom: '4px' }}>
+            Largest {rows.length} projects by estimated cost
+          </div>
+        )}
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.72em', color: '#2c3e50' }}>
+          <thead>
+            <tr style={{ color: '#546e7a' }}>
+              <th style={cellStyle}>Project</th>
+              <th style={cellStyle}>City</th>
+              <th style={cellStyle}>Type</th>
+              <th style={cellStyle}>Status</th>
+              <th style={{ ...cellStyle, textAlign: 'right' }}>Estimated Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((project, index) => (
+              <tr key={project.id ?? index} style={{ breakInside: 'avoid' }}>
+                <td style={cellStyle}>{project.name || 'Unnamed Project'}</td>
+                <td style={cellStyle}>{project.city || '—'}</td>
+                <td style={cellStyle}>{project.type || '—'}</td>
+                <td style={cellStyle}>{project.status || '—'}</td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{project.cost ? `$${formatWithCommas(project.cost)}` : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {hiddenCount > 0 && (
+          <div style={{ fontSize: '0.72em', color: '#546e7a', marginTop: '4px' }}>
+            + {hiddenCount} more project{hiddenCount === 1 ? '' : 's'}
+            {hiddenInvestment > 0 && ` (${formatCostCompact(hiddenInvestment)})`} not listed; export the filtered projects for the full list.
+          </div>
+        )}
+
+        <div style={{ marginTop: '14px', paddingTop: '8px', borderTop: '1px solid #cfd8dc', fontSize: '0.7em', color: '#546e7a', lineHeight: 1.5 }}>
+          This project is based upon work supported by the National Science Foundation under Grant Number (2435008).
+          Any opinions, findings, and conclusions or recommendations expressed in this material are those of the
+          investigator(s) and do not necessarily reflect the views of the National Science Foundation.
+          <div style={{ marginTop: '4px' }}>Generated {dateLabel}</div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import App from './App.jsx';
+
+// Map methods are all no-ops; the map never fires 'load', so only the React tree is exercised
+vi.mock('https://cdn.skypack.dev/mapbox-gl@2.15.0', () => {
+  const chainable = () => new Proxy({}, {
+    get: (target, prop) => {
+      if (!(prop in target)) target[prop] = vi.fn(() => undefined);
+      return target[prop];
+    }
+  });
+  return {
+    default: {
+      Map: vi.fn(chainable),
+      Marker: vi.fn(chainable),
+      Popup: vi.fn(chainable),
+      NavigationControl: vi.fn(),
+      FullscreenControl: vi.fn(),
+      ScaleControl: vi.fn(),
+      LngLatBounds: vi.fn(chainable)
+    }
+  };
+});
+
+const emptyCollection = { type: 'FeatureCollection', features: [] };
+globalThis.fetch = vi.fn(() => Promise.resolve({
+  ok: true,
+  status: 200,
+  json: async () => emptyCollection,
+  text: async () => ''
+}));
+
+describe('App', () => {
+  it('should mount without throwing', async () => {
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByPlaceholderText(/search projects/i)).toBeInTheDocument();
+    });
+    expect(screen.getByText('Disaster Focus')).toBeInTheDocument();
+    expect(screen.getByText('Total Investment')).toBeInTheDocument();
+  });
+});
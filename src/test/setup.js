@@ -1 +1,15 @@
 import '@testing-library/jest-dom'
+
+// jsdom has no matchMedia; App reads it for the mobile layout
+if (!window.matchMedia) {
+  window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    addListener: () => {},
+    removeListener: () => {},
+    dispatchEvent: () => false
+  });
+}
@@ -0,0 +1,48 @@
+// Bivariate FEMA risk x community resilience classification (3 x 3).
+//
+// Risk comes from the FEMA National Risk Index rating; resilience comes from the share of residents
+// with 3+ risk factors (CRE PRED3_PE), where a higher share means lower resilience.
+
+export const BIVARIATE_CLASS_LABELS = ['Low', 'Moderate', 'High'];
+
+// FEMA rating -> risk class (0 = low, 2 = high)
+export const RISK_RATING_CLASSES = {
+  'Very Low': 0,
+  'Relatively Low': 0,
+  'Relatively Moderate': 1,
+  'Relatively High': 2,
+  'Very High': 2
+};
+
+// BIVARIATE_COLORS[vulnerabilityClass][riskClass]; top right (2, 2) is high risk, low resilience
+export const BIVARIATE_COLORS = [
+  ['#E8E8E8', '#E4ACAC', '#C85A5A'],
+  ['#B0D5DF', '#AD9EA5', '#985356'],
+  ['#64ACBE', '#627F8C', '#574249']
+];
+
+/**
+ * Classify a tract on both axes
+ * @param {string|null} riskRating - FEMA risk rating
+ * @param {number|null} vulnerability - Share of residents with 3+ risk factors
+ * @param {number[]} breaks - Tercile breaks for the vulnerability share (see getQuantileBreaks)
+ * @returns {string|null} - "<vulnerabilityClass>-<riskClass>" (e.g. "2-2"), or null when either axis is missing
+ */
+export const getBivariateClass = (riskRating, vulnerability, breaks) => {
+  const riskClass = RISK_RATING_CLASSES[riskRating];
+  if (riskClass === undefined || !Number.isFinite(vulnerability) || !breaks || breaks.length < 4) return null;
+  const vulnerabilityClass = vulnerability < breaks[1] ? 0 : vulnerability < breaks[2] ? 1 : 2;
+  return `${vulnerabilityClass}-${riskClass}`;
+};
+
+/**
+ * Human readable description of a bivariate class
+ * @param {string|null} bivariateClass - Value from getBivariateClass
+ * @returns {string|null} - e.g. "High risk, Low resilience"
+ */
+export const describeBivariateClass = (bivariateClass) => {
+  if (!bivariateClass) return null;
+  const [vulnerabilityClass, riskClass] = bivariateClass.split('-').map(Number);
+  // High vulnerability share means low resilience
+  return `${BIVARIATE_CLASS_LABELS[riskClass]} risk, ${BIVARIATE_CLASS_LABELS[2 - vulnerabilityClass]} resilience`;
+};
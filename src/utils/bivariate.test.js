@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { getBivariateClass, describeBivariateClass, BIVARIATE_COLORS } from './bivariate.js';
+
+describe('bivariate', () => {
+  const breaks = [0, 10, 20, 40];
+
+  describe('getBivariateClass', () => {
+    it('should combine the risk class and vulnerability tercile', () => {
+      expect(getBivariateClass('Very Low', 5, breaks)).toBe('0-0');
+      expect(getBivariateClass('Relatively Moderate', 10, breaks)).toBe('1-1');
+      expect(getBivariateClass('Very High', 35, breaks)).toBe('2-2');
+      expect(getBivariateClass('Relatively High', 19.9, breaks)).toBe('1-2');
+    });
+
+    it('should return null when either axis is missing', () => {
+      expect(getBivariateClass(null, 5, breaks)).toBe(null);
+      expect(getBivariateClass('Very High', null, breaks)).toBe(null);
+      expect(getBivariateClass('Very High', 5, [])).toBe(null);
+    });
+  });
+
+  describe('describeBivariateClass', () => {
+    it('should describe high vulnerability as low resilience', () => {
+      expect(describeBivariateClass('2-2')).toBe('High risk, Low resilience');
+      expect(describeBivariateClass('0-1')).toBe('Moderate risk, High resilience');
+      expect(describeBivariateClass(null)).toBe(null);
+    });
+  });
+
+  it('should provide a 3 x 3 palette', () => {
+    expect(BIVARIATE_COLORS).toHaveLength(3);
+    BIVARIATE_COLORS.forEach(row => expect(row).toHaveLength(3));
+  });
+});
@@ -0,0 +1,86 @@
+// Repairing importer for the Climate and Economic Justice Screening Tool export
+// (public/cejst_data.geojson, a copy of SCALE-R Data/Project Data/cejst_data.geojson).
+//
+// The export lost its header row: the first data row became the column names, so every feature
+// looks like { "12086000107": "<GEOID>", "false": <disadvantaged> }. Columns are detected by their
+// values instead of their names, and the row hiding in the key names is recovered as a record.
+
+import { normalizeGeoid } from './geoid.js';
+import { fetchSource } from './sourceLoader.js';
+
+export const CEJST_URL = '/cejst_data.geojson';
+
+/**
+ * Parse a boolean-like value ("true", "False", 1, true, ...)
+ * @param {*} value - Raw value
+ * @returns {boolean|null} - null when the value is not a flag
+ */
+export const parseBooleanFlag = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (text === 'true' || text === '1') return true;
+  if (text === 'false' || text === '0') return false;
+  return null;
+};
+
+// Find the GEOID and flag columns from the values of the first usable feature
+const detectColumns = (features) => {
+  for (const feature of features) {
+    const entries = Object.entries(feature?.properties || {});
+    const geoidKey = entries.find(([, value]) => typeof value !== 'boolean' && normalizeGeoid(value))?.[0];
+    const flagKey = entries.find(([key, value]) => key !== geoidKey && parseBooleanFlag(value) !== null)?.[0];
+    if (geoidKey && flagKey) return { geoidKey, flagKey };
+  }
+  return null;
+};
+
+/**
+ * Rebuild the GEOID -> disadvantaged table from the malformed export
+ * @param {Object} featureCollection - Parsed cejst_data.geojson
+ * @returns {{ byGeoid: Object, count: number, disadvantagedCount: number, skipped: number, recoveredHeader: boolean }}
+ */
+export const repairCejstCollection = (featureCollection) => {
+  const features = featureCollection?.features || [];
+  const byGeoid = {};
+  const result = { byGeoid, count: 0, disadvantagedCount: 0, skipped: 0, recoveredHeader: false };
+
+  const columns = detectColumns(features);
+  if (!columns) {
+    result.skipped = features.length;
+    return result;
+  }
+
+  // When the column names are themselves a GEOID and a flag, they are the lost first row
+  const headerGeoid = normalizeGeoid(columns.geoidKey);
+  const headerFlag = parseBooleanFlag(columns.flagKey);
+  if (headerGeoid && headerFlag !== null) {
+    byGeoid[headerGeoid] = headerFlag;
+    result.recoveredHeader = true;
+  }
+
+  features.forEach((feature) => {
+    const properties = feature?.properties || {};
+    const geoid = normalizeGeoid(properties[columns.geoidKey]);
+    const flag = parseBooleanFlag(properties[columns.flagKey]);
+    if (!geoid || flag === null) {
+      result.skipped++;
+      return;
+    }
+    byGeoid[geoid] = flag;
+  });
+
+  result.count = Object.keys(byGeoid).length;
+  result.disadvantagedCount = Object.values(byGeoid).filter(Boolean).length;
+  return result;
+};
+
+/**
+ * Fetch and repair the CEJST export
+ * @param {string} [url] - GeoJSON location
+ * @returns {Promise<Object>} - See repairCejstCollection
+ */
+export const loadCejst = async (url = CEJST_URL) => {
+  return repairCejstCollection(await fetchSource(url));
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { parseBooleanFlag, repairCejstCollection } from './cejst.js';
+
+const point = { type: 'Point', coordinates: [0, 0] };
+
+describe('cejst', () => {
+  describe('parseBooleanFlag', () => {
+    it('should parse booleans, strings and 0/1', () => {
+      expect(parseBooleanFlag(true)).toBe(true);
+      expect(parseBooleanFlag('False')).toBe(false);
+      expect(parseBooleanFlag(' true ')).toBe(true);
+      expect(parseBooleanFlag(1)).toBe(true);
+      expect(parseBooleanFlag('0')).toBe(false);
+    });
+
+    it('should return null for anything else', () => {
+      expect(parseBooleanFlag('yes')).toBe(null);
+      expect(parseBooleanFlag(null)).toBe(null);
+      expect(parseBooleanFlag(12086000107)).toBe(null);
+    });
+  });
+
+  describe('repairCejstCollection', () => {
+    it('should recover the header row lost into the key names', () => {
+      const result = repairCejstCollection({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: point, properties: { '12086000107': '12086000109', 'false': true } },
+          { type: 'Feature', geometry: point, properties: { '12086000107': '12086000115', 'false': false } }
+        ]
+      });
+      expect(result.recoveredHeader).toBe(true);
+      expect(result.byGeoid).toEqual({
+        '12086000107': false,
+        '12086000109': true,
+        '12086000115': false
+      });
+      expect(result.count).toBe(3);
+      expect(result.disadvantagedCount).toBe(1);
+      expect(result.skipped).toBe(0);
+    });
+
+    it('should read a well-formed export without inventing a header row', () => {
+      const result = repairCejstCollection({
+        features: [
+          { type: 'Feature', geometry: point, properties: { GEOID10: '12086000109', Disadvantaged: 'True' } },
+          { type: 'Feature', geometry: point, properties: { GEOID10: '', Disadvantaged: 'True' } }
+        ]
+      });
+      expect(result.recoveredHeader).toBe(false);
+      expect(result.byGeoid).toEqual({ '12086000109': true });
+      expect(result.skipped).toBe(1);
+    });
+
+    it('should skip everything when no GEOID/flag columns can be found', () => {
+      const result = repairCejstCollection({ features: [{ properties: { name: 'x' } }] });
+      expect(result.count).toBe(0);
+      expect(result.skipped).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// Class break helpers for choropleth legends.
+
+export const CLASSIFICATION_METHODS = {
+  equal: 'Equal interval',
+  quantile: 'Quantile',
+  jenks: 'Natural breaks (Jenks)'
+};
+
+const sortFinite = (values) => (values || []).filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+
+/**
+ * Equal-interval class breaks: each class spans the same range of values
+ * @param {number[]} values - Data values (non-finite values are ignored)
+ * @param {number} [classes=5] - Number of classes
+ * @returns {number[]} - classes + 1 ascending break values from min to max, or [] without data
+ */
+export const getEqualIntervalBreaks = (values, classes = 5) => {
+  const sorted = sortFinite(values);
+  if (!sorted.length || classes < 1) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const breaks = [];
+  for (let i = 0; i <= classes; i++) {
+    breaks.push(i === classes ? max : min + ((max - min) * i) / classes);
+  }
+  return breaks;
+};
+
+/**
+ * Quantile class breaks: each class holds roughly the same number of values
+ * @param {number[]} values - Data values (non-finite values are ignored)
+ * @param {number} [classes=5] - Number of classes
+ * @returns {number[]} - classes + 1 ascending break values from min to max, or [] without data
+ */
+export const getQuantileBreaks = (values, classes = 5) => {
+  const sorted = sortFinite(values);
+  if (!sorted.length || classes < 1) return [];
+
+  const breaks = [];
+  for (let i = 0; i <= classes; i++) {
+    // Linear interpolation between closest ranks
+    const position = (i / classes) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+  }
+  return breaks;
+};
+
+/**
+ * Index of the class a value falls into (upper bounds inclusive of the last class)
+ * @param {number} value - Value to classify
+ * @param {number[]} breaks - Breaks from getQuantileBreaks
+ * @returns {number} - 0-based class index, or -1 when the value or breaks are missing
+ */
+export const getClassIndex = (value, breaks) => {
+  if (!Number.isFinite(value) || !breaks || breaks.length < 2) return -1;
+  const classes = breaks.length - 1;
+  for (let i = 1; i < classes; i++) {
+    if (value < breaks[i]) return i - 1;
+  }
+  return classes - 1;
+};
+
+/**
+ * Jenks natural breaks (Fisher's exact method): minimizes the variance within each class
+ * @param {number[]} values - Data values (non-finite values are ignored)
+ * @param {number} [classes=5] - Number of classes
+ * @returns {number[]} - Ascending breaks from min to max; each inner break is the lowest value of
+ *   its class. Fewer than classes + 1 when there are fewer distinct values than classes
+ */
+export const getJenksBreaks = (values, classes = 5) => {
+  const sorted = sortFinite(values);
+  if (!sorted.length || classes < 1) return [];
+  const n = sorted.length;
+  const k = Math.min(classes, new Set(sorted).size);
+  if (k === 1) return [sorted[0], sorted[n - 1]];
+
+  // lowerClassLimits[l][j]: 1-based index of the first value in class j when values 1..l use j classes
+  const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variances = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lowerClassLimits[1][j] = 1;
+    variances[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1;
+      const value = sorted[lowerIndex - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (lowerIndex > 1) {
+        for (let j = 2; j <= k; j++) {
+          const candidate = variance + variances[lowerIndex - 1][j - 1];
+          if (variances[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerIndex;
+            variances[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    variances[l][1] = variance;
+  }
+
+  const breaks = new Array(k + 1);
+  breaks[0] = sorted[0];
+  breaks[k] = sorted[n - 1];
+  let upper = n;
+  for (let j = k; j >= 2; j--) {
+    const lowerIndex = lowerClassLimits[upper][j];
+    breaks[j - 1] = sorted[lowerIndex - 1];
+    upper = lowerIndex - 1;
+  }
+  return breaks;
+};
+
+/**
+ * Class breaks for one of CLASSIFICATION_METHODS
+ * @param {number[]} values - Data values
+ * @param {string} [method='quantile'] - Key of CLASSIFICATION_METHODS
+ * @param {number} [classes=5] - Number of classes
+ * @returns {number[]}
+ */
+export const getClassBreaks = (values, method = 'quantile', classes = 5) => {
+  if (method === 'equal') return getEqualIntervalBreaks(values, classes);
+  if (method === 'jenks') return getJenksBreaks(values, classes);
+  return getQuantileBreaks(values, classes);
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getQuantileBreaks,
+  getClassIndex,
+  getEqualIntervalBreaks,
+  getJenksBreaks,
+  getClassBreaks
+} from './classification.js';
+
+describe('classification', () => {
+  describe('getQuantileBreaks', () => {
+    it('should split values into equal-count classes', () => {
+      expect(getQuantileBreaks([0, 1, 2, 3, 4, 5, 6, 7, 8], 4)).toEqual([0, 2, 4, 6, 8]);
+    });
+
+    it('should interpolate between ranks and ignore missing values', () => {
+      expect(getQuantileBreaks([4, null, 1, NaN, 2, 3], 2)).toEqual([1, 2.5, 4]);
+    });
+
+    it('should return no breaks without data', () => {
+      expect(getQuantileBreaks([], 5)).toEqual([]);
+      expect(getQuantileBreaks(null)).toEqual([]);
+    });
+  });
+
+  describe('getClassIndex', () => {
+    const breaks = [0, 2, 4, 6, 8];
+
+    it('should place values in the class whose range contains them', () => {
+      expect(getClassIndex(0, breaks)).toBe(0);
+      expect(getClassIndex(1.9, breaks)).toBe(0);
+      expect(getClassIndex(2, breaks)).toBe(1);
+      expect(getClassIndex(8, breaks)).toBe(3);
+      expect(getClassIndex(12, breaks)).toBe(3);
+    });
+
+    it('should return -1 for missing values', () => {
+      expect(getClassIndex(null, breaks)).toBe(-1);
+      expect(getClassIndex(3, [])).toBe(-1);
+    });
+  });
+
+  describe('getEqualIntervalBreaks', () => {
+    it('should split the value range into equal widths', () => {
+      expect(getEqualIntervalBreaks([10, 0, 3, NaN], 4)).toEqual([0, 2.5, 5, 7.5, 10]);
+    });
+
+    it('should return no breaks without data', () => {
+      expect(getEqualIntervalBreaks([])).toEqual([]);
+    });
+  });
+
+  describe('getJenksBreaks', () => {
+    it('should put breaks in the gaps between clusters', () => {
+      expect(getJenksBreaks([1, 2, 3, 10, 11, 12, 20, 21, 22], 3)).toEqual([1, 10, 20, 22]);
+      expect(getJenksBreaks([22, 1, 11, 2, 21, 3, 12, 10, 20], 3)).toEqual([1, 10, 20, 22]);
+    });
+
+    it('should classify each value with its own cluster', () => {
+      const breaks = getJenksBreaks([1, 2, 3, 10, 11, 12, 20, 21, 22], 3);
+      expect(getClassIndex(3, breaks)).toBe(0);
+      expect(getClassIndex(10, breaks)).toBe(1);
+      expect(getClassIndex(22, breaks)).toBe(2);
+    });
+
+    it('should use fewer classes than requested when values repeat', () => {
+      expect(getJenksBreaks([5, 5, 5, 7], 5)).toEqual([5, 7, 7]);
+      expect(getJenksBreaks([4, 4], 3)).toEqual([4, 4]);
+      expect(getJenksBreaks([], 3)).toEqual([]);
+    });
+  });
+
+  describe('getClassBreaks', () => {
+    it('should dispatch on the classification method', () => {
+      const values = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+      expect(getClassBreaks(values, 'equal', 2)).toEqual([0, 4, 8]);
+      expect(getClassBreaks(values, 'quantile', 4)).toEqual([0, 2, 4, 6, 8]);
+      expect(getClassBreaks([1, 2, 10, 11], 'jenks', 2)).toEqual([1, 10, 11]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// Loader for the Census Community Resilience Estimates (public/FL_CRE.csv).
+//
+// Each PRED bucket counts residents by number of risk factors (0, 1-2, 3+) and comes with
+// four columns: _E (estimate), _M (margin of error), _PE (percent) and _PM (percent margin of error).
+
+import { parseCSVRecords } from './csv.js';
+import { normalizeGeoid } from './geoid.js';
+import { fetchSource } from './sourceLoader.js';
+
+export const CRE_BUCKETS = ['PRED0', 'PRED12', 'PRED3'];
+
+// Column suffix -> record key
+export const CRE_MEASURES = {
+  E: 'estimate',
+  M: 'moe',
+  PE: 'percent',
+  PM: 'percentMoe'
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  const numeric = Number(text);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+/**
+ * Convert one FL_CRE.csv row into a typed tract record
+ * @param {Object} row - Row keyed by column name
+ * @returns {Object|null} - Record, or null when the row has no usable GEOID
+ */
+export const parseCreRow = (row) => {
+  const geoid = normalizeGeoid(row.GEO_ID);
+  if (!geoid) return null;
+
+  const record = {
+    geoid,
+    name: row.NAME?.trim() || null,
+    state: row.STATE?.trim() || null,
+    county: row.COUNTY?.trim() || null,
+    tract: row.TRACT?.trim() || null,
+    waterTract: Boolean(row.WATER_TRACT?.trim()),
+    population: toNumber(row.POPUNI)
+  };
+
+  CRE_BUCKETS.forEach((bucket) => {
+    record[bucket] = Object.entries(CRE_MEASURES).reduce((values, [suffix, key]) => {
+      values[key] = toNumber(row[`${bucket}_${suffix}`]);
+      return values;
+    }, {});
+  });
+
+  return record;
+};
+
+/**
+ * Parse FL_CRE.csv text into records keyed by normalized GEOID
+ * @param {string} text - CSV file contents
+ * @returns {{ byGeoid: Object, count: number, skipped: number }}
+ */
+export const parseCommunityResilience = (text) => {
+  const { records } = parseCSVRecords(text);
+  const byGeoid = {};
+  let skipped = 0;
+
+  records.forEach((row) => {
+    const record = parseCreRow(row);
+    if (record) {
+      byGeoid[record.geoid] = record;
+    } else {
+      skipped++;
+    }
+  });
+
+  return { byGeoid, count: Object.keys(byGeoid).length, skipped };
+};
+
+/**
+ * Fetch and parse the Community Resilience Estimates file
+ * @param {string} [url='/FL_CRE.csv'] - CSV location
+ * @returns {Promise<{ byGeoid: Object, count: number, skipped: number }>}
+ */
+export const loadCommunityResilience = async (url = '/FL_CRE.csv') => {
+  return parseCommunityResilience(await fetchSource(url, response => response.text()));
+};
+
+// Display settings for each bucket; ramps run from low to high share of residents
+export const CRE_BUCKET_INFO = {
+  PRED0: {
+    label: 'No Risk Factors',
+    shortLabel: '0 risk factors',
+    ramp: ['#EDF8E9', '#C7E9C0', '#A1D99B', '#74C476', '#41AB5D', '#238B45', '#005A32']
+  },
+  PRED12: {
+    label: '1-2 Risk Factors',
+    shortLabel: '1-2 risk factors',
+    ramp: ['#FFF5EB', '#FEE6CE', '#FDD0A2', '#FDAE6B', '#F16913', '#D94801', '#8C2D04']
+  },
+  PRED3: {
+    label: '3+ Risk Factors',
+    shortLabel: '3+ risk factors',
+    ramp: ['#E8D4F5', '#D4B3E8', '#C298DB', '#A866C7', '#7A3FA8', '#5A1D85', '#2D0045']
+  }
+};
+
+// Map display measures: residents (count) or share of residents (percent)
+export const CRE_DISPLAY_MEASURES = ['estimate', 'percent'];
+
+// ACS-style margins of error are published at the 90% confidence level
+const MOE_Z_SCORE = 1.645;
+
+// Coefficient of variation cut-offs offered in the uncertainty legend (share of the estimate)
+export const CRE_CV_THRESHOLDS = [0.2, 0.3, 0.4];
+export const DEFAULT_CRE_CV_THRESHOLD = 0.3;
+
+/**
+ * Coefficient of variation of an estimate from its 90% margin of error
+ * @param {number|null} estimate - Estimate (count or percent)
+ * @param {number|null} moe - Margin of error for the estimate
+ * @returns {number|null} - Standard error / estimate, or null when it cannot be computed (e.g. a zero estimate)
+ */
+export const getCoefficientOfVariation = (estimate, moe) => {
+  if (!Number.isFinite(estimate) || !Number.isFinite(moe) || estimate <= 0 || moe < 0) return null;
+  return moe / MOE_Z_SCORE / estimate;
+};
+
+/**
+ * Name of the tract property holding a bucket measure, e.g. "__PRED3_PE"
+ * @param {string} bucket - One of CRE_BUCKETS
+ * @param {string} measure - One of the CRE_MEASURES values
+ * @returns {string}
+ */
+export const getCrePropertyName = (bucket, measure) => {
+  const suffix = Object.keys(CRE_MEASURES).find(key => CRE_MEASURES[key] === measure);
+  return `__${bucket}_${suffix}`;
+};
+
+// Name of the tract property holding a bucket's coefficient of variation, e.g. "__PRED3_CV"
+export const getCreCvPropertyName = (bucket) => `__${bucket}_CV`;
+
+/**
+ * Flatten a tract record into map feature properties (mapbox expressions cannot read nested objects)
+ * @param {Object|null} record - Record from parseCreRow
+ * @returns {Object} - Every bucket measure under its getCrePropertyName key plus each bucket's
+ *   coefficient of variation (from the count and its margin of error); null when missing
+ */
+export const getCreTractProperties = (record) => {
+  const properties = {};
+  CRE_BUCKETS.forEach((bucket) => {
+    Object.values(CRE_MEASURES).forEach((measure) => {
+      properties[getCrePropertyName(bucket, measure)] = record?.[bucket]?.[measure] ?? null;
+    });
+    properties[getCreCvPropertyName(bucket)] = getCoefficientOfVariation(
+      record?.[bucket]?.estimate ?? null,
+      record?.[bucket]?.moe ?? null
+    );
+  });
+  return properties;
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCommunityResilience,
+  parseCreRow,
+  getCreTractProperties,
+  getCrePropertyName,
+  getCoefficientOfVariation
+} from './communityResilience.js';
+
+const HEADER = 'GEO_ID,STATE,COUNTY,TRACT,NAME,WATER_TRACT,POPUNI,PRED0_E,PRED0_M,PRED0_PE,PRED0_PM,PRED12_E,PRED12_M,PRED12_PE,PRED12_PM,PRED3_E,PRED3_M,PRED3_PE,PRED3_PM';
+
+describe('communityResilience', () => {
+  describe('parseCommunityResilience', () => {
+    it('should load every estimate column keyed by normalized GEOID', () => {
+      const text = `\uFEFF${HEADER}\r\n` +
+        '1400000US12086000107,12,86,107,"Census Tract 1.07, Miami-Dade County, Florida",,2946,777,395,26.37,13.41,1597,406,54.21,13.78,572,325,19.42,11.03\r\n';
+      const { byGeoid, count, skipped } = parseCommunityResilience(text);
+      expect(count).toBe(1);
+      expect(skipped).toBe(0);
+      expect(byGeoid['12086000107']).toEqual({
+        geoid: '12086000107',
+        name: 'Census Tract 1.07, Miami-Dade County, Florida',
+        state: '12',
+        county: '86',
+        tract: '107',
+        waterTract: false,
+        population: 2946,
+        PRED0: { estimate: 777, moe: 395, percent: 26.37, percentMoe: 13.41 },
+        PRED12: { estimate: 1597, moe: 406, percent: 54.21, percentMoe: 13.78 },
+        PRED3: { estimate: 572, moe: 325, percent: 19.42, percentMoe: 11.03 }
+      });
+    });
+
+    it('should keep empty cells as null and skip rows without a GEOID', () => {
+      const text = `${HEADER}\n` +
+        '1400000US12086009800,12,86,9800,"Census Tract 98, Miami-Dade County, Florida",1,0,,,,,,,,,,,,\n' +
+        ',12,86,,"Bad row",,1,1,1,1,1,1,1,1,1,1,1,1,1\n';
+      const { byGeoid, count, skipped } = parseCommunityResilience(text);
+      expect(count).toBe(1);
+      expect(skipped).toBe(1);
+      const record = byGeoid['12086009800'];
+      expect(record.waterTract).toBe(true);
+      expect(record.population).toBe(0);
+      expect(record.PRED3).toEqual({ estimate: null, moe: null, percent: null, percentMoe: null });
+    });
+  });
+
+  describe('parseCreRow', () => {
+    it('should tolerate missing columns', () => {
+      const record = parseCreRow({ GEO_ID: '1400000US12086000107' });
+      expect(record.population).toBe(null);
+      expect(record.PRED0.estimate).toBe(null);
+    });
+  });
+
+  describe('getCreTractProperties', () => {
+    it('should flatten every bucket measure into prefixed properties', () => {
+      const record = parseCreRow({ GEO_ID: '1400000US12086000107', PRED3_E: '572', PRED3_M: '325', PRED3_PE: '19.42' });
+      const properties = getCreTractProperties(record);
+      expect(Object.keys(properties)).toHaveLength(15);
+      expect(properties.__PRED3_E).toBe(572);
+      expect(properties.__PRED3_CV).toBeCloseTo(0.345, 3);
+      expect(properties.__PRED0_CV).toBe(null);
+      expect(properties.__PRED3_PE).toBe(19.42);
+      expect(properties.__PRED0_PM).toBe(null);
+    });
+
+    it('should return null values when a tract has no record', () => {
+      expect(getCreTractProperties(undefined).__PRED12_PE).toBe(null);
+    });
+  });
+
+  describe('getCrePropertyName', () => {
+    it('should use the CSV column suffix', () => {
+      expect(getCrePropertyName('PRED0', 'estimate')).toBe('__PRED0_E');
+      expect(getCrePropertyName('PRED12', 'percentMoe')).toBe('__PRED12_PM');
+    });
+  });
+
+  describe('getCoefficientOfVariation', () => {
+    it('should convert a 90% margin of error to a coefficient of variation', () => {
+      expect(getCoefficientOfVariation(1000, 164.5)).toBeCloseTo(0.1, 5);
+    });
+
+    it('should return null for zero or missing estimates', () => {
+      expect(getCoefficientOfVariation(0, 12)).toBe(null);
+      expect(getCoefficientOfVariation(null, 12)).toBe(null);
+      expect(getCoefficientOfVariation(100, null)).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reader for the data files shipped in public/.
+// Handles quoted fields (with commas, escaped "" quotes and line breaks), CRLF line endings,
+// a leading byte order mark and empty cells.
+
+/**
+ * Parse CSV text into rows of raw string cells
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} - Rows of cells; blank lines are skipped
+ */
+export const parseCSV = (text) => {
+  if (!text) return [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    // A blank line parses as a single empty cell
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char === '\r') {
+      if (input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) endRow();
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV file contents
+ * @returns {{ headers: string[], records: Object[] }} - Missing trailing cells become ''
+ */
+export const parseCSVRecords = (text) => {
+  const [headerRow, ...rows] = parseCSV(text);
+  if (!headerRow) return { headers: [], records: [] };
+  const headers = headerRow.map(header => header.trim());
+  const records = rows.map((row) => {
+    return headers.reduce((record, header, index) => {
+      record[header] = row[index] ?? '';
+      return record;
+    }, {});
+  });
+  return { headers, records };
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, parseCSVRecords } from './csv.js';
+
+describe('csv', () => {
+  describe('parseCSV', () => {
+    it('should keep commas inside quoted fields', () => {
+      const rows = parseCSV('GEO_ID,NAME,POPUNI\n1400000US12086000107,"Census Tract 1.07, Miami-Dade County, Florida",2946\n');
+      expect(rows).toEqual([
+        ['GEO_ID', 'NAME', 'POPUNI'],
+        ['1400000US12086000107', 'Census Tract 1.07, Miami-Dade County, Florida', '2946']
+      ]);
+    });
+
+    it('should handle CRLF line endings and a byte order mark', () => {
+      const rows = parseCSV('\uFEFFa,b\r\n1,2\r\n3,4\r\n');
+      expect(rows).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('should keep empty cells', () => {
+      expect(parseCSV('a,,c,\n')).toEqual([['a', '', 'c', '']]);
+    });
+
+    it('should unescape doubled quotes and keep line breaks inside quotes', () => {
+      expect(parseCSV('"say ""hi""","two\nlines"')).toEqual([['say "hi"', 'two\nlines']]);
+    });
+
+    it('should skip blank lines and handle a missing trailing newline', () => {
+      expect(parseCSV('a,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCSV('')).toEqual([]);
+    });
+  });
+
+  describe('parseCSVRecords', () => {
+    it('should key rows by header and fill missing cells', () => {
+      const { headers, records } = parseCSVRecords(' a ,b,c\n1,2\n');
+      expect(headers).toEqual(['a', 'b', 'c']);
+      expect(records).toEqual([{ a: '1', b: '2', c: '' }]);
+    });
+
+    it('should handle empty input', () => {
+      expect(parseCSVRecords('')).toEqual({ headers: [], records: [] });
+    });
+  });
+});
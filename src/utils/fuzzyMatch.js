@@ -0,0 +1,193 @@
+// Typo-tolerant text matching for search and highlighting.
+// Text and terms are accent-folded and lower-cased, common Miami-Dade abbreviations in a
+// term are expanded ("N Miami" finds "North Miami"), and when nothing matches exactly,
+// words within a small edit distance count as a fuzzy match ("hialeh" finds "Hialeah").
+// Matches are reported as ranges into the original text so they can be highlighted.
+
+// Abbreviations people type for place names and hazards, keyed by the folded abbreviation
+export const SEARCH_ABBREVIATIONS = {
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west',
+  ne: 'northeast',
+  nw: 'northwest',
+  se: 'southeast',
+  sw: 'southwest',
+  bch: 'beach',
+  hts: 'heights',
+  gdns: 'gardens',
+  spgs: 'springs',
+  vlg: 'village',
+  isl: 'island',
+  pk: 'park',
+  ctr: 'center',
+  ave: 'avenue',
+  blvd: 'boulevard',
+  slr: 'sea level rise',
+  mdc: 'miami-dade county',
+  wwtp: 'wastewater treatment plant'
+};
+
+// Best kind of match first
+const MATCH_KINDS = ['exact', 'abbreviation', 'fuzzy'];
+
+const foldChar = char => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Lower-case text and strip accents ("Hialéah" -> "hialeah")
+ * @param {string} text
+ * @returns {string}
+ */
+export const foldText = text => [...String(text ?? '')].map(foldChar).join('');
+
+// Folded text plus, for every folded character, the original character it came from
+const foldWithMap = (text) => {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of String(text ?? '')) {
+    const foldedChar = foldChar(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += foldedChar;
+    offset += char.length;
+  }
+  return { folded, starts, ends };
+};
+
+/**
+ * Fold a term and expand the abbreviations in it ("N. Miami Bch" -> "north miami beach")
+ * @param {string} term
+ * @returns {string}
+ */
+export const expandAbbreviations = (term) => {
+  return foldText(term).replace(/[\p{L}\p{N}]+\.?/gu, (word) => {
+    return SEARCH_ABBREVIATIONS[word.replace(/\.$/, '')] ?? word;
+  });
+};
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity]
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+};
+
+// Typos allowed in a word: none for short words, then one, then two
+const allowedEdits = word => (word.length < 4 ? 0 : word.length < 7 ? 1 : 2);
+
+// Distance to the closest prefix of a word, so a half-typed last word still matches
+const prefixDistance = (term, word, max) => {
+  let best = max + 1;
+  const shortest = Math.max(1, term.length - max);
+  const longest = Math.min(word.length, term.length + max);
+  for (let length = shortest; length <= longest && best > 0; length++) {
+    best = Math.min(best, editDistance(term, word.slice(0, length), max));
+  }
+  return best;
+};
+
+const findOccurrences = (folded, needle) => {
+  const found = [];
+  let index = folded.indexOf(needle);
+  while (needle && index !== -1) {
+    found.push([index, index + needle.length]);
+    index = folded.indexOf(needle, index + needle.length);
+  }
+  return found;
+};
+
+// Runs of words in the text that are within the typo allowance of the term's words
+const findWordWindows = (folded, termWords, fuzzy) => {
+  const words = [...folded.matchAll(/[\p{L}\p{N}]+/gu)];
+  const found = [];
+  for (let i = 0; i + termWords.length <= words.length; i++) {
+    let distance = 0;
+    const matches = termWords.every((termWord, j) => {
+      const word = words[i + j][0];
+      const max = fuzzy ? allowedEdits(termWord) : 0;
+      const isLast = j === termWords.length - 1;
+      const wordDistance = isLast ? prefixDistance(termWord, word, max) : editDistance(termWord, word, max);
+      // Typos rarely hit the first letter; requiring it keeps "doral" from finding "Coral"
+      if (wordDistance > max || (wordDistance > 0 && termWord[0] !== word[0])) return false;
+      distance += wordDistance;
+      return true;
+    });
+    if (matches) {
+      const last = words[i + termWords.length - 1];
+      found.push({ range: [words[i].index, last.index + last[0].length], distance });
+    }
+  }
+  return found;
+};
+
+/**
+ * Every place a term matches in a text
+ * @param {string} text
+ * @param {string} term
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=true] - Allow typos; when false only exact and abbreviation matches count
+ * @returns {{ start: number, end: number, kind: 'exact'|'abbreviation'|'fuzzy', distance: number }[]}
+ *   Ranges index the original text. Fuzzy matches are only looked for when nothing matches exactly
+ */
+export const findTextMatches = (text, term, { fuzzy = true } = {}) => {
+  if (!text || typeof text !== 'string') return [];
+  const needle = foldText(term).trim();
+  if (!needle) return [];
+
+  const { folded, starts, ends } = foldWithMap(text);
+  const toMatch = ([from, to], kind, distance = 0) => ({ start: starts[from], end: ends[to - 1], kind, distance });
+
+  const exact = findOccurrences(folded, needle);
+  if (exact.length) return exact.map(range => toMatch(range, 'exact'));
+
+  const expanded = expandAbbreviations(needle);
+  if (expanded !== needle) {
+    const abbreviated = findOccurrences(folded, expanded);
+    if (abbreviated.length) return abbreviated.map(range => toMatch(range, 'abbreviation'));
+  }
+
+  // Word by word: tolerates typos as well as punctuation differences ("sea level" / "Sea-Level")
+  const termWords = expanded.match(/[\p{L}\p{N}]+/gu) || [];
+  if (termWords.length === 0) return [];
+  const exactKind = expanded !== needle ? 'abbreviation' : 'exact';
+  return findWordWindows(folded, termWords, fuzzy)
+    .map(({ range, distance }) => toMatch(range, distance ? 'fuzzy' : exactKind, distance));
+};
+
+/**
+ * Best match of a term in a text (exact before abbreviation before fuzzy, then fewest typos)
+ * @param {string} text
+ * @param {string} term
+ * @param {Object} [options] - As for findTextMatches
+ * @returns {{ start: number, end: number, kind: string, distance: number }|null}
+ */
+export const findTextMatch = (text, term, options) => {
+  const matches = findTextMatches(text, term, options);
+  if (matches.length === 0) return null;
+  return matches.reduce((best, match) => {
+    const rank = MATCH_KINDS.indexOf(match.kind) - MATCH_KINDS.indexOf(best.kind) || match.distance - best.distance;
+    return rank < 0 ? match : best;
+  });
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  foldText,
+  expandAbbreviations,
+  editDistance,
+  findTextMatches,
+  findTextMatch
+} from './fuzzyMatch.js';
+
+describe('fuzzyMatch', () => {
+  const slice = (text, match) => text.slice(match.start, match.end);
+
+  it('should fold accents and case', () => {
+    expect(foldText('Hialéah Gardens')).toBe('hialeah gardens');
+    expect(foldText(null)).toBe('');
+  });
+
+  it('should expand Miami-Dade abbreviations', () => {
+    expect(expandAbbreviations('N Miami Bch')).toBe('north miami beach');
+    expect(expandAbbreviations('n. miami')).toBe('north miami');
+    expect(expandAbbreviations('SLR')).toBe('sea level rise');
+    expect(expandAbbreviations('Doral')).toBe('doral');
+  });
+
+  it('should compute bounded edit distances', () => {
+    expect(editDistance('biscane', 'biscayne')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+
+  describe('findTextMatches', () => {
+    it('should prefer exact matches, ignoring accents', () => {
+      const text = 'Hialéah Drainage, Hialeah Gardens';
+      const matches = findTextMatches(text, 'hialeah');
+      expect(matches.map(match => match.kind)).toEqual(['exact', 'exact']);
+      expect(slice(text, matches[0])).toBe('Hialéah');
+    });
+
+    it('should match expanded abbreviations', () => {
+      const text = 'North Miami Beach Seawall';
+      const [match] = findTextMatches(text, 'N Miami Bch');
+      expect(match.kind).toBe('abbreviation');
+      expect(slice(text, match)).toBe('North Miami Beach');
+    });
+
+    it('should match abbreviations across punctuation', () => {
+      const text = 'Sea-Level Rise Adaptation';
+      const [match] = findTextMatches(text, 'SLR');
+      expect(match.kind).toBe('abbreviation');
+      expect(slice(text, match)).toBe('Sea-Level Rise');
+    });
+
+    it('should tolerate typos in longer words', () => {
+      const text = 'Biscayne Bay shoreline, City of Hialeah';
+      expect(slice(text, findTextMatch(text, 'biscane'))).toBe('Biscayne');
+      expect(slice(text, findTextMatch(text, 'hialeh'))).toBe('Hialeah');
+      expect(findTextMatch(text, 'biscane bay')).toMatchObject({ kind: 'fuzzy', distance: 1 });
+    });
+
+    it('should match a half-typed last word', () => {
+      expect(findTextMatch('Biscayne Bay', 'bay biscy')).toBeNull();
+      expect(findTextMatch('Biscayne Bay', 'biscai')).toMatchObject({ kind: 'fuzzy', start: 0, end: 8 });
+    });
+
+    it('should not fuzzy match short words or a different first letter', () => {
+      expect(findTextMatch('Coral Gables', 'doral')).toBeNull();
+      expect(findTextMatch('Bay Harbor', 'bat')).toBeNull();
+      expect(findTextMatch('Doral', 'dorel')).toMatchObject({ kind: 'fuzzy' });
+    });
+
+    it('should only match exactly or by abbreviation when fuzzy is off', () => {
+      expect(findTextMatch('Green', 'grey', { fuzzy: false })).toBeNull();
+      expect(findTextMatch('Green', 'grey')).toMatchObject({ kind: 'fuzzy' });
+      expect(findTextMatch('Sea-Level Rise', 'SLR', { fuzzy: false })).toMatchObject({ kind: 'abbreviation' });
+    });
+
+    it('should handle empty input', () => {
+      expect(findTextMatches('', 'bay')).toEqual([]);
+      expect(findTextMatches('Bay', '  ')).toEqual([]);
+      expect(findTextMatches(null, 'bay')).toEqual([]);
+    });
+  });
+});
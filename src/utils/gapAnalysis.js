@@ -0,0 +1,56 @@
+// Tract-level gap analysis: high-risk census tracts with no (or few) resilience projects.
+
+export const HIGH_RISK_RATINGS = ['Very High', 'Relatively High'];
+
+/**
+ * Count projects and estimated cost per tract
+ * @param {Object[]} projects - Normalized project records
+ * @param {Map<Object, Object>} projectTracts - Project -> tract feature, from joinProjectsToTracts
+ * @returns {Map<Object, { count: number, cost: number }>} - Keyed by tract feature
+ */
+export const summarizeProjectsByTract = (projects = [], projectTracts = new Map()) => {
+  const totals = new Map();
+  projects.forEach((project) => {
+    const tract = projectTracts.get(project);
+    if (!tract) return;
+    const entry = totals.get(tract) || { count: 0, cost: 0 };
+    entry.count++;
+    entry.cost += project.cost || 0;
+    totals.set(tract, entry);
+  });
+  return totals;
+};
+
+/**
+ * Rank high-risk tracts with at most `maxProjects` projects
+ * @param {Object[]} tractFeatures - Processed tract features (__geoid, __riskRating, __population)
+ * @param {Map<Object, Object>} tractTotals - From summarizeProjectsByTract
+ * @param {Object} [options]
+ * @param {number} [options.maxProjects=0] - Tracts with this many projects or fewer count as gaps
+ * @returns {Object[]} - { geoid, name, riskRating, projectCount, totalCost, population, feature },
+ *   ordered by risk rating, then fewest projects, lowest cost and largest population
+ */
+export const findTractGaps = (tractFeatures = [], tractTotals = new Map(), { maxProjects = 0 } = {}) => {
+  return (tractFeatures || [])
+    .filter(feature => HIGH_RISK_RATINGS.includes(feature?.properties?.__riskRating))
+    .map((feature) => {
+      const totals = tractTotals.get(feature) || { count: 0, cost: 0 };
+      const properties = feature.properties;
+      return {
+        geoid: properties.__geoid ?? null,
+        name: properties['L0Census_Tracts.NAME'] || null,
+        riskRating: properties.__riskRating,
+        projectCount: totals.count,
+        totalCost: totals.cost,
+        population: Number.isFinite(properties.__population) ? properties.__population : null,
+        feature
+      };
+    })
+    .filter(gap => gap.projectCount <= maxProjects)
+    .sort((a, b) => (
+      HIGH_RISK_RATINGS.indexOf(a.riskRating) - HIGH_RISK_RATINGS.indexOf(b.riskRating) ||
+      a.projectCount - b.projectCount ||
+      a.totalCost - b.totalCost ||
+      (b.population ?? 0) - (a.population ?? 0)
+    ));
+};
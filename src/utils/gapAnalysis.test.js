@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeProjectsByTract, findTractGaps } from './gapAnalysis.js';
+
+const tract = (geoid, riskRating, population = null) => ({
+  type: 'Feature',
+  properties: { __geoid: geoid, __riskRating: riskRating, __population: population, 'L0Census_Tracts.NAME': `Tract ${geoid}` }
+});
+
+describe('gapAnalysis', () => {
+  const veryHigh = tract('1', 'Very High', 1000);
+  const veryHighBusy = tract('2', 'Very High', 5000);
+  const relativelyHigh = tract('3', 'Relatively High', 8000);
+  const relativelyHighEmpty = tract('4', 'Relatively High', 2000);
+  const moderate = tract('5', 'Relatively Moderate', 9000);
+  const tracts = [moderate, relativelyHigh, relativelyHighEmpty, veryHighBusy, veryHigh];
+
+  const projects = [
+    { name: 'a', cost: 1000000 },
+    { name: 'b', cost: null },
+    { name: 'c', cost: 250000 },
+    { name: 'd', cost: 5 }
+  ];
+  const projectTracts = new Map([
+    [projects[0], veryHighBusy],
+    [projects[1], veryHighBusy],
+    [projects[2], relativelyHigh],
+    [projects[3], moderate]
+  ]);
+
+  describe('summarizeProjectsByTract', () => {
+    it('should total projects and cost per tract', () => {
+      const totals = summarizeProjectsByTract(projects, projectTracts);
+      expect(totals.get(veryHighBusy)).toEqual({ count: 2, cost: 1000000 });
+      expect(totals.get(relativelyHigh)).toEqual({ count: 1, cost: 250000 });
+      expect(totals.has(veryHigh)).toBe(false);
+    });
+  });
+
+  describe('findTractGaps', () => {
+    const totals = summarizeProjectsByTract(projects, projectTracts);
+
+    it('should list high-risk tracts without projects', () => {
+      const gaps = findTractGaps(tracts, totals);
+      expect(gaps.map(gap => gap.geoid)).toEqual(['1', '4']);
+      expect(gaps[0]).toMatchObject({ name: 'Tract 1', riskRating: 'Very High', projectCount: 0, totalCost: 0, population: 1000 });
+    });
+
+    it('should rank by rating, then project count and population', () => {
+      const gaps = findTractGaps(tracts, totals, { maxProjects: 2 });
+      expect(gaps.map(gap => gap.geoid)).toEqual(['1', '2', '4', '3']);
+    });
+  });
+});
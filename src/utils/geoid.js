@@ -0,0 +1,20 @@
+// Census tract GEOIDs show up in several spellings across the data files:
+// "1400000US12086000107" (FL_CRE.csv), "12086000107.0" (vulnerability_index.geojson),
+// numbers, and values with the leading state zero dropped. Join everything on the 11 digit form.
+
+const GEOID_LENGTH = 11;
+
+/**
+ * Normalize a census tract identifier to its 11 digit GEOID
+ * @param {string|number} value - Raw identifier
+ * @returns {string|null} - e.g. "12086000107", or null when the value is not a tract GEOID
+ */
+export const normalizeGeoid = (value) => {
+  if (value === null || value === undefined) return null;
+  let text = String(value).trim();
+  const prefixIndex = text.toUpperCase().lastIndexOf('US');
+  if (prefixIndex !== -1) text = text.slice(prefixIndex + 2);
+  text = text.replace(/\.0+$/, '');
+  if (!/^\d+$/.test(text) || text.length > GEOID_LENGTH) return null;
+  return text.padStart(GEOID_LENGTH, '0');
+};
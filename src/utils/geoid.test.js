@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeGeoid } from './geoid.js';
+
+describe('normalizeGeoid', () => {
+  it('should strip the census summary level prefix', () => {
+    expect(normalizeGeoid('1400000US12086000107')).toBe('12086000107');
+  });
+
+  it('should strip a trailing .0 from float exports', () => {
+    expect(normalizeGeoid('12086000109.0')).toBe('12086000109');
+    expect(normalizeGeoid(12086000109)).toBe('12086000109');
+  });
+
+  it('should restore a dropped leading zero', () => {
+    expect(normalizeGeoid('1073000100')).toBe('01073000100');
+  });
+
+  it('should reject values that are not tract identifiers', () => {
+    expect(normalizeGeoid(null)).toBe(null);
+    expect(normalizeGeoid('')).toBe(null);
+    expect(normalizeGeoid('Census Tract 1.07')).toBe(null);
+    expect(normalizeGeoid('120860001070')).toBe(null);
+  });
+});
@@ -1,9 +1,26 @@
 import React from 'react';
+import { getHighlightTerms } from './searchQuery.js';
+import { findTextMatches } from './fuzzyMatch.js';
+
+// Matched ranges for every term, sorted and with overlaps merged
+const getHighlightRanges = (text, terms) => {
+  const ranges = terms
+    .flatMap(({ text: term, fuzzy }) => findTextMatches(text, term, { fuzzy }))
+    .map(({ start, end }) => [start, end])
+    .sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
 
 /**
- * Highlights matched text in a case-insensitive manner
+ * Highlights matched text, including accent-folded, abbreviated and fuzzy matches
  * @param {string} text - The text to search within
- * @param {string} query - The search query to highlight
+ * @param {string|string[]} query - The search query (every positive term is highlighted, typo-tolerant
+ *   only where the search is) or a list of terms, matched fuzzily
  * @returns {React.ReactElement} - JSX with highlighted matches
  */
 export const highlightText = (text, query) => {
@@ -12,26 +29,28 @@ export const highlightText = (text, query) => {
     return <>{text}</>;
   }
 
-  if (!query || !query.trim()) {
+  const terms = Array.isArray(query)
+    ? query.map(term => ({ text: String(term ?? '').trim(), fuzzy: true }))
+    : getHighlightTerms(query);
+  const ranges = getHighlightRanges(text, terms.filter(term => term.text));
+  if (ranges.length === 0) {
     return <>{text}</>;
   }
 
-  const searchTerm = query.trim();
-  
-  // Escape special regex characters in the search query
-  const escapedQuery = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  
-  // Create a case-insensitive regex pattern
-  const regex = new RegExp(`(${escapedQuery})`, 'gi');
-  
   // Split text into parts: matched and unmatched
-  const parts = text.split(regex).filter(part => part.length > 0);
-  
+  const parts = [];
+  let offset = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > offset) parts.push({ text: text.slice(offset, start), matched: false });
+    parts.push({ text: text.slice(start, end), matched: true });
+    offset = end;
+  });
+  if (offset < text.length) parts.push({ text: text.slice(offset), matched: false });
+
   return (
     <>
       {parts.map((part, index) => {
-        // Check if this part matches the search query (case-insensitive)
-        if (part.toLowerCase() === searchTerm.toLowerCase()) {
+        if (part.matched) {
           return (
             <span
               key={index}
@@ -43,11 +62,11 @@ export const highlightText = (text, query) => {
                 borderRadius: '3px'
               }}
             >
-              {part}
+              {part.text}
             </span>
           );
         }
-        return <span key={index}>{part}</span>;
+        return <span key={index}>{part.text}</span>;
       })}
     </>
   );
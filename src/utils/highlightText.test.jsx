@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import { highlightText } from './highlightText.jsx';
+
+// Text of every highlighted span
+const highlighted = (text, query) => {
+  const { container } = render(<div>{highlightText(text, query)}</div>);
+  return [...container.querySelectorAll('span[style]')].map(span => span.textContent);
+};
+
+describe('highlightText', () => {
+  it('should highlight every positive term of a query', () => {
+    expect(highlighted('Miami Beach flooding seawall', 'city:"Miami Beach" flooding -seawall'))
+      .toEqual(['Miami Beach', 'flooding']);
+  });
+
+  it('should highlight typos in keyword terms', () => {
+    expect(highlighted('Hialeah Drainage Project', 'hialeh')).toEqual(['Hialeah']);
+  });
+
+  it('should not highlight fuzzy matches of exact-match fields', () => {
+    expect(highlighted('Tree Planting Program', 'category:planning')).toEqual([]);
+    expect(highlighted('Planning & Assessments', 'category:planning')).toEqual(['Planning']);
+  });
+
+  it('should highlight a list of terms fuzzily', () => {
+    expect(highlighted('Tree Planting Program', ['planning'])).toEqual(['Planting']);
+  });
+
+  it('should return the text unchanged when nothing matches', () => {
+    expect(highlighted('Tree Planting Program', '')).toEqual([]);
+    expect(highlightText(null, 'planning').props.children).toBeNull();
+  });
+});
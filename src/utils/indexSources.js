@@ -0,0 +1,45 @@
+// Where the Modelling Layer datasets live, and what makes a tract boundary file usable.
+
+import { normalizeGeoid } from './geoid.js';
+import { FEMA_NRI_URL } from './riskIndex.js';
+import { VULNERABILITY_INDEX_URL } from './vulnerabilityIndex.js';
+import { CEJST_URL } from './cejst.js';
+
+// Miami-Dade census tract polygons (TIGER/Line) with the GEOID in `L0Census_Tracts.GEOID`; see README
+export const TRACT_BOUNDARIES_URL = '/census_tracts.geojson';
+
+// Tract boundary files, in order of preference; femaindex.geojson is the older combined export
+const BOUNDARY_SOURCES = [TRACT_BOUNDARIES_URL, '/femaindex.geojson'];
+
+// Geometry types of attribute-only exports that place one dummy point per tract
+const POINT_TYPES = new Set(['Point', 'MultiPoint']);
+
+// Candidate files per dataset, in order of preference
+export const INDEX_SOURCES = {
+  boundaries: BOUNDARY_SOURCES,
+  risk: [...BOUNDARY_SOURCES, FEMA_NRI_URL],
+  resilience: ['/FL_CRE.csv'],
+  vulnerability: [VULNERABILITY_INDEX_URL],
+  cejst: [CEJST_URL]
+};
+
+/**
+ * Check that a FeatureCollection holds census tract polygons with GEOIDs
+ * @param {Object} featureCollection - Candidate tract boundary file
+ * @returns {string|null} - Problem description, or null when usable
+ */
+export const validateTractBoundaries = (featureCollection) => {
+  if (featureCollection?.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    return 'not a GeoJSON FeatureCollection';
+  }
+  const { features } = featureCollection;
+  if (features.length && features.every(feature => POINT_TYPES.has(feature?.geometry?.type))) {
+    return 'only point geometry, no tract polygons';
+  }
+  const usable = features.filter(feature => (
+    ['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type) &&
+    normalizeGeoid(feature.properties?.['L0Census_Tracts.GEOID'])
+  ));
+  if (!usable.length) return 'no census tract polygons with a GEOID';
+  return null;
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { SOURCE_STATUS, loadFirstAvailable } from './sourceLoader.js';
+import { INDEX_SOURCES, TRACT_BOUNDARIES_URL, validateTractBoundaries } from './indexSources.js';
+
+describe('indexSources', () => {
+  it('should try the tract boundary files before the SCALE-R risk export', () => {
+    expect(INDEX_SOURCES.boundaries).toEqual([TRACT_BOUNDARIES_URL, '/femaindex.geojson']);
+    expect(INDEX_SOURCES.risk).toEqual([
+      TRACT_BOUNDARIES_URL,
+      '/femaindex.geojson',
+      '/FEMA_National_Risk_Index.geojson'
+    ]);
+  });
+
+  describe('validateTractBoundaries', () => {
+    it('should accept tract polygons with a GEOID', () => {
+      expect(validateTractBoundaries({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+          properties: { 'L0Census_Tracts.GEOID': '12086000107' }
+        }]
+      })).toBe(null);
+    });
+
+    it('should reject attribute-only exports with dummy points', () => {
+      expect(validateTractBoundaries({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { CensusTracts: 107 } }]
+      })).toBe('only point geometry, no tract polygons');
+      expect(validateTractBoundaries({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: { type: 'MultiPoint', coordinates: [[0, 0]] },
+          properties: { 'L0Census_Tracts.GEOID': '12086000107' }
+        }]
+      })).toBe('only point geometry, no tract polygons');
+    });
+
+    it('should reject polygons without a GEOID', () => {
+      expect(validateTractBoundaries({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+          properties: { NAME: 'Tract 1.07' }
+        }]
+      })).toBe('no census tract polygons with a GEOID');
+    });
+
+    it('should mark the shipped point exports invalid when loading boundaries', async () => {
+      const shipped = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { CensusTracts: 107 } }]
+      };
+      const result = await loadFirstAvailable(['/FEMA_National_Risk_Index.geojson'], {
+        load: async () => shipped,
+        validate: validateTractBoundaries
+      });
+      expect(result.status).toBe(SOURCE_STATUS.INVALID);
+      expect(result.attempts[0].reason).toBe('only point geometry, no tract polygons');
+    });
+
+    it('should reject non-GeoJSON input', () => {
+      expect(validateTractBoundaries(null)).toBe('not a GeoJSON FeatureCollection');
+    });
+  });
+});
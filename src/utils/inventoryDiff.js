@@ -0,0 +1,204 @@
+// Compare two project inventory snapshots (normalized records from projectSchema.js).
+//
+// Projects are matched in two passes:
+// 1. Same normalized name; when a name repeats, the nearest location wins.
+// 2. Remaining projects at the same location (within `renameDistance` meters), to catch renames.
+// Anything left unmatched is reported as added (only in the newer snapshot) or removed.
+
+export const DIFF_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MODIFIED: 'modified',
+  UNCHANGED: 'unchanged'
+};
+
+export const DIFF_STATUS_COLORS = {
+  added: '#27ae60',
+  removed: '#e74c3c',
+  modified: '#f39c12',
+  unchanged: '#95a5a6'
+};
+
+// Fields compared between matched projects, with display labels
+export const DIFF_FIELDS = {
+  name: 'Project Name',
+  city: 'City',
+  type: 'Infrastructure Type',
+  categories: 'Categories',
+  disasterFocus: 'Disaster Focus',
+  status: 'Project Status',
+  cost: 'Estimated Cost',
+  startDate: 'Start Date',
+  endDate: 'End Date',
+  agency: 'Implementing Agency',
+  sourceUrl: 'Data Source',
+  description: 'Description',
+  comments: 'Additional Comments',
+  coordinates: 'Location'
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Great-circle distance between two [lng, lat] pairs in meters
+export const distanceMeters = (a, b) => {
+  if (!a || !b) return Infinity;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+// Lowercase, strip punctuation and collapse whitespace so cosmetic edits still match
+export const normalizeNameKey = (name) => {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+const comparableText = (value) => {
+  if (value === null || value === undefined) return null;
+  return String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+const diffProjectFields = (base, compare, locationTolerance) => {
+  const changes = [];
+  Object.keys(DIFF_FIELDS).forEach((field) => {
+    const before = base[field] ?? null;
+    const after = compare[field] ?? null;
+    let changed;
+    if (field === 'coordinates') {
+      changed = (before === null) !== (after === null) ||
+        (before !== null && distanceMeters(before, after) > locationTolerance);
+    } else if (field === 'cost') {
+      changed = before !== after;
+    } else {
+      changed = comparableText(before) !== comparableText(after);
+    }
+    if (changed) changes.push({ field, label: DIFF_FIELDS[field], before, after });
+  });
+  return changes;
+};
+
+// Remove and return the candidate closest to `project` (within maxDistance meters).
+// Without a distance limit, candidates lacking coordinates can still match on name alone.
+const takeNearest = (candidates, project, maxDistance = Infinity) => {
+  let bestIndex = -1;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate, index) => {
+    let distance = distanceMeters(project.coordinates, candidate.coordinates);
+    if (distance === Infinity && maxDistance === Infinity) distance = Number.MAX_VALUE;
+    if (distance <= maxDistance && distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index;
+    }
+  });
+  if (bestIndex === -1) return null;
+  return candidates.splice(bestIndex, 1)[0];
+};
+
+/**
+ * Diff two inventories of normalized project records
+ * @param {Object[]} baseProjects - Records from the older snapshot
+ * @param {Object[]} compareProjects - Records from the newer snapshot
+ * @param {Object} [options]
+ * @param {number} [options.locationTolerance=25] - Meters a project may move before it counts as a change
+ * @param {number} [options.renameDistance=25] - Meters within which differently named projects are paired
+ * @returns {{ entries: Object[], summary: Object }}
+ */
+export const diffInventories = (baseProjects = [], compareProjects = [], options = {}) => {
+  const { locationTolerance = 25, renameDistance = 25 } = options;
+
+  // Pool newer records by name key so each can be matched at most once
+  const pool = new Map();
+  compareProjects.forEach((project) => {
+    const key = normalizeNameKey(project.name);
+    if (!pool.has(key)) pool.set(key, []);
+    pool.get(key).push(project);
+  });
+
+  const pairs = [];
+  const unmatchedBase = [];
+
+  baseProjects.forEach((project) => {
+    const key = normalizeNameKey(project.name);
+    const candidates = key ? pool.get(key) : null;
+    const match = candidates?.length ? takeNearest(candidates, project) : null;
+    if (match) {
+      pairs.push([project, match]);
+    } else {
+      unmatchedBase.push(project);
+    }
+  });
+
+  const unmatchedCompare = [...pool.values()].flat();
+  const removed = [];
+
+  unmatchedBase.forEach((project) => {
+    const match = takeNearest(unmatchedCompare, project, renameDistance);
+    if (match) {
+      pairs.push([project, match]);
+    } else {
+      removed.push(project);
+    }
+  });
+
+  const entries = [];
+
+  pairs.forEach(([base, compare]) => {
+    const changes = diffProjectFields(base, compare, locationTolerance);
+    entries.push({
+      status: changes.length ? DIFF_STATUS.MODIFIED : DIFF_STATUS.UNCHANGED,
+      name: compare.name || base.name,
+      base,
+      compare,
+      changes
+    });
+  });
+
+  removed.forEach((base) => {
+    entries.push({ status: DIFF_STATUS.REMOVED, name: base.name, base, compare: null, changes: [] });
+  });
+
+  unmatchedCompare.forEach((compare) => {
+    entries.push({ status: DIFF_STATUS.ADDED, name: compare.name, base: null, compare, changes: [] });
+  });
+
+  const summary = Object.values(DIFF_STATUS).reduce((counts, status) => {
+    counts[status] = entries.filter(entry => entry.status === status).length;
+    return counts;
+  }, {});
+
+  return { entries, summary };
+};
+
+/**
+ * Convert diff entries to a point FeatureCollection for the map (newer location preferred)
+ * @param {Object[]} entries - Entries from diffInventories
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnchanged=false] - Whether to keep unchanged projects
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+export const diffToGeoJSON = (entries = [], { includeUnchanged = false } = {}) => {
+  const features = [];
+  entries.forEach((entry, index) => {
+    if (!includeUnchanged && entry.status === DIFF_STATUS.UNCHANGED) return;
+    const coordinates = entry.compare?.coordinates || entry.base?.coordinates;
+    if (!coordinates) return;
+    features.push({
+      type: 'Feature',
+      id: index,
+      geometry: { type: 'Point', coordinates },
+      properties: {
+        entryIndex: index,
+        status: entry.status,
+        name: entry.name || 'Unnamed Project',
+        changeCount: entry.changes.length
+      }
+    });
+  });
+  return { type: 'FeatureCollection', features };
+};
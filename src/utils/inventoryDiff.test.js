@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DIFF_STATUS,
+  diffInventories,
+  diffToGeoJSON,
+  distanceMeters,
+  normalizeNameKey
+} from './inventoryDiff.js';
+
+const project = (overrides) => ({
+  name: 'Miami Beach Flood Protection',
+  city: 'Miami Beach',
+  type: 'Blue',
+  categories: 'Flood Control Infrastructure',
+  disasterFocus: 'Flooding',
+  status: 'Ongoing',
+  cost: 5000000,
+  startDate: '2022',
+  endDate: null,
+  agency: 'City of Miami Beach',
+  sourceUrl: null,
+  description: 'Comprehensive flood protection system',
+  comments: null,
+  coordinates: [-80.1918, 25.7617],
+  ...overrides
+});
+
+describe('inventoryDiff', () => {
+  describe('normalizeNameKey', () => {
+    it('should ignore case, punctuation and extra whitespace', () => {
+      expect(normalizeNameKey('C-8 Basin  (SFWMD)')).toBe(normalizeNameKey('c 8 basin sfwmd'));
+      expect(normalizeNameKey('Park ')).toBe('park');
+    });
+
+    it('should handle empty names', () => {
+      expect(normalizeNameKey(null)).toBe('');
+    });
+  });
+
+  describe('distanceMeters', () => {
+    it('should return roughly 111 km per degree of latitude', () => {
+      expect(distanceMeters([-80, 25], [-80, 26])).toBeCloseTo(111195, -2);
+    });
+
+    it('should return Infinity when a location is missing', () => {
+      expect(distanceMeters(null, [-80, 25])).toBe(Infinity);
+    });
+  });
+
+  describe('diffInventories', () => {
+    it('should classify unchanged, modified, added and removed projects', () => {
+      const base = [
+        project({}),
+        project({ name: 'Coral Gables Green Infrastructure', coordinates: [-80.26, 25.72] }),
+        project({ name: 'Doral Stormwater Management', coordinates: [-80.35, 25.81] })
+      ];
+      const compare = [
+        project({}),
+        project({ name: 'Coral Gables Green Infrastructure', coordinates: [-80.26, 25.72], status: 'Completed' }),
+        project({ name: 'Hialeah Pump Station', coordinates: [-80.28, 25.86] })
+      ];
+
+      const { entries, summary } = diffInventories(base, compare);
+      expect(summary).toEqual({ added: 1, removed: 1, modified: 1, unchanged: 1 });
+
+      const modified = entries.find(entry => entry.status === DIFF_STATUS.MODIFIED);
+      expect(modified.name).toBe('Coral Gables Green Infrastructure');
+      expect(modified.changes).toEqual([
+        { field: 'status', label: 'Project Status', before: 'Ongoing', after: 'Completed' }
+      ]);
+
+      expect(entries.find(entry => entry.status === DIFF_STATUS.ADDED).name).toBe('Hialeah Pump Station');
+      expect(entries.find(entry => entry.status === DIFF_STATUS.REMOVED).name).toBe('Doral Stormwater Management');
+    });
+
+    it('should ignore whitespace and case-only edits', () => {
+      const { summary } = diffInventories(
+        [project({ city: 'Miami Beach ' })],
+        [project({ city: 'MIAMI BEACH' })]
+      );
+      expect(summary.unchanged).toBe(1);
+    });
+
+    it('should pair renamed projects at the same location', () => {
+      const { entries, summary } = diffInventories(
+        [project({ name: 'Flood Protection Phase 1' })],
+        [project({ name: 'Flood Protection - Phase I' })]
+      );
+      expect(summary.modified).toBe(1);
+      expect(entries[0].changes.map(change => change.field)).toEqual(['name']);
+    });
+
+    it('should report moved projects as a location change', () => {
+      const { entries } = diffInventories(
+        [project({})],
+        [project({ coordinates: [-80.1918, 25.7717] })]
+      );
+      expect(entries[0].status).toBe(DIFF_STATUS.MODIFIED);
+      expect(entries[0].changes[0].field).toBe('coordinates');
+    });
+
+    it('should match duplicate names to the nearest location', () => {
+      const near = project({ coordinates: [-80.1918, 25.7618], status: 'Completed' });
+      const far = project({ coordinates: [-80.30, 25.90] });
+      const { entries } = diffInventories([project({})], [far, near]);
+      const matched = entries.find(entry => entry.base);
+      expect(matched.compare).toBe(near);
+      expect(entries.find(entry => entry.status === DIFF_STATUS.ADDED).compare).toBe(far);
+    });
+
+    it('should handle empty inventories', () => {
+      expect(diffInventories().entries).toEqual([]);
+      expect(diffInventories([], [project({})]).summary.added).toBe(1);
+    });
+  });
+
+  describe('diffToGeoJSON', () => {
+    it('should emit changed projects as points and skip unchanged ones by default', () => {
+      const { entries } = diffInventories(
+        [project({}), project({ name: 'Removed Project', coordinates: [-80.3, 25.8] })],
+        [project({})]
+      );
+      const geojson = diffToGeoJSON(entries);
+      expect(geojson.features).toHaveLength(1);
+      expect(geojson.features[0].properties.status).toBe(DIFF_STATUS.REMOVED);
+      expect(geojson.features[0].geometry.coordinates).toEqual([-80.3, 25.8]);
+      expect(diffToGeoJSON(entries, { includeUnchanged: true }).features).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// Justice40 share: how much of the project inventory lands in disadvantaged census tracts.
+
+const emptyBucket = () => ({ count: 0, cost: 0 });
+
+/**
+ * Split projects into inside / outside disadvantaged tracts
+ * @param {Object[]} projects - Normalized project records (already filtered)
+ * @param {Map<Object, Object>} projectTracts - Project -> tract feature, from joinProjectsToTracts
+ * @param {Function} isDisadvantaged - (tractFeature) => true | false | null (null when the tract has no flag)
+ * @returns {{ inside: Object, outside: Object, unknown: Object, total: Object }} - Each bucket has
+ *   count, cost, countShare and costShare (shares of the total, 0-100)
+ */
+export const summarizeJustice40 = (projects = [], projectTracts = new Map(), isDisadvantaged = () => null) => {
+  const summary = {
+    inside: emptyBucket(),
+    outside: emptyBucket(),
+    unknown: emptyBucket(),
+    total: emptyBucket()
+  };
+
+  projects.forEach((project) => {
+    const tract = projectTracts.get(project);
+    const flag = tract ? isDisadvantaged(tract) : null;
+    const bucket = flag === true ? summary.inside : flag === false ? summary.outside : summary.unknown;
+    const cost = project.cost || 0;
+    bucket.count++;
+    bucket.cost += cost;
+    summary.total.count++;
+    summary.total.cost += cost;
+  });
+
+  Object.values(summary).forEach((bucket) => {
+    bucket.countShare = summary.total.count ? (bucket.count / summary.total.count) * 100 : 0;
+    bucket.costShare = summary.total.cost ? (bucket.cost / summary.total.cost) * 100 : 0;
+  });
+
+  return summary;
+};
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeJustice40 } from './justice40.js';
+
+describe('summarizeJustice40', () => {
+  const disadvantagedTract = { properties: { __cejstDisadvantaged: true } };
+  const otherTract = { properties: { __cejstDisadvantaged: false } };
+  const unflaggedTract = { properties: { __cejstDisadvantaged: null } };
+  const isDisadvantaged = tract => tract.properties.__cejstDisadvantaged;
+
+  it('should split counts and costs by disadvantaged status', () => {
+    const projects = [
+      { name: 'a', cost: 3000000 },
+      { name: 'b', cost: null },
+      { name: 'c', cost: 1000000 },
+      { name: 'd', cost: 0 },
+      { name: 'e', cost: 500 }
+    ];
+    const projectTracts = new Map([
+      [projects[0], disadvantagedTract],
+      [projects[1], disadvantagedTract],
+      [projects[2], otherTract],
+      [projects[3], unflaggedTract]
+    ]);
+
+    const summary = summarizeJustice40(projects, projectTracts, isDisadvantaged);
+    expect(summary.inside).toMatchObject({ count: 2, cost: 3000000, countShare: 40, costShare: 3000000 / 4000500 * 100 });
+    expect(summary.outside).toMatchObject({ count: 1, cost: 1000000, countShare: 20 });
+    expect(summary.unknown).toMatchObject({ count: 2, cost: 500, countShare: 40 });
+    expect(summary.total).toMatchObject({ count: 5, cost: 4000500, countShare: 100, costShare: 100 });
+  });
+
+  it('should report zero shares without projects', () => {
+    const summary = summarizeJustice40([], new Map(), isDisadvantaged);
+    expect(summary.inside).toEqual({ count: 0, cost: 0, countShare: 0, costShare: 0 });
+  });
+});
@@ -0,0 +1,163 @@
+// Hazard-specific FEMA National Risk Index ratings per census tract.
+//
+// NRI tract exports carry per-hazard columns (`CFLD_RISKR`, `CFLD_EALS`, ...) next to the
+// composite ones (`EAL_RATNG`, `SOVI_RATNG`, `RESL_RATNG`). Columns joined onto femaindex.geojson
+// keep a table prefix ("T_FEMA_National_Risk_Index_$_.CFLD_RISKR"), so lookups ignore it.
+// The composite risk rating itself is read by riskIndex.js and stays on `__riskRating`.
+
+import { RISK_RATINGS, readRiskIndexGeoid } from './riskIndex.js';
+
+export const NRI_HAZARD_KEYS = ['ALL', 'CFLD', 'RFLD', 'HRCN', 'HWAV'];
+
+// Ramps run from Very Low to Very High
+export const NRI_HAZARDS = {
+  ALL: { label: 'All hazards', ramp: ['#FFF9C4', '#FFE082', '#FFB74D', '#FF8A65', '#E64A19'] },
+  CFLD: { label: 'Coastal Flooding', ramp: ['#E0F7FA', '#80DEEA', '#26C6DA', '#00838F', '#004D40'] },
+  RFLD: { label: 'Riverine Flooding', ramp: ['#E3F2FD', '#90CAF9', '#42A5F5', '#1565C0', '#0D47A1'] },
+  HRCN: { label: 'Hurricane', ramp: ['#F3E5F5', '#CE93D8', '#AB47BC', '#7B1FA2', '#4A148C'] },
+  HWAV: { label: 'Heat Wave', ramp: ['#FFEBEE', '#EF9A9A', '#EF5350', '#C62828', '#7F0000'] }
+};
+
+// Social vulnerability and community resilience are tract-wide, so they only exist under ALL
+export const NRI_COMPONENTS = {
+  risk: { label: 'Risk' },
+  eal: { label: 'Expected Annual Loss' },
+  sovi: { label: 'Social Vulnerability', ramp: ['#EFEBE9', '#BCAAA4', '#8D6E63', '#5D4037', '#3E2723'] },
+  resl: { label: 'Community Resilience', ramp: ['#F1F8E9', '#C5E1A5', '#8BC34A', '#558B2F', '#1B5E20'] }
+};
+
+/**
+ * Components that can be mapped for a hazard
+ * @param {string} hazard - Key of NRI_HAZARDS
+ * @returns {string[]} - Keys of NRI_COMPONENTS
+ */
+export const getHazardComponents = (hazard) => {
+  return hazard === 'ALL' ? ['risk', 'eal', 'sovi', 'resl'] : ['risk', 'eal'];
+};
+
+// NRI column names for one hazard/component pair
+const getNriColumns = (hazard, component) => {
+  if (component === 'sovi') return { rating: 'SOVI_RATNG', score: 'SOVI_SCORE' };
+  if (component === 'resl') return { rating: 'RESL_RATNG', score: 'RESL_SCORE' };
+  if (hazard === 'ALL') {
+    return component === 'risk'
+      ? { rating: 'RISK_RATNG', score: 'RISK_SCORE' }
+      : { rating: 'EAL_RATNG', score: 'EAL_SCORE', loss: 'EAL_VALT' };
+  }
+  return component === 'risk'
+    ? { rating: `${hazard}_RISKR`, score: `${hazard}_RISKS` }
+    : { rating: `${hazard}_EALR`, score: `${hazard}_EALS`, loss: `${hazard}_EALT` };
+};
+
+/**
+ * Tract property names holding a hazard/component rating, score and annual loss
+ * @param {string} hazard - Key of NRI_HAZARDS
+ * @param {string} component - Key of NRI_COMPONENTS
+ * @returns {{ rating: string, score: string, loss: string }}
+ */
+export const getHazardPropertyNames = (hazard, component) => {
+  if (hazard === 'ALL' && component === 'risk') {
+    return { rating: '__riskRating', score: '__riskScore', loss: '__riskLoss' };
+  }
+  const base = `__NRI_${hazard}_${component}`;
+  return { rating: base, score: `${base}_score`, loss: `${base}_loss` };
+};
+
+/**
+ * Color ramp for a hazard/component pair
+ * @param {string} hazard - Key of NRI_HAZARDS
+ * @param {string} component - Key of NRI_COMPONENTS
+ * @returns {string[]} - One color per entry of RISK_RATINGS
+ */
+export const getHazardRamp = (hazard, component) => {
+  return NRI_COMPONENTS[component]?.ramp || NRI_HAZARDS[hazard]?.ramp || NRI_HAZARDS.ALL.ramp;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+// Column name without the joined-table prefix -> value
+const indexColumns = (properties) => {
+  return Object.entries(properties).reduce((columns, [key, value]) => {
+    const column = key.slice(key.lastIndexOf('.') + 1);
+    if (!(column in columns)) columns[column] = value;
+    return columns;
+  }, {});
+};
+
+/**
+ * Index hazard-specific NRI ratings by GEOID, keeping only the columns the file carries
+ * @param {Object} featureCollection - Either layout supported by parseRiskIndex
+ * @returns {{ byGeoid: Object, available: Object, count: number }} - byGeoid[geoid][hazard][component]
+ *   is { rating, score, loss }; available[hazard] lists components with at least one rating
+ */
+export const parseHazardIndex = (featureCollection) => {
+  const byGeoid = {};
+  const available = {};
+
+  (featureCollection?.features || []).forEach((feature) => {
+    const properties = feature?.properties || {};
+    const geoid = readRiskIndexGeoid(properties);
+    if (!geoid) return;
+    const columns = indexColumns(properties);
+
+    NRI_HAZARD_KEYS.forEach((hazard) => {
+      getHazardComponents(hazard).forEach((component) => {
+        // The composite risk rating is parseRiskIndex's job
+        if (hazard === 'ALL' && component === 'risk') return;
+        const names = getNriColumns(hazard, component);
+        const rating = columns[names.rating];
+        if (!RISK_RATINGS.includes(rating)) return;
+        byGeoid[geoid] = byGeoid[geoid] || {};
+        byGeoid[geoid][hazard] = byGeoid[geoid][hazard] || {};
+        byGeoid[geoid][hazard][component] = {
+          rating,
+          score: toNumber(columns[names.score]),
+          loss: names.loss ? toNumber(columns[names.loss]) : null
+        };
+        available[hazard] = available[hazard] || [];
+        if (!available[hazard].includes(component)) available[hazard].push(component);
+      });
+    });
+  });
+
+  Object.keys(available).forEach((hazard) => {
+    const order = getHazardComponents(hazard);
+    available[hazard].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  });
+
+  return { byGeoid, available, count: Object.keys(byGeoid).length };
+};
+
+/**
+ * Whether a risk file rates anything beyond the composite risk (hazards, annual loss, SOVI, RESL).
+ * Attribute-only exports such as FEMA_National_Risk_Index.geojson carry the composite rating alone.
+ * @param {Object} available - parseHazardIndex().available, optionally with ALL: ['risk', ...]
+ * @returns {boolean}
+ */
+export const hasHazardBreakdown = (available) => {
+  return Object.entries(available || {}).some(([hazard, components]) => (
+    (components || []).some(component => hazard !== 'ALL' || component !== 'risk')
+  ));
+};
+
+/**
+ * Flatten one tract's hazard ratings onto tract properties (see getHazardPropertyNames)
+ * @param {Object} record - Entry of parseHazardIndex().byGeoid
+ * @returns {Object}
+ */
+export const getHazardTractProperties = (record) => {
+  const properties = {};
+  Object.entries(record || {}).forEach(([hazard, components]) => {
+    Object.entries(components).forEach(([component, value]) => {
+      const names = getHazardPropertyNames(hazard, component);
+      properties[names.rating] = value.rating;
+      properties[names.score] = value.score;
+      properties[names.loss] = value.loss;
+    });
+  });
+  return properties;
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  NRI_HAZARD_KEYS,
+  NRI_HAZARDS,
+  getHazardComponents,
+  getHazardPropertyNames,
+  getHazardRamp,
+  parseHazardIndex,
+  getHazardTractProperties,
+  hasHazardBreakdown
+} from './nriHazards.js';
+
+describe('nriHazards', () => {
+  describe('parseHazardIndex', () => {
+    it('should read hazard columns from the SCALE-R layout', () => {
+      const { byGeoid, available, count } = parseHazardIndex({
+        features: [{
+          properties: {
+            CensusTracts: 107,
+            FEMAIndexRating: 'Relatively Moderate',
+            CFLD_RISKR: 'Very High',
+            CFLD_RISKS: 98.2,
+            CFLD_EALR: 'Relatively High',
+            CFLD_EALS: '91.4',
+            CFLD_EALT: 125000,
+            HWAV_RISKR: 'Relatively Low',
+            SOVI_RATNG: 'Very High',
+            SOVI_SCORE: 88
+          }
+        }]
+      });
+      expect(count).toBe(1);
+      expect(byGeoid['12086000107'].CFLD.risk).toEqual({ rating: 'Very High', score: 98.2, loss: null });
+      expect(byGeoid['12086000107'].CFLD.eal).toEqual({ rating: 'Relatively High', score: 91.4, loss: 125000 });
+      expect(byGeoid['12086000107'].HWAV.risk.score).toBe(null);
+      expect(byGeoid['12086000107'].ALL.sovi.rating).toBe('Very High');
+      expect(available).toEqual({ ALL: ['sovi'], CFLD: ['risk', 'eal'], HWAV: ['risk'] });
+    });
+
+    it('should ignore the joined-table prefix on femaindex columns', () => {
+      const { byGeoid } = parseHazardIndex({
+        features: [{
+          properties: {
+            'L0Census_Tracts.GEOID': '12086000109',
+            'T_FEMA_National_Risk_Index_$_.RFLD_RISKR': 'Relatively Low',
+            'T_FEMA_National_Risk_Index_$_.RESL_RATNG': 'Very Low'
+          }
+        }]
+      });
+      expect(byGeoid['12086000109'].RFLD.risk.rating).toBe('Relatively Low');
+      expect(byGeoid['12086000109'].ALL.resl.rating).toBe('Very Low');
+    });
+
+    it('should skip unrated hazards and files without hazard columns', () => {
+      const { byGeoid, available, count } = parseHazardIndex({
+        features: [
+          { properties: { CensusTracts: 107, FEMAIndexRating: 'Very High', HRCN_RISKR: 'Insufficient Data' } },
+          { properties: { CensusTracts: null, CFLD_RISKR: 'Very High' } }
+        ]
+      });
+      expect(byGeoid).toEqual({});
+      expect(available).toEqual({});
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('hasHazardBreakdown', () => {
+    it('should tell composite-only files apart from full NRI exports', () => {
+      const compositeOnly = parseHazardIndex({
+        features: [{ properties: { CensusTracts: 107, FEMAIndex: 67.2, FEMAIndexRating: 'Relatively Moderate' } }]
+      });
+      expect(hasHazardBreakdown(compositeOnly.available)).toBe(false);
+      expect(hasHazardBreakdown({ ALL: ['risk'] })).toBe(false);
+      expect(hasHazardBreakdown({})).toBe(false);
+      expect(hasHazardBreakdown({ ALL: ['risk', 'sovi'] })).toBe(true);
+      expect(hasHazardBreakdown({ ALL: ['risk'], CFLD: ['risk'] })).toBe(true);
+    });
+  });
+
+  describe('getHazardPropertyNames', () => {
+    it('should keep the composite risk on the existing rating property', () => {
+      expect(getHazardPropertyNames('ALL', 'risk').rating).toBe('__riskRating');
+      expect(getHazardPropertyNames('CFLD', 'eal')).toEqual({
+        rating: '__NRI_CFLD_eal',
+        score: '__NRI_CFLD_eal_score',
+        loss: '__NRI_CFLD_eal_loss'
+      });
+    });
+  });
+
+  describe('getHazardTractProperties', () => {
+    it('should flatten a tract record onto properties', () => {
+      expect(getHazardTractProperties({ HRCN: { risk: { rating: 'Very High', score: 99, loss: null } } })).toEqual({
+        __NRI_HRCN_risk: 'Very High',
+        __NRI_HRCN_risk_score: 99,
+        __NRI_HRCN_risk_loss: null
+      });
+      expect(getHazardTractProperties(null)).toEqual({});
+    });
+  });
+
+  it('should give each hazard its own five-color ramp', () => {
+    const ramps = NRI_HAZARD_KEYS.map(hazard => NRI_HAZARDS[hazard].ramp);
+    ramps.forEach(ramp => expect(ramp).toHaveLength(5));
+    expect(new Set(ramps.map(ramp => ramp[4])).size).toBe(NRI_HAZARD_KEYS.length);
+    expect(getHazardRamp('CFLD', 'risk')).toBe(NRI_HAZARDS.CFLD.ramp);
+    expect(getHazardRamp('ALL', 'resl')).not.toBe(NRI_HAZARDS.ALL.ramp);
+  });
+
+  it('should only offer tract-wide components for all hazards', () => {
+    expect(getHazardComponents('ALL')).toEqual(['risk', 'eal', 'sovi', 'resl']);
+    expect(getHazardComponents('HWAV')).toEqual(['risk', 'eal']);
+  });
+});
@@ -0,0 +1,118 @@
+// Helpers for the printable one-page report: project colors and legend, the capped project
+// table, and the map snapshot.
+
+// Marker color per normalized infrastructure type (projectSchema.js); also used by the pie chart
+export const PROJECT_TYPE_COLORS = {
+  Blue: '#3498db',
+  Green: '#27ae60',
+  Grey: '#95a5a6',
+  Hybrid: '#9b59b6' // Purple for hybrid infrastructure
+};
+
+export const DEFAULT_PROJECT_COLOR = '#95a5a6';
+
+// Rows in the report table; the rest of the filtered projects are summarized below it
+export const PRINT_TABLE_LIMIT = 25;
+
+// How long to wait for the map to draw a frame before giving up on the snapshot
+export const MAP_CAPTURE_TIMEOUT_MS = 5000;
+
+/**
+ * Marker color for a project type
+ * @param {string} type - Normalized type ("Green") or raw label ("Green Infrastructure")
+ * @returns {string}
+ */
+export const getProjectTypeColor = (type) => {
+  const key = String(type ?? '').replace(/\s+infrastructure$/i, '').trim();
+  return PROJECT_TYPE_COLORS[key] || DEFAULT_PROJECT_COLOR;
+};
+
+/**
+ * Legend entries for the project markers
+ * @returns {{ label: string, color: string }[]}
+ */
+export const getProjectTypeLegend = () => {
+  return Object.entries(PROJECT_TYPE_COLORS).map(([label, color]) => ({ label, color }));
+};
+
+/**
+ * Rows for the report table: the costliest projects first, capped so the report stays one page
+ * @param {Object[]} projects - Filtered project records
+ * @param {number} [limit=PRINT_TABLE_LIMIT]
+ * @returns {{ rows: Object[], hiddenCount: number, hiddenInvestment: number }}
+ *   What did not fit is counted in hiddenCount / hiddenInvestment (disclosed costs only)
+ */
+export const summarizeReportProjects = (projects, limit = PRINT_TABLE_LIMIT) => {
+  const costOf = project => (Number.isFinite(project.cost) ? project.cost : -1);
+  const sorted = [...(projects || [])].sort((a, b) => costOf(b) - costOf(a));
+  const hidden = sorted.slice(limit);
+  return {
+    rows: sorted.slice(0, limit),
+    hiddenCount: hidden.length,
+    hiddenInvestment: hidden.reduce((sum, project) => sum + (Number.isFinite(project.cost) ? project.cost : 0), 0)
+  };
+};
+
+/**
+ * Pixel positions of the markers that fall inside the map view
+ * @param {Object} mapInstance - Mapbox map (uses project())
+ * @param {{ coordinates: [number, number], color: string }[]} markers
+ * @param {{ width: number, height: number }} view - CSS size of the map canvas
+ * @returns {{ x: number, y: number, color: string }[]}
+ */
+export const getVisibleMarkerPoints = (mapInstance, markers, { width, height }) => {
+  return (markers || []).flatMap(({ coordinates, color }) => {
+    if (!coordinates) return [];
+    const { x, y } = mapInstance.project(coordinates);
+    if (x < 0 || y < 0 || x > width || y > height) return [];
+    return [{ x, y, color }];
+  });
+};
+
+/**
+ * Snapshot the map as a PNG data URL. Project markers are DOM elements that WebGL never draws,
+ * so they are painted onto the copy as dots. Reading the canvas inside the render event works
+ * without preserveDrawingBuffer because the frame has not been cleared yet.
+ * @param {Object} mapInstance - Mapbox map
+ * @param {{ coordinates: [number, number], color: string }[]} [markers]
+ * @param {Object} [options]
+ * @param {number} [options.timeout=MAP_CAPTURE_TIMEOUT_MS] - Reject when no frame is rendered in time
+ * @returns {Promise<string>}
+ */
+export const captureMapImage = (mapInstance, markers = [], { timeout = MAP_CAPTURE_TIMEOUT_MS } = {}) => {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const handleRender = () => {
+      clearTimeout(timer);
+      try {
+        const source = mapInstance.getCanvas();
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(source, 0, 0);
+        const ratio = source.width / (source.clientWidth || source.width);
+        const view = { width: source.clientWidth, height: source.clientHeight };
+        getVisibleMarkerPoints(mapInstance, markers, view).forEach(({ x, y, color }) => {
+          context.beginPath();
+          context.arc(x * ratio, y * ratio, 5 * ratio, 0, Math.PI * 2);
+          context.fillStyle = color;
+          context.fill();
+          context.lineWidth = 1.5 * ratio;
+          context.strokeStyle = '#ffffff';
+          context.stroke();
+        });
+        resolve(canvas.toDataURL('image/png'));
+      } catch (captureError) {
+        reject(captureError);
+      }
+    };
+
+    timer = setTimeout(() => {
+      mapInstance.off('render', handleRender);
+      reject(new Error('Timed out waiting for the map to render'));
+    }, timeout);
+    mapInstance.once('render', handleRender);
+    mapInstance.triggerRepaint();
+  });
+};
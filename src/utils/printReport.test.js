@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  PROJECT_TYPE_COLORS,
+  DEFAULT_PROJECT_COLOR,
+  getProjectTypeColor,
+  getProjectTypeLegend,
+  summarizeReportProjects,
+  getVisibleMarkerPoints,
+  captureMapImage
+} from './printReport.js';
+
+describe('printReport', () => {
+  describe('Project colors', () => {
+    it('should color normalized types and raw labels alike', () => {
+      expect(getProjectTypeColor('Green')).toBe(PROJECT_TYPE_COLORS.Green);
+      expect(getProjectTypeColor('Blue Infrastructure')).toBe(PROJECT_TYPE_COLORS.Blue);
+      expect(getProjectTypeColor('Unknown')).toBe(DEFAULT_PROJECT_COLOR);
+      expect(getProjectTypeColor(undefined)).toBe(DEFAULT_PROJECT_COLOR);
+    });
+
+    it('should build the legend from the marker colors', () => {
+      const legend = getProjectTypeLegend();
+      expect(legend.map(item => item.label)).toEqual(['Blue', 'Green', 'Grey', 'Hybrid']);
+      legend.forEach(({ label, color }) => expect(getProjectTypeColor(label)).toBe(color));
+    });
+  });
+
+  describe('summarizeReportProjects', () => {
+    const projects = [
+      { id: 1, cost: 500 },
+      { id: 2, cost: null },
+      { id: 3, cost: 9000 },
+      { id: 4, cost: 1200 },
+      { id: 5, cost: 300 }
+    ];
+
+    it('should list the costliest projects and summarize the rest', () => {
+      const { rows, hiddenCount, hiddenInvestment } = summarizeReportProjects(projects, 2);
+      expect(rows.map(project => project.id)).toEqual([3, 4]);
+      expect(hiddenCount).toBe(3);
+      expect(hiddenInvestment).toBe(800);
+    });
+
+    it('should keep everything when under the limit', () => {
+      const { rows, hiddenCount } = summarizeReportProjects(projects);
+      expect(rows).toHaveLength(5);
+      expect(rows[4].id).toBe(2);
+      expect(hiddenCount).toBe(0);
+    });
+
+    it('should cap an unfiltered inventory', () => {
+      const inventory = Array.from({ length: 440 }, (_, index) => ({ id: index, cost: index }));
+      const { rows, hiddenCount } = summarizeReportProjects(inventory);
+      expect(rows).toHaveLength(25);
+      expect(hiddenCount).toBe(415);
+      expect(summarizeReportProjects(null).rows).toEqual([]);
+    });
+  });
+
+  describe('Map snapshot', () => {
+    const createMap = () => ({
+      once: vi.fn(),
+      off: vi.fn(),
+      triggerRepaint: vi.fn(),
+      project: vi.fn(([lng, lat]) => ({ x: lng, y: lat }))
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should keep markers inside the view', () => {
+      const markers = [
+        { coordinates: [10, 20], color: 'red' },
+        { coordinates: [-5, 20], color: 'blue' },
+        { coordinates: [10, 500], color: 'green' },
+        { coordinates: null, color: 'grey' }
+      ];
+      expect(getVisibleMarkerPoints(createMap(), markers, { width: 100, height: 100 })).toEqual([
+        { x: 10, y: 20, color: 'red' }
+      ]);
+    });
+
+    it('should give up when the map never renders', async () => {
+      vi.useFakeTimers();
+      const map = createMap();
+      const capture = captureMapImage(map, [], { timeout: 1000 });
+      expect(map.triggerRepaint).toHaveBeenCalled();
+      vi.advanceTimersByTime(1000);
+      await expect(capture).rejects.toThrow('Timed out waiting for the map to render');
+      expect(map.off).toHaveBeenCalledWith('render', map.once.mock.calls[0][1]);
+    });
+
+    it('should reject when the canvas cannot be read', async () => {
+      const map = createMap();
+      map.once.mockImplementation((event, handler) => handler());
+      map.getCanvas = () => {
+        throw new Error('WebGL context lost');
+      };
+      await expect(captureMapImage(map)).rejects.toThrow('WebGL context lost');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// Registry of the project inventory files shipped in public/.
+// `fieldMap` lists the source column for each canonical field (see projectSchema.js); it is
+// checked before the generic aliases so a dataset can override the default preference order.
+
+export const PROJECT_DATASETS = [
+  {
+    id: 'cities',
+    label: 'Project Inventory (city join)',
+    url: '/Cities_FeaturesToJSON.geojson',
+    date: null,
+    fieldMap: {
+      name: ['Project_Na'],
+      description: ['New_15_25_'],
+      longDescription: ['OLD___Brie'],
+      city: ['NAME', 'City'],
+      type: ['Infrastruc'],
+      disasterFocus: ['Disaster_F'],
+      status: ['Project__1'],
+      cost: ['Estimated_'],
+      startDate: ['Project_St'],
+      endDate: ['Project_En'],
+      agency: ['Implementa'],
+      sourceUrl: ['Link_to_Da'],
+      comments: ['Additional']
+    }
+  },
+  {
+    id: 'resilience-2025-11-26',
+    label: 'Resilience Projects Inventory',
+    url: '/Resilience_Projects_Inventory_updated_11.26.25.geojson',
+    date: '2025-11-26',
+    fieldMap: {
+      type: ['Type'],
+      description: ['New 15-25 Words Project Description'],
+      longDescription: ['OLD * Brief Description of the Project'],
+      agency: ['Implementating Agency']
+    }
+  },
+  {
+    id: 'resilience-2025-11-25',
+    label: 'Resilience Projects Update',
+    url: '/Updated_Data_Resilience_Projects_11.25.geojson',
+    date: '2025-11-25',
+    fieldMap: {
+      type: ['Type'],
+      description: ['New 15-25 Words Project Description'],
+      longDescription: ['OLD * Brief Description of the Project'],
+      agency: ['Implementating Agency']
+    }
+  },
+  {
+    id: 'proj-final',
+    label: 'Project Inventory (final)',
+    url: '/proj_final.geojson',
+    date: null,
+    fieldMap: {
+      type: ['Infrastructure Type'],
+      description: ['New 15-25 Words Project Description'],
+      longDescription: ['OLD * Brief Description of the Project'],
+      agency: ['Implementating Agency']
+    }
+  },
+  {
+    id: 'inventory-database',
+    label: 'Project Inventory Database',
+    url: '/project_inventory_database.geojson',
+    date: null,
+    fieldMap: {
+      type: ['Type'],
+      description: ['Brief Description of the Project'],
+      agency: ['Implementating Agency']
+    }
+  }
+];
+
+export const DEFAULT_PROJECT_DATASET_ID = 'cities';
+
+// Look up a dataset by id, falling back to the default inventory
+export const getProjectDataset = (id) => {
+  return PROJECT_DATASETS.find(dataset => dataset.id === id) ||
+    PROJECT_DATASETS.find(dataset => dataset.id === DEFAULT_PROJECT_DATASET_ID);
+};
+
+// Human readable dataset name including its snapshot date, e.g. "Resilience Projects Inventory (Nov 26, 2025)"
+export const formatDatasetLabel = (dataset) => {
+  if (!dataset) return '';
+  if (!dataset.date) return dataset.label;
+  const [year, month, day] = dataset.date.split('-').map(Number);
+  const formatted = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    .format(new Date(year, month - 1, day));
+  return `${dataset.label} (${formatted})`;
+};
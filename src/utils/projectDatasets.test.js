@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECT_DATASETS,
+  DEFAULT_PROJECT_DATASET_ID,
+  getProjectDataset,
+  formatDatasetLabel
+} from './projectDatasets.js';
+
+describe('projectDatasets', () => {
+  it('should register every dataset with a unique id, label and url', () => {
+    const ids = PROJECT_DATASETS.map(dataset => dataset.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    PROJECT_DATASETS.forEach((dataset) => {
+      expect(dataset.label).toBeTruthy();
+      expect(dataset.url).toMatch(/^\/.+\.geojson$/);
+      expect(typeof dataset.fieldMap).toBe('object');
+    });
+  });
+
+  it('should include the default dataset', () => {
+    expect(getProjectDataset(DEFAULT_PROJECT_DATASET_ID).url).toBe('/Cities_FeaturesToJSON.geojson');
+  });
+
+  it('should look up datasets by id', () => {
+    expect(getProjectDataset('resilience-2025-11-26').date).toBe('2025-11-26');
+  });
+
+  it('should fall back to the default dataset for unknown ids', () => {
+    expect(getProjectDataset('does-not-exist').id).toBe(DEFAULT_PROJECT_DATASET_ID);
+    expect(getProjectDataset(undefined).id).toBe(DEFAULT_PROJECT_DATASET_ID);
+  });
+
+  it('should format labels with the snapshot date', () => {
+    expect(formatDatasetLabel(getProjectDataset('resilience-2025-11-25'))).toBe('Resilience Projects Update (Nov 25, 2025)');
+    expect(formatDatasetLabel(getProjectDataset('proj-final'))).toBe('Project Inventory (final)');
+    expect(formatDatasetLabel(null)).toBe('');
+  });
+});
@@ -0,0 +1,91 @@
+// Content for the project detail panel: every attribute of a normalized record,
+// source links pulled out of free text, and the closest other projects.
+
+import { distanceMeters } from './inventoryDiff.js';
+
+// Canonical fields shown in the panel, in display order
+export const PROJECT_DETAIL_FIELDS = [
+  { key: 'typeLabel', label: 'Infrastructure Type' },
+  { key: 'categories', label: 'Category' },
+  { key: 'disasterFocus', label: 'Disaster Focus' },
+  { key: 'city', label: 'City' },
+  { key: 'status', label: 'Status' },
+  { key: 'cost', label: 'Cost' },
+  { key: 'agency', label: 'Implementing Agency' },
+  { key: 'startDate', label: 'Project Start Date' },
+  { key: 'endDate', label: 'Project End Date' },
+  { key: 'sourceUrl', label: 'Link to Data Source', links: true },
+  { key: 'description', label: 'Description', long: true },
+  { key: 'longDescription', label: 'Full Description', long: true },
+  { key: 'comments', label: 'Additional Comments', long: true, links: true }
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+/**
+ * Split free text into plain and link segments
+ * @param {string} text - e.g. "See https://a.gov/x; www.b.org"
+ * @returns {{ text: string, url?: string }[]} - Link segments carry an absolute `url`
+ */
+export const splitTextLinks = (text) => {
+  if (text === null || text === undefined || text === '') return [];
+  const value = String(text);
+  const segments = [];
+  let lastIndex = 0;
+  value.replace(URL_PATTERN, (match, offset) => {
+    // Sentence punctuation directly after a link is not part of it
+    const link = match.replace(/[.,;:!?)\]]+$/, '');
+    if (offset > lastIndex) segments.push({ text: value.slice(lastIndex, offset) });
+    segments.push({ text: link, url: /^www\./i.test(link) ? `https://${link}` : link });
+    lastIndex = offset + link.length;
+    return match;
+  });
+  if (lastIndex < value.length) segments.push({ text: value.slice(lastIndex) });
+  return segments;
+};
+
+/**
+ * Fields of a project that have a value, for the detail panel
+ * @param {Object} project - Record from projectSchema.js
+ * @returns {{ key: string, label: string, value: *, long?: boolean, links?: boolean }[]}
+ */
+export const getProjectDetailFields = (project) => {
+  if (!project) return [];
+  return PROJECT_DETAIL_FIELDS
+    .filter(({ key }) => {
+      const value = project[key];
+      return value !== null && value !== undefined && String(value).trim() !== '';
+    })
+    .map(field => ({ ...field, value: project[field.key] }));
+};
+
+/**
+ * Closest other projects to a project
+ * @param {Object} project - Record from projectSchema.js
+ * @param {Object[]} projects - Records to search
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum number of results
+ * @param {number} [options.maxDistance=5000] - Search radius in meters
+ * @returns {{ project: Object, distance: number }[]} - Nearest first
+ */
+export const findNearbyProjects = (project, projects, { limit = 5, maxDistance = 5000 } = {}) => {
+  if (!project?.coordinates) return [];
+  return (projects || [])
+    .filter(candidate => candidate && candidate !== project && candidate.coordinates &&
+      !(candidate.id !== null && candidate.id !== undefined && candidate.id === project.id))
+    .map(candidate => ({ project: candidate, distance: distanceMeters(project.coordinates, candidate.coordinates) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+};
+
+/**
+ * Short distance label ("350 m", "2.4 km")
+ * @param {number} meters
+ * @returns {string}
+ */
+export const formatDistance = (meters) => {
+  if (!Number.isFinite(meters)) return '';
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  splitTextLinks,
+  getProjectDetailFields,
+  findNearbyProjects,
+  formatDistance
+} from './projectDetails.js';
+
+describe('projectDetails', () => {
+  describe('splitTextLinks', () => {
+    it('should pull links out of free text', () => {
+      expect(splitTextLinks('See https://www.miamidade.gov/x, and www.doral.org.')).toEqual([
+        { text: 'See ' },
+        { text: 'https://www.miamidade.gov/x', url: 'https://www.miamidade.gov/x' },
+        { text: ', and ' },
+        { text: 'www.doral.org', url: 'https://www.doral.org' },
+        { text: '.' }
+      ]);
+    });
+
+    it('should handle text without links and empty values', () => {
+      expect(splitTextLinks('County records')).toEqual([{ text: 'County records' }]);
+      expect(splitTextLinks(null)).toEqual([]);
+      expect(splitTextLinks('')).toEqual([]);
+    });
+  });
+
+  describe('getProjectDetailFields', () => {
+    it('should list filled fields in display order', () => {
+      const fields = getProjectDetailFields({
+        name: 'Seawall',
+        typeLabel: 'Grey',
+        agency: 'Public Works',
+        cost: 0,
+        comments: '  ',
+        longDescription: 'Old description',
+        sourceUrl: 'https://example.gov'
+      });
+      expect(fields.map(field => field.key)).toEqual(['typeLabel', 'cost', 'agency', 'sourceUrl', 'longDescription']);
+      expect(fields.find(field => field.key === 'sourceUrl').links).toBe(true);
+      expect(fields.find(field => field.key === 'longDescription').label).toBe('Full Description');
+    });
+
+    it('should return nothing without a project', () => {
+      expect(getProjectDetailFields(null)).toEqual([]);
+    });
+  });
+
+  describe('findNearbyProjects', () => {
+    const origin = { id: 1, coordinates: [-80.19, 25.76] };
+    const projects = [
+      origin,
+      { id: 2, coordinates: [-80.19, 25.78] },
+      { id: 3, coordinates: [-80.19, 25.77] },
+      { id: 4, coordinates: [-80.5, 25.5] },
+      { id: 5, coordinates: null }
+    ];
+
+    it('should return the closest other projects first', () => {
+      const nearby = findNearbyProjects(origin, projects);
+      expect(nearby.map(entry => entry.project.id)).toEqual([3, 2]);
+      expect(nearby[0].distance).toBeGreaterThan(1000);
+      expect(nearby[0].distance).toBeLessThan(1200);
+    });
+
+    it('should respect the limit and radius', () => {
+      expect(findNearbyProjects(origin, projects, { limit: 1 }).map(entry => entry.project.id)).toEqual([3]);
+      expect(findNearbyProjects(origin, projects, { maxDistance: 100000 })).toHaveLength(3);
+      expect(findNearbyProjects({ id: 9, coordinates: null }, projects)).toEqual([]);
+    });
+  });
+
+  it('should format distances', () => {
+    expect(formatDistance(349.6)).toBe('350 m');
+    expect(formatDistance(2420)).toBe('2.4 km');
+    expect(formatDistance(Infinity)).toBe('');
+  });
+});
@@ -0,0 +1,147 @@
+// Export the filtered project set as CSV, GeoJSON or .xlsx.
+// Rows use the canonical field names from projectSchema.js so exports of different
+// inventories line up; the active filters travel with the data as metadata.
+
+import { buildXlsx } from './xlsx.js';
+
+// Canonical fields written to every export, in column order
+export const EXPORT_COLUMNS = [
+  'name',
+  'city',
+  'type',
+  'categories',
+  'disasterFocus',
+  'status',
+  'cost',
+  'startDate',
+  'endDate',
+  'agency',
+  'sourceUrl',
+  'description',
+  'comments',
+  'longitude',
+  'latitude'
+];
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Flatten a normalized project record into an export row
+ * @param {Object} project - Record from projectSchema.js
+ * @returns {Object} - One value per EXPORT_COLUMNS entry (null when missing)
+ */
+export const getExportRow = (project) => {
+  const [longitude, latitude] = project?.coordinates || [null, null];
+  return EXPORT_COLUMNS.reduce((row, column) => {
+    if (column === 'longitude') row[column] = longitude;
+    else if (column === 'latitude') row[column] = latitude;
+    else row[column] = project?.[column] ?? null;
+    return row;
+  }, {});
+};
+
+/**
+ * Describe the active filters as label/value pairs for export headers
+ * @param {Object} filters
+ * @param {string} [filters.dataset] - Inventory label
+ * @param {string[]} [filters.types] - Selected infrastructure types
+ * @param {string[]} [filters.categories] - Selected category tags
+ * @param {string[]} [filters.disasterFocus] - Selected disaster focus values
+ * @param {string[]} [filters.statuses] - Selected status groups
+ * @param {string} [filters.city] - Selected city
+ * @param {[number, number]} [filters.years] - Timeline window
+ * @param {number} [filters.count] - Projects exported
+ * @param {Date} [filters.date] - Export time
+ * @returns {Array<[string, string]>}
+ */
+export const describeExportFilters = ({ dataset, types = [], categories = [], disasterFocus = [], statuses = [], city, years, count, date = new Date() } = {}) => {
+  const metadata = [];
+  if (dataset) metadata.push(['Dataset', dataset]);
+  metadata.push(['Infrastructure type', types.length ? types.join('; ') : 'All']);
+  metadata.push(['Category', categories.length ? categories.join('; ') : 'All']);
+  metadata.push(['Disaster focus', disasterFocus.length ? disasterFocus.join('; ') : 'All']);
+  metadata.push(['Status', statuses.length ? statuses.join('; ') : 'All']);
+  metadata.push(['City', city ? city.trim() : 'All']);
+  if (years) metadata.push(['Years', years[0] === years[1] ? String(years[0]) : `${years[0]}–${years[1]}`]);
+  if (count !== undefined) metadata.push(['Projects', String(count)]);
+  metadata.push(['Exported', date.toISOString()]);
+  return metadata;
+};
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text with the filter metadata as leading "# label: value" lines
+ * @param {Object[]} projects - Normalized project records
+ * @param {Array<[string, string]>} [metadata] - From describeExportFilters
+ * @returns {string}
+ */
+export const projectsToCsv = (projects, metadata = []) => {
+  const lines = metadata.map(([label, value]) => escapeCsvCell(`# ${label}: ${value}`));
+  lines.push(EXPORT_COLUMNS.join(','));
+  projects.forEach((project) => {
+    const row = getExportRow(project);
+    lines.push(EXPORT_COLUMNS.map(column => escapeCsvCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * GeoJSON FeatureCollection with normalized properties and a `metadata` member
+ * @param {Object[]} projects - Normalized project records
+ * @param {Array<[string, string]>} [metadata] - From describeExportFilters
+ * @returns {Object}
+ */
+export const projectsToGeoJSON = (projects, metadata = []) => {
+  return {
+    type: 'FeatureCollection',
+    metadata: Object.fromEntries(metadata),
+    features: projects.map((project) => {
+      const { longitude, latitude, ...properties } = getExportRow(project);
+      return {
+        type: 'Feature',
+        geometry: longitude !== null && latitude !== null ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+        properties
+      };
+    })
+  };
+};
+
+/**
+ * Workbook with a "Projects" sheet and a "Filters" metadata sheet
+ * @param {Object[]} projects - Normalized project records
+ * @param {Array<[string, string]>} [metadata] - From describeExportFilters
+ * @returns {Uint8Array}
+ */
+export const projectsToXlsx = (projects, metadata = []) => {
+  const rows = projects.map((project) => {
+    const row = getExportRow(project);
+    return EXPORT_COLUMNS.map(column => row[column]);
+  });
+  return buildXlsx([
+    { name: 'Projects', rows: [EXPORT_COLUMNS, ...rows] },
+    { name: 'Filters', rows: [['Filter', 'Value'], ...metadata] }
+  ]);
+};
+
+/**
+ * Serialize projects in one of EXPORT_FORMATS
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} projects - Normalized project records
+ * @param {Array<[string, string]>} [metadata] - From describeExportFilters
+ * @returns {string|Uint8Array}
+ */
+export const exportProjects = (format, projects, metadata) => {
+  if (format === 'csv') return projectsToCsv(projects, metadata);
+  if (format === 'geojson') return JSON.stringify(projectsToGeoJSON(projects, metadata), null, 2);
+  if (format === 'xlsx') return projectsToXlsx(projects, metadata);
+  throw new Error(`Unknown export format: ${format}`);
+};
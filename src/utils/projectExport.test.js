@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_COLUMNS,
+  getExportRow,
+  describeExportFilters,
+  projectsToCsv,
+  projectsToGeoJSON,
+  projectsToXlsx,
+  exportProjects
+} from './projectExport.js';
+import { parseCSV } from './csv.js';
+
+describe('projectExport', () => {
+  const projects = [
+    {
+      name: 'Seawall, Phase "A"',
+      city: 'Miami Beach',
+      type: 'Grey',
+      disasterFocus: 'Sea Level Rise',
+      status: 'Ongoing',
+      cost: 2500000,
+      description: 'Raise the seawall\nalong Indian Creek',
+      coordinates: [-80.12, 25.8],
+      feature: {}
+    },
+    { name: 'Bioswale', city: 'Doral', type: 'Green', cost: null, coordinates: null, feature: {} }
+  ];
+  const metadata = describeExportFilters({
+    dataset: 'Project Inventory (final)',
+    types: ['Grey', 'Green'],
+    statuses: ['Ongoing'],
+    city: 'Miami Beach ',
+    count: 2,
+    date: new Date('2026-01-15T12:00:00Z')
+  });
+
+  describe('getExportRow', () => {
+    it('should use canonical column names and split coordinates', () => {
+      const row = getExportRow(projects[0]);
+      expect(Object.keys(row)).toEqual(EXPORT_COLUMNS);
+      expect(row.longitude).toBe(-80.12);
+      expect(row.latitude).toBe(25.8);
+      expect(row.agency).toBe(null);
+      expect(getExportRow(projects[1]).longitude).toBe(null);
+    });
+  });
+
+  describe('describeExportFilters', () => {
+    it('should list every filter, with All for unset ones', () => {
+      expect(metadata).toEqual([
+        ['Dataset', 'Project Inventory (final)'],
+        ['Infrastructure type', 'Grey; Green'],
+        ['Category', 'All'],
+        ['Disaster focus', 'All'],
+        ['Status', 'Ongoing'],
+        ['City', 'Miami Beach'],
+        ['Projects', '2'],
+        ['Exported', '2026-01-15T12:00:00.000Z']
+      ]);
+    });
+
+    it('should include the timeline window when one is set', () => {
+      expect(describeExportFilters({ years: [2018, 2024] })).toContainEqual(['Years', '2018–2024']);
+      expect(describeExportFilters({ years: [2020, 2020] })).toContainEqual(['Years', '2020']);
+      expect(describeExportFilters({}).map(([label]) => label)).not.toContain('Years');
+    });
+  });
+
+  describe('projectsToCsv', () => {
+    it('should write metadata lines, a header and quoted rows', () => {
+      const rows = parseCSV(projectsToCsv(projects, metadata));
+      expect(rows[0]).toEqual(['# Dataset: Project Inventory (final)']);
+      expect(rows[8]).toEqual(EXPORT_COLUMNS);
+      expect(rows[9][0]).toBe('Seawall, Phase "A"');
+      expect(rows[9][EXPORT_COLUMNS.indexOf('cost')]).toBe('2500000');
+      expect(rows[9][EXPORT_COLUMNS.indexOf('description')]).toBe('Raise the seawall\nalong Indian Creek');
+      expect(rows[10][EXPORT_COLUMNS.indexOf('cost')]).toBe('');
+      expect(rows).toHaveLength(11);
+    });
+  });
+
+  describe('projectsToGeoJSON', () => {
+    it('should keep coordinates as geometry and filters as metadata', () => {
+      const collection = projectsToGeoJSON(projects, metadata);
+      expect(collection.metadata['Infrastructure type']).toBe('Grey; Green');
+      expect(collection.features[0].geometry).toEqual({ type: 'Point', coordinates: [-80.12, 25.8] });
+      expect(collection.features[0].properties.cost).toBe(2500000);
+      expect(collection.features[0].properties).not.toHaveProperty('longitude');
+      expect(collection.features[1].geometry).toBe(null);
+    });
+  });
+
+  describe('projectsToXlsx', () => {
+    it('should add a Filters sheet next to the projects', () => {
+      const text = new TextDecoder().decode(projectsToXlsx(projects, metadata));
+      expect(text).toContain('<sheet name="Projects"');
+      expect(text).toContain('<sheet name="Filters"');
+      expect(text).toContain('Grey; Green');
+      expect(text).toContain('<v>2500000</v>');
+    });
+  });
+
+  describe('exportProjects', () => {
+    it('should reject unknown formats', () => {
+      expect(typeof exportProjects('geojson', projects, metadata)).toBe('string');
+      expect(exportProjects('xlsx', projects, metadata)).toBeInstanceOf(Uint8Array);
+      expect(() => exportProjects('pdf', projects)).toThrow('Unknown export format');
+    });
+  });
+});
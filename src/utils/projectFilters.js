@@ -0,0 +1,173 @@
+// Shared project filter engine.
+// Map markers, statistics, the pie chart, exports and search results all go through it,
+// so a selection in the sidebar means the same thing everywhere.
+//
+// A filter spec combines facets (multi-select value lists, OR within a facet) with
+// range and spatial constraints; everything is ANDed together and empty parts match all.
+
+import { isProjectInYearRange } from './projectTimeline.js';
+import { isPointInGeometry } from './tractJoin.js';
+
+// Multi-select facets, in sidebar order
+export const PROJECT_FACETS = ['types', 'categories', 'disasterFocus', 'cities', 'statuses'];
+
+/**
+ * @typedef {Object} ProjectFilters
+ * @property {string[]} [types] - Normalized infrastructure types (Blue/Green/Grey/Hybrid)
+ * @property {string[]} [categories] - Category tags; a project matches when it has any of them
+ * @property {string[]} [disasterFocus] - Disaster focus values
+ * @property {string[]} [cities] - City names
+ * @property {string} [city] - Single city shorthand ('' or null for all cities)
+ * @property {string[]} [statuses] - Status groups from projectSchema.js
+ * @property {[number|null, number|null]} [cost] - Inclusive cost range; null ends are open.
+ *   Projects without a disclosed cost never match a cost range
+ * @property {[number, number]|null} [years] - Timeline window
+ * @property {boolean} [includeUndated] - Keep projects without dates while a window is set
+ * @property {Object} [polygon] - GeoJSON Polygon/MultiPolygon geometry or Feature to draw-select with
+ */
+
+// Values a project contributes to a facet
+const getFacetValues = (project, facet) => {
+  if (facet === 'types') return project.type ? [project.type] : [];
+  if (facet === 'categories') return project.categoryTags || [];
+  if (facet === 'disasterFocus') return project.disasterFocus ? [project.disasterFocus] : [];
+  if (facet === 'cities') return project.city ? [project.city] : [];
+  if (facet === 'statuses') return [project.statusGroup || 'Unknown'];
+  return [];
+};
+
+// Trim and ignore case so "Doral " and "doral" select the same projects
+const facetKey = value => String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+
+const compileFacets = (filters) => {
+  const cities = [...(filters.cities || [])];
+  if (filters.city && filters.city.trim()) cities.push(filters.city);
+  const selections = { ...filters, cities };
+  return PROJECT_FACETS.reduce((compiled, facet) => {
+    const values = (selections[facet] || []).filter(value => value !== null && value !== undefined && facetKey(value));
+    compiled[facet] = values.length ? new Set(values.map(facetKey)) : null;
+    return compiled;
+  }, {});
+};
+
+const matchesFacet = (project, facet, keys) => {
+  return !keys || getFacetValues(project, facet).some(value => keys.has(facetKey(value)));
+};
+
+const matchesCost = (project, cost) => {
+  if (!cost) return true;
+  const [min, max] = cost;
+  if ((min === null || min === undefined) && (max === null || max === undefined)) return true;
+  if (!Number.isFinite(project.cost)) return false;
+  return (min === null || min === undefined || project.cost >= min) &&
+    (max === null || max === undefined || project.cost <= max);
+};
+
+const matchesPolygon = (project, polygon) => {
+  if (!polygon) return true;
+  return isPointInGeometry(project.coordinates, polygon.type === 'Feature' ? polygon.geometry : polygon);
+};
+
+/**
+ * Build a reusable predicate for a filter spec (compile once, test many projects)
+ * @param {ProjectFilters} [filters]
+ * @returns {(project: Object) => boolean}
+ */
+export const createProjectFilter = (filters = {}) => {
+  const facets = compileFacets(filters);
+  const { cost, years, includeUndated = false, polygon } = filters;
+  return (project) => {
+    if (!project) return false;
+    if (!PROJECT_FACETS.every(facet => matchesFacet(project, facet, facets[facet]))) return false;
+    if (!matchesCost(project, cost)) return false;
+    if (years && !isProjectInYearRange(project, years, { includeUndated })) return false;
+    return matchesPolygon(project, polygon);
+  };
+};
+
+/**
+ * Whether a project passes every active filter
+ * @param {Object} project - Record from projectSchema.js
+ * @param {ProjectFilters} [filters]
+ * @returns {boolean}
+ */
+export const matchesProjectFilters = (project, filters) => createProjectFilter(filters)(project);
+
+/**
+ * Projects passing every active filter
+ * @param {Object[]} projects - Normalized project records
+ * @param {ProjectFilters} [filters]
+ * @returns {Object[]}
+ */
+export const filterProjects = (projects, filters) => {
+  return (projects || []).filter(createProjectFilter(filters));
+};
+
+/**
+ * Filter projects and count the matches for every facet value.
+ * A facet's counts ignore that facet's own selection, so they tell how many projects
+ * each option would show given the other filters ("Green (12)").
+ * @param {Object[]} projects - Normalized project records
+ * @param {ProjectFilters} [filters]
+ * @returns {{ projects: Object[], counts: Object<string, Object<string, number>> }}
+ *   `counts[facet][key]`, keyed like the selections match ("Doral " and "doral" share a count);
+ *   read them with getFacetCount
+ */
+export const applyProjectFilters = (projects, filters = {}) => {
+  const facets = compileFacets(filters);
+  const { cost, years, includeUndated = false, polygon } = filters;
+  const counts = PROJECT_FACETS.reduce((result, facet) => ({ ...result, [facet]: {} }), {});
+  const matches = [];
+
+  const addCounts = (project, facet) => {
+    // A project tagged twice with the same value still counts once
+    new Set(getFacetValues(project, facet).map(facetKey)).forEach((key) => {
+      counts[facet][key] = (counts[facet][key] || 0) + 1;
+    });
+  };
+
+  (projects || []).forEach((project) => {
+    if (!project) return;
+    if (!matchesCost(project, cost)) return;
+    if (years && !isProjectInYearRange(project, years, { includeUndated })) return;
+    if (!matchesPolygon(project, polygon)) return;
+
+    const failed = PROJECT_FACETS.filter(facet => !matchesFacet(project, facet, facets[facet]));
+    if (failed.length === 0) {
+      matches.push(project);
+      PROJECT_FACETS.forEach(facet => addCounts(project, facet));
+    } else if (failed.length === 1) {
+      addCounts(project, failed[0]);
+    }
+  });
+
+  return { projects: matches, counts };
+};
+
+/**
+ * Projects counted for a facet option by applyProjectFilters
+ * @param {Object<string, Object<string, number>>} counts - From applyProjectFilters
+ * @param {string} facet - One of PROJECT_FACETS
+ * @param {string} value - Option as shown in the sidebar
+ * @returns {number}
+ */
+export const readFacetCount = (counts, facet, value) => {
+  if (value === null || value === undefined) return 0;
+  return counts?.[facet]?.[facetKey(value)] || 0;
+};
+
+/**
+ * Sorted category tags found in an inventory
+ * @param {Object[]} projects - Normalized project records
+ * @returns {string[]}
+ */
+export const getCategoryOptions = (projects) => {
+  const options = new Map();
+  (projects || []).forEach((project) => {
+    (project.categoryTags || []).forEach((tag) => {
+      const key = tag.toLowerCase();
+      if (!options.has(key)) options.set(key, tag);
+    });
+  });
+  return [...options.values()].sort((a, b) => a.localeCompare(b));
+};
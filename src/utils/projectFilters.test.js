@@ -0,0 +1,227 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECT_FACETS,
+  createProjectFilter,
+  matchesProjectFilters,
+  filterProjects,
+  applyProjectFilters,
+  getCategoryOptions,
+  readFacetCount
+} from './projectFilters.js';
+
+describe('projectFilters', () => {
+  const projects = [
+    {
+      id: 1,
+      type: 'Grey',
+      categoryTags: ['Water', 'Flood Control Infrastructure'],
+      disasterFocus: 'Flooding',
+      statusGroup: 'Ongoing',
+      city: 'Doral',
+      cost: 2500000,
+      startDate: '2019',
+      endDate: '2022',
+      coordinates: [-80.35, 25.81]
+    },
+    {
+      id: 2,
+      type: 'Green',
+      categoryTags: ['Green Infrastructure', 'Ecosystem Restoration'],
+      disasterFocus: 'Heat',
+      statusGroup: 'Completed',
+      city: 'Miami Beach',
+      cost: 400000,
+      startDate: '2015',
+      endDate: '2016',
+      coordinates: [-80.13, 25.79]
+    },
+    {
+      id: 3,
+      type: 'Green',
+      categoryTags: ['Flood Control Infrastructure'],
+      disasterFocus: 'Flooding',
+      statusGroup: 'Planned',
+      city: 'Doral',
+      cost: null,
+      startDate: null,
+      endDate: null,
+      coordinates: [-80.36, 25.82]
+    },
+    {
+      id: 4,
+      type: 'Blue',
+      categoryTags: [],
+      disasterFocus: 'Sea Level Rise',
+      statusGroup: 'Ongoing',
+      city: 'Miami Beach',
+      cost: 12000000,
+      startDate: '2024',
+      endDate: null,
+      coordinates: null
+    }
+  ];
+  const ids = filters => filterProjects(projects, filters).map(project => project.id);
+
+  // Box around Doral
+  const doralPolygon = {
+    type: 'Polygon',
+    coordinates: [[[-80.4, 25.78], [-80.3, 25.78], [-80.3, 25.85], [-80.4, 25.85], [-80.4, 25.78]]]
+  };
+
+  describe('Edge Cases', () => {
+    it('should match everything without filters', () => {
+      expect(ids()).toEqual([1, 2, 3, 4]);
+      expect(ids({ types: [], categories: [], cities: [], city: '' })).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should handle missing project lists and projects', () => {
+      expect(filterProjects(null, {})).toEqual([]);
+      expect(matchesProjectFilters(null)).toBe(false);
+      expect(applyProjectFilters(undefined).projects).toEqual([]);
+    });
+
+    it('should ignore blank facet values', () => {
+      expect(ids({ types: ['', null], cities: ['  '] })).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  describe('Facets', () => {
+    it('should match any selected value within a facet', () => {
+      expect(ids({ types: ['Green', 'Blue'] })).toEqual([2, 3, 4]);
+      expect(ids({ disasterFocus: ['Flooding'] })).toEqual([1, 3]);
+      expect(ids({ statuses: ['Ongoing'] })).toEqual([1, 4]);
+    });
+
+    it('should match any selected category tag', () => {
+      expect(ids({ categories: ['Flood Control Infrastructure'] })).toEqual([1, 3]);
+      expect(ids({ categories: ['ecosystem restoration', 'Water'] })).toEqual([1, 2]);
+      expect(ids({ categories: ['Public Facilities'] })).toEqual([]);
+    });
+
+    it('should trim and ignore case for cities', () => {
+      expect(ids({ cities: ['doral '] })).toEqual([1, 3]);
+      expect(ids({ city: ' Miami  Beach' })).toEqual([2, 4]);
+      expect(ids({ cities: ['Doral'], city: 'Miami Beach' })).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should combine facets with AND', () => {
+      expect(ids({ types: ['Green'], categories: ['Flood Control Infrastructure'] })).toEqual([3]);
+      expect(ids({ disasterFocus: ['Flooding'], statuses: ['Ongoing'] })).toEqual([1]);
+      expect(ids({ cities: ['Doral'], types: ['Blue'] })).toEqual([]);
+    });
+  });
+
+  describe('Cost range', () => {
+    it('should keep projects within the range', () => {
+      expect(ids({ cost: [1000000, 5000000] })).toEqual([1]);
+      expect(ids({ cost: [1000000, null] })).toEqual([1, 4]);
+      expect(ids({ cost: [null, 500000] })).toEqual([2]);
+    });
+
+    it('should drop undisclosed costs only when a range is set', () => {
+      expect(ids({ cost: [0, null] })).toEqual([1, 2, 4]);
+      expect(ids({ cost: [null, null] })).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  describe('Date range', () => {
+    it('should keep projects active in the window', () => {
+      expect(ids({ years: [2020, 2025] })).toEqual([1, 4]);
+      expect(ids({ years: [2015, 2015] })).toEqual([2]);
+    });
+
+    it('should keep undated projects when asked to', () => {
+      expect(ids({ years: [2020, 2025], includeUndated: true })).toEqual([1, 3, 4]);
+    });
+  });
+
+  describe('Spatial polygon', () => {
+    it('should keep projects inside a polygon geometry or feature', () => {
+      expect(ids({ polygon: doralPolygon })).toEqual([1, 3]);
+      expect(ids({ polygon: { type: 'Feature', geometry: doralPolygon, properties: {} } })).toEqual([1, 3]);
+    });
+
+    it('should drop projects without coordinates', () => {
+      expect(ids({ polygon: doralPolygon, cities: ['Miami Beach'] })).toEqual([]);
+    });
+  });
+
+  describe('applyProjectFilters', () => {
+    it('should return the matches with counts for every facet', () => {
+      const { projects: matches, counts } = applyProjectFilters(projects);
+      expect(matches).toHaveLength(4);
+      expect(Object.keys(counts)).toEqual(PROJECT_FACETS);
+      expect(counts.types).toEqual({ grey: 1, green: 2, blue: 1 });
+      expect(readFacetCount(counts, 'categories', 'Flood Control Infrastructure')).toBe(2);
+      expect(counts.cities).toEqual({ doral: 2, 'miami beach': 2 });
+    });
+
+    it('should count a facet as if its own selection were cleared', () => {
+      const { projects: matches, counts } = applyProjectFilters(projects, { types: ['Green'], cities: ['Doral'] });
+      expect(matches.map(project => project.id)).toEqual([3]);
+      // Types: every Doral project, whatever its type
+      expect(counts.types).toEqual({ grey: 1, green: 1 });
+      // Cities: every Green project, wherever it is
+      expect(counts.cities).toEqual({ doral: 1, 'miami beach': 1 });
+      // Other facets: only the full matches
+      expect(counts.statuses).toEqual({ planned: 1 });
+    });
+
+    it('should apply range and spatial filters before counting', () => {
+      const { counts } = applyProjectFilters(projects, { cost: [1000000, null], types: ['Grey'] });
+      expect(counts.types).toEqual({ grey: 1, blue: 1 });
+      expect(counts.statuses).toEqual({ ongoing: 1 });
+    });
+
+    it('should count values that differ only in case or spacing as one option', () => {
+      const inventory = [
+        { id: 1, city: 'Doral', type: 'Green' },
+        { id: 2, city: 'doral ', type: 'Green' },
+        { id: 3, city: 'Miami  Beach', type: 'Grey' },
+        { id: 4, city: 'Miami Beach', type: 'Green' }
+      ];
+      const { projects: matches, counts } = applyProjectFilters(inventory, { cities: ['DORAL'] });
+      expect(matches.map(project => project.id)).toEqual([1, 2]);
+      expect(readFacetCount(counts, 'cities', 'Doral')).toBe(2);
+      expect(readFacetCount(counts, 'cities', ' doral')).toBe(2);
+      expect(readFacetCount(counts, 'cities', 'Miami Beach')).toBe(2);
+      expect(readFacetCount(counts, 'types', 'green')).toBe(2);
+      expect(readFacetCount(counts, 'types', 'Hybrid')).toBe(0);
+      expect(readFacetCount(counts, 'types', undefined)).toBe(0);
+    });
+
+    it('should count a large inventory', () => {
+      const types = ['Blue', 'Green', 'Grey', 'Hybrid'];
+      const inventory = Array.from({ length: 20000 }, (_, index) => ({
+        id: index,
+        type: types[index % 4],
+        categoryTags: index % 2 ? ['Public Facilities'] : [],
+        statusGroup: index % 5 ? 'Ongoing' : 'Completed'
+      }));
+      const { projects: matches, counts } = applyProjectFilters(inventory, { types: ['Green'], statuses: ['Completed'] });
+      expect(matches).toHaveLength(1000);
+      expect(counts.types).toEqual({ blue: 1000, green: 1000, grey: 1000, hybrid: 1000 });
+      expect(counts.statuses).toEqual({ ongoing: 4000, completed: 1000 });
+      expect(readFacetCount(counts, 'categories', 'Public Facilities')).toBe(1000);
+    });
+
+    it('should agree with filterProjects', () => {
+      const filters = { disasterFocus: ['Flooding'], years: [2018, 2030], includeUndated: true };
+      expect(applyProjectFilters(projects, filters).projects).toEqual(filterProjects(projects, filters));
+    });
+  });
+
+  it('should reuse a compiled filter across projects', () => {
+    const isGreen = createProjectFilter({ types: ['Green'] });
+    expect(projects.filter(isGreen).map(project => project.id)).toEqual([2, 3]);
+  });
+
+  it('should list category tags once, sorted', () => {
+    expect(getCategoryOptions([...projects, { categoryTags: ['water'] }, {}])).toEqual([
+      'Ecosystem Restoration',
+      'Flood Control Infrastructure',
+      'Green Infrastructure',
+      'Water'
+    ]);
+  });
+});
@@ -0,0 +1,334 @@
+// Normalizes the different project inventory GeoJSON layouts onto one project record.
+//
+// The inventories shipped in public/ come from different export pipelines:
+// - Cities_FeaturesToJSON.geojson uses truncated shapefile names (Project_Na, Infrastruc, ...)
+// - proj_final.geojson and the Resilience_Projects_Inventory snapshots use spreadsheet headers
+// - project_inventory_database.geojson uses spreadsheet headers with `Type` and no coordinates columns
+//
+// Every reader in the app should go through `getProjectRecord` instead of reaching into
+// `feature.properties` with its own chain of fallbacks.
+
+// Canonical field -> source property names, in order of preference
+export const PROJECT_FIELD_ALIASES = {
+  name: ['Project_Na', 'Project Name'],
+  description: ['New_15_25_', 'New 15-25 Words Project Description', 'Brief Description of the Project', 'Brief Description'],
+  longDescription: ['OLD___Brie', 'OLD * Brief Description of the Project'],
+  city: ['NAME', 'City'],
+  type: ['Infrastruc', 'Infrastructure Type', 'Type'],
+  categories: ['Categories'],
+  disasterFocus: ['Disaster_F', 'Disaster Focus'],
+  status: ['Project__1', 'Project Status'],
+  cost: ['Estimated_', 'Estimated Project Cost'],
+  startDate: ['Project_St', 'Project Start Date'],
+  endDate: ['Project_En', 'Project End Date'],
+  agency: ['Implementa', 'Implementating Agency', 'Implementing Agency'],
+  sourceUrl: ['Link_to_Da', 'Link to Data Source'],
+  comments: ['Additional', 'Additional Comments'],
+  latitude: ['Latitude'],
+  longitude: ['Longitude']
+};
+
+// GIS bookkeeping columns that carry no project information
+export const IGNORED_PROJECT_FIELDS = [
+  'FID',
+  'Join_Count',
+  'TARGET_FID',
+  'MUNICUID',
+  'MUNICID',
+  'FIPSCODE',
+  'CREATEDBY',
+  'CREATEDDAT',
+  'MODIFIEDBY',
+  'MODIFIEDDA',
+  'GlobalID'
+];
+
+// Fields where aliases may legitimately differ in formatting only (e.g. NAME is upper case)
+const CASE_INSENSITIVE_FIELDS = new Set(['city', 'type']);
+
+const NUMERIC_FIELDS = new Set(['cost', 'latitude', 'longitude']);
+
+const EMPTY_MARKERS = new Set(['', 'null', 'none', 'nan', 'n/a', 'undefined']);
+
+const TYPE_KEYS = {
+  blue: 'Blue',
+  green: 'Green',
+  grey: 'Grey',
+  gray: 'Grey',
+  hybrid: 'Hybrid'
+};
+
+// Status groups used by the status filter and marker badges
+export const PROJECT_STATUSES = ['Completed', 'Ongoing', 'Planned', 'Unknown'];
+
+// Checked in order. Negated and future phrases come first so "Not yet completed" and
+// "To be completed 2027" stay Planned; after that "Completed" wins over anything else mentioned
+const STATUS_PATTERNS = [
+  ['Planned', /\b(not yet|yet to|not started|to be (?!determined\b)\w)/],
+  ['Completed', /\b(completed?|finished|done|closed)\b/],
+  ['Ongoing', /\b(ongoing|in progress|underway|under construction|active|construction)\b/],
+  ['Planned', /\b(planned|proposed|funding|funded|design|future|pending)\b/]
+];
+
+const aliasToField = Object.entries(PROJECT_FIELD_ALIASES).reduce((lookup, [field, aliases]) => {
+  aliases.forEach((alias) => {
+    lookup[alias] = field;
+  });
+  return lookup;
+}, {});
+
+const ignoredFields = new Set(IGNORED_PROJECT_FIELDS);
+
+// Convert placeholder values ('Null', ' ', NaN, ...) to null and trim strings
+export const cleanValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value;
+  const trimmed = String(value).replace(/\u00a0/g, ' ').trim();
+  if (EMPTY_MARKERS.has(trimmed.toLowerCase())) return null;
+  return trimmed;
+};
+
+// Parse cost strings like "$1,200,000" into numbers; zero means "not disclosed" in the inventories
+export const parseCost = (value) => {
+  const cleaned = cleanValue(value);
+  if (cleaned === null) return null;
+  const numeric = typeof cleaned === 'number' ? cleaned : parseFloat(String(cleaned).replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(numeric) || numeric <= 0) return null;
+  return numeric;
+};
+
+// Map "Blue Infrastructure", "grey infrastructure", "Gray" ... onto Blue/Green/Grey/Hybrid
+export const normalizeInfrastructureType = (value) => {
+  const cleaned = cleanValue(value);
+  if (cleaned === null) return null;
+  const firstWord = String(cleaned).toLowerCase().split(/\s+/)[0];
+  return TYPE_KEYS[firstWord] || String(cleaned);
+};
+
+// Separators between several categories in one value ("Public Facilities; Shoreline Protection").
+// "&" and "," stay inside names: "Planning & Assessments" is a single category
+const CATEGORY_SEPARATOR = /\s*[;|\n]\s*/;
+
+// Split a categories value into individual tags, dropping blanks and repeats
+export const splitCategoryTags = (value) => {
+  const cleaned = cleanValue(value);
+  if (cleaned === null) return [];
+  const seen = new Set();
+  return String(cleaned)
+    .split(CATEGORY_SEPARATOR)
+    .map(tag => tag.replace(/\s+/g, ' ').trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || EMPTY_MARKERS.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Map "Completed", "Funding Not Yet Secured", "Under Construction" ... onto PROJECT_STATUSES
+export const normalizeProjectStatus = (value) => {
+  const cleaned = cleanValue(value);
+  if (cleaned === null) return 'Unknown';
+  const text = String(cleaned).toLowerCase();
+  const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'Unknown';
+};
+
+const comparable = (field, value) => {
+  if (value === null) return null;
+  if (NUMERIC_FIELDS.has(field)) {
+    const numeric = field === 'cost' ? parseCost(value) : parseFloat(value);
+    return Number.isFinite(numeric) ? numeric : null;
+  }
+  const text = String(value).replace(/\s+/g, ' ');
+  return CASE_INSENSITIVE_FIELDS.has(field) ? text.toLowerCase() : text;
+};
+
+const isValidPoint = (geometry) => {
+  const coordinates = geometry?.coordinates;
+  return (
+    geometry?.type === 'Point' &&
+    Array.isArray(coordinates) &&
+    coordinates.length >= 2 &&
+    typeof coordinates[0] === 'number' &&
+    typeof coordinates[1] === 'number' &&
+    Number.isFinite(coordinates[0]) &&
+    Number.isFinite(coordinates[1])
+  );
+};
+
+// Dataset-specific columns first, then the generic aliases
+const getAliases = (field, fieldMap) => {
+  const preferred = fieldMap?.[field] || [];
+  return [...preferred, ...PROJECT_FIELD_ALIASES[field].filter(alias => !preferred.includes(alias))];
+};
+
+// Pick the first non-empty alias for each canonical field and record alias disagreements
+const resolveFields = (properties, fieldMap) => {
+  const values = {};
+  const sources = {};
+  const conflicts = [];
+
+  Object.keys(PROJECT_FIELD_ALIASES).forEach((field) => {
+    const present = getAliases(field, fieldMap)
+      .filter(alias => Object.prototype.hasOwnProperty.call(properties, alias))
+      .map(alias => ({ alias, value: cleanValue(properties[alias]) }))
+      .filter(entry => entry.value !== null);
+
+    if (!present.length) {
+      values[field] = null;
+      return;
+    }
+
+    values[field] = present[0].value;
+    sources[field] = present[0].alias;
+
+    const distinct = new Set(present.map(entry => comparable(field, entry.value)));
+    if (distinct.size > 1) {
+      conflicts.push({ field, keys: present.map(entry => entry.alias), values: present.map(entry => entry.value) });
+    }
+  });
+
+  return { values, sources, conflicts };
+};
+
+// Decimal places kept in link ids (about a metre), so re-exports with float noise still match
+const LINK_COORDINATE_DIGITS = 5;
+
+// Id for shareable links that survives reordering the inventory: the feature's own id when the
+// dataset has one, else the project name plus its rounded location; null when neither exists
+const getLinkId = (feature, name, coordinates) => {
+  if (feature?.id !== null && feature?.id !== undefined && String(feature.id).trim()) return String(feature.id);
+  const slug = String(name ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!slug || !coordinates) return null;
+  const [lng, lat] = coordinates.map(value => value.toFixed(LINK_COORDINATE_DIGITS));
+  return `${slug}@${lat},${lng}`;
+};
+
+const buildRecord = (feature, index, fieldMap) => {
+  const properties = feature?.properties || {};
+  const { values, sources, conflicts } = resolveFields(properties, fieldMap);
+
+  let coordinates = null;
+  if (isValidPoint(feature?.geometry)) {
+    coordinates = [feature.geometry.coordinates[0], feature.geometry.coordinates[1]];
+  } else {
+    const lng = parseFloat(values.longitude);
+    const lat = parseFloat(values.latitude);
+    if (Number.isFinite(lng) && Number.isFinite(lat)) coordinates = [lng, lat];
+  }
+
+  const record = {
+    id: feature?.id ?? index ?? null,
+    linkId: getLinkId(feature, values.name, coordinates),
+    name: values.name,
+    description: values.description,
+    longDescription: values.longDescription,
+    city: values.city,
+    type: normalizeInfrastructureType(values.type),
+    typeLabel: values.type,
+    categories: values.categories,
+    categoryTags: splitCategoryTags(values.categories),
+    disasterFocus: values.disasterFocus,
+    status: values.status,
+    statusGroup: normalizeProjectStatus(values.status),
+    cost: parseCost(values.cost),
+    startDate: values.startDate,
+    endDate: values.endDate,
+    agency: values.agency,
+    sourceUrl: values.sourceUrl,
+    comments: values.comments,
+    coordinates,
+    feature
+  };
+
+  return { record, sources, conflicts };
+};
+
+const recordCache = new WeakMap();
+
+/**
+ * Get the normalized project record for a GeoJSON feature (cached per feature object)
+ * @param {Object} feature - Project feature from any of the inventory files
+ * @returns {Object|null} - Normalized project record
+ */
+export const getProjectRecord = (feature) => {
+  if (!feature || typeof feature !== 'object') return null;
+  const cached = recordCache.get(feature);
+  if (cached) return cached;
+  const { record } = buildRecord(feature);
+  recordCache.set(feature, record);
+  return record;
+};
+
+/**
+ * Normalize a project FeatureCollection and report fields that could not be mapped cleanly
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of projects
+ * @param {Object} [options]
+ * @param {Object} [options.fieldMap] - Dataset-specific source columns per canonical field
+ * @returns {{ projects: Object[], report: Object }} - Records plus a schema report
+ */
+export const normalizeProjectCollection = (featureCollection, { fieldMap } = {}) => {
+  const features = featureCollection?.features || [];
+  const mappedKeys = new Set(Object.values(fieldMap || {}).flat());
+  const projects = [];
+  const unmapped = {};
+  const conflicts = {};
+  const mappedFrom = {};
+  let missingCoordinates = 0;
+
+  features.forEach((feature, index) => {
+    const { record, sources, conflicts: featureConflicts } = buildRecord(feature, index, fieldMap);
+    recordCache.set(feature, record);
+    projects.push(record);
+
+    if (!record.coordinates) missingCoordinates++;
+
+    Object.entries(sources).forEach(([field, alias]) => {
+      mappedFrom[field] = mappedFrom[field] || {};
+      mappedFrom[field][alias] = (mappedFrom[field][alias] || 0) + 1;
+    });
+
+    Object.keys(feature?.properties || {}).forEach((key) => {
+      if (aliasToField[key] || mappedKeys.has(key) || ignoredFields.has(key)) return;
+      unmapped[key] = (unmapped[key] || 0) + 1;
+    });
+
+    featureConflicts.forEach((conflict) => {
+      const entry = conflicts[conflict.field] || { field: conflict.field, keys: conflict.keys, count: 0, examples: [] };
+      entry.count++;
+      if (entry.examples.length < 5) {
+        entry.examples.push({ id: record.id, values: conflict.values });
+      }
+      conflicts[conflict.field] = entry;
+    });
+  });
+
+  return {
+    projects,
+    report: {
+      featureCount: features.length,
+      missingCoordinates,
+      mappedFrom,
+      unmappedFields: Object.entries(unmapped).map(([field, count]) => ({ field, count })),
+      conflicts: Object.values(conflicts)
+    }
+  };
+};
+
+/**
+ * Fetch a project inventory file and normalize it
+ * @param {string} url - URL of the GeoJSON inventory
+ * @param {Object} [options] - Passed to normalizeProjectCollection (e.g. fieldMap)
+ * @returns {Promise<{ data: Object, projects: Object[], report: Object }>}
+ */
+export const loadProjectInventory = async (url, options) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load project data: ${response.status}`);
+  }
+  const data = await response.json();
+  const { projects, report } = normalizeProjectCollection(data, options);
+  return { data, projects, report };
+};
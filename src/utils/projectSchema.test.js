@@ -0,0 +1,291 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cleanValue,
+  parseCost,
+  normalizeInfrastructureType,
+  normalizeProjectStatus,
+  splitCategoryTags,
+  getProjectRecord,
+  normalizeProjectCollection
+} from './projectSchema.js';
+
+describe('projectSchema', () => {
+  // Cities_FeaturesToJSON.geojson layout (truncated shapefile names)
+  const citiesFeature = {
+    type: 'Feature',
+    id: 0,
+    geometry: { type: 'Point', coordinates: [-80.22793854, 25.91612962] },
+    properties: {
+      'FID': '0',
+      'Project_Na': 'C-8 Basin Gray & Green Infrastructure',
+      'City': 'Miami Gardens',
+      'NAME': 'MIAMI GARDENS',
+      'Link_to_Da': 'https://www.sfwmd.gov/',
+      'Implementa': 'South Florida Water Management District',
+      'Infrastruc': 'Hybrid',
+      'Categories': 'Green Infrastructure',
+      'Disaster_F': 'Flooding',
+      'New_15_25_': 'Drainage improvements in C-8 Basin.',
+      'Project_St': '2022',
+      'Project_En': 'Null',
+      'Project__1': 'Ongoing',
+      'Estimated_': '0',
+      'Additional': ' ',
+      'GlobalID': 'b932142c'
+    }
+  };
+
+  // proj_final.geojson / Resilience_Projects_Inventory layout (spreadsheet headers)
+  const spreadsheetFeature = {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-80.1318, 25.7917] },
+    properties: {
+      'Project Name': 'Coral Gables Green Infrastructure',
+      'Latitude': '25.7917',
+      'Longitude': '-80.1318',
+      'City': 'Coral Gables  ',
+      'Implementating Agency': 'City of Coral Gables',
+      'Type': 'Green Infrastructure',
+      'Categories': 'Environmental',
+      'Disaster Focus': 'Hurricane',
+      'New 15-25 Words Project Description': 'Green infrastructure project',
+      'Project Start Date': '2021',
+      'Project End Date': '2024',
+      'Project Status': 'Completed',
+      'Estimated Project Cost': '$1,200,000',
+      'Additional Comments': ''
+    }
+  };
+
+  describe('cleanValue', () => {
+    it('should treat placeholder values as null', () => {
+      expect(cleanValue('Null')).toBe(null);
+      expect(cleanValue('null')).toBe(null);
+      expect(cleanValue('None')).toBe(null);
+      expect(cleanValue(' ')).toBe(null);
+      expect(cleanValue(NaN)).toBe(null);
+      expect(cleanValue(undefined)).toBe(null);
+    });
+
+    it('should trim strings and keep numbers', () => {
+      expect(cleanValue('  Miami Beach  ')).toBe('Miami Beach');
+      expect(cleanValue('Park ')).toBe('Park');
+      expect(cleanValue(2023)).toBe(2023);
+    });
+  });
+
+  describe('parseCost', () => {
+    it('should parse formatted currency strings', () => {
+      expect(parseCost('$1,200,000')).toBe(1200000);
+      expect(parseCost('5000000')).toBe(5000000);
+      expect(parseCost(12100000)).toBe(12100000);
+    });
+
+    it('should return null for missing or zero costs', () => {
+      expect(parseCost('0')).toBe(null);
+      expect(parseCost('')).toBe(null);
+      expect(parseCost(null)).toBe(null);
+      expect(parseCost('TBD')).toBe(null);
+    });
+  });
+
+  describe('normalizeInfrastructureType', () => {
+    it('should map long and short type names onto the same key', () => {
+      expect(normalizeInfrastructureType('Blue Infrastructure')).toBe('Blue');
+      expect(normalizeInfrastructureType('grey infrastructure')).toBe('Grey');
+      expect(normalizeInfrastructureType('Gray')).toBe('Grey');
+      expect(normalizeInfrastructureType('Hybrid')).toBe('Hybrid');
+    });
+
+    it('should keep unknown types and drop placeholders', () => {
+      expect(normalizeInfrastructureType('Nature-based')).toBe('Nature-based');
+      expect(normalizeInfrastructureType('None')).toBe(null);
+    });
+  });
+
+  describe('splitCategoryTags', () => {
+    it('should split multi-valued categories into tags', () => {
+      expect(splitCategoryTags('Public Facilities; Green Infrastructure| Connectivity \nShoreline Protection')).toEqual([
+        'Public Facilities',
+        'Green Infrastructure',
+        'Connectivity',
+        'Shoreline Protection'
+      ]);
+    });
+
+    it('should keep compound category names whole', () => {
+      expect(splitCategoryTags('Planning & Assessments')).toEqual(['Planning & Assessments']);
+      expect(splitCategoryTags('Water & Flood Control Infrastructure')).toEqual(['Water & Flood Control Infrastructure']);
+      expect(splitCategoryTags('Planning & Assessments; Public Facilities')).toEqual(['Planning & Assessments', 'Public Facilities']);
+    });
+
+    it('should drop blanks, placeholders and repeats', () => {
+      expect(splitCategoryTags('Shoreline  Protection; shoreline protection;; None')).toEqual(['Shoreline Protection']);
+      expect(splitCategoryTags('Null')).toEqual([]);
+      expect(splitCategoryTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('project link ids', () => {
+    it('should use the feature id when the dataset has one', () => {
+      expect(getProjectRecord(citiesFeature).linkId).toBe('0');
+    });
+
+    it('should derive the id from the name and rounded location otherwise', () => {
+      expect(getProjectRecord(spreadsheetFeature).linkId).toBe('coral-gables-green-infrastructure@25.79170,-80.13180');
+      const reexported = {
+        ...spreadsheetFeature,
+        geometry: { type: 'Point', coordinates: [-80.131800004, 25.791699998] }
+      };
+      const { projects } = normalizeProjectCollection({ features: [{ ...spreadsheetFeature }, reexported] });
+      expect(projects[1].id).toBe(1);
+      expect(projects[1].linkId).toBe(projects[0].linkId);
+    });
+
+    it('should leave projects without a name or location unlinked', () => {
+      const unnamed = { ...spreadsheetFeature, properties: { ...spreadsheetFeature.properties, 'Project Name': ' ' } };
+      const unplaced = { type: 'Feature', geometry: null, properties: { 'Project Name': 'Seawall' } };
+      const { projects } = normalizeProjectCollection({ features: [unnamed, unplaced] });
+      expect(projects.map(project => project.linkId)).toEqual([null, null]);
+    });
+  });
+
+  describe('normalizeProjectStatus', () => {
+    it('should group inventory status values', () => {
+      expect(normalizeProjectStatus('Completed')).toBe('Completed');
+      expect(normalizeProjectStatus('Complete ')).toBe('Completed');
+      expect(normalizeProjectStatus('Ongoing')).toBe('Ongoing');
+      expect(normalizeProjectStatus('Under construction')).toBe('Ongoing');
+      expect(normalizeProjectStatus('Funding Secured')).toBe('Planned');
+      expect(normalizeProjectStatus('Funding Not Yet Secured')).toBe('Planned');
+      expect(normalizeProjectStatus('Planned for Fiscal Year 3')).toBe('Planned');
+    });
+
+    it('should fall back to Unknown', () => {
+      expect(normalizeProjectStatus('None')).toBe('Unknown');
+      expect(normalizeProjectStatus(null)).toBe('Unknown');
+      expect(normalizeProjectStatus('On hold')).toBe('Unknown');
+      expect(normalizeProjectStatus('To be determined')).toBe('Unknown');
+    });
+
+    it('should not read unfinished work as Completed', () => {
+      expect(normalizeProjectStatus('Not yet completed')).toBe('Planned');
+      expect(normalizeProjectStatus('To be completed 2027')).toBe('Planned');
+      expect(normalizeProjectStatus('Yet to be finished')).toBe('Planned');
+      expect(normalizeProjectStatus('Not started - design complete')).toBe('Planned');
+      expect(normalizeProjectStatus('Construction not yet started')).toBe('Planned');
+      expect(normalizeProjectStatus('Completed (funding secured)')).toBe('Completed');
+    });
+  });
+
+  describe('getProjectRecord', () => {
+    it('should normalize the Cities_FeaturesToJSON layout', () => {
+      const project = getProjectRecord(citiesFeature);
+      expect(project.name).toBe('C-8 Basin Gray & Green Infrastructure');
+      expect(project.city).toBe('MIAMI GARDENS');
+      expect(project.type).toBe('Hybrid');
+      expect(project.disasterFocus).toBe('Flooding');
+      expect(project.status).toBe('Ongoing');
+      expect(project.cost).toBe(null);
+      expect(project.startDate).toBe('2022');
+      expect(project.endDate).toBe(null);
+      expect(project.agency).toBe('South Florida Water Management District');
+      expect(project.sourceUrl).toBe('https://www.sfwmd.gov/');
+      expect(project.comments).toBe(null);
+      expect(project.coordinates).toEqual([-80.22793854, 25.91612962]);
+      expect(project.feature).toBe(citiesFeature);
+    });
+
+    it('should normalize the spreadsheet layout', () => {
+      const project = getProjectRecord(spreadsheetFeature);
+      expect(project.name).toBe('Coral Gables Green Infrastructure');
+      expect(project.city).toBe('Coral Gables');
+      expect(project.type).toBe('Green');
+      expect(project.typeLabel).toBe('Green Infrastructure');
+      expect(project.cost).toBe(1200000);
+      expect(project.description).toBe('Green infrastructure project');
+    });
+
+    it('should fall back to Latitude/Longitude when geometry is missing', () => {
+      const project = getProjectRecord({
+        type: 'Feature',
+        geometry: null,
+        properties: { 'Project Name': 'No geometry', 'Latitude': '25.5', 'Longitude': '-80.4' }
+      });
+      expect(project.coordinates).toEqual([-80.4, 25.5]);
+    });
+
+    it('should return the same record for the same feature', () => {
+      expect(getProjectRecord(spreadsheetFeature)).toBe(getProjectRecord(spreadsheetFeature));
+    });
+
+    it('should handle null input', () => {
+      expect(getProjectRecord(null)).toBe(null);
+    });
+  });
+
+  describe('normalizeProjectCollection', () => {
+    it('should return one record per feature', () => {
+      const { projects, report } = normalizeProjectCollection({
+        type: 'FeatureCollection',
+        features: [citiesFeature, spreadsheetFeature]
+      });
+      expect(projects).toHaveLength(2);
+      expect(report.featureCount).toBe(2);
+      expect(report.missingCoordinates).toBe(0);
+      expect(report.mappedFrom.name).toEqual({ 'Project_Na': 1, 'Project Name': 1 });
+    });
+
+    it('should report unmapped fields and ignore GIS bookkeeping columns', () => {
+      const { report } = normalizeProjectCollection({
+        features: [{
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-80.2, 25.7] },
+          properties: { 'Project Name': 'Test', 'FID': '1', 'Funding Source': 'FEMA' }
+        }]
+      });
+      expect(report.unmappedFields).toEqual([{ field: 'Funding Source', count: 1 }]);
+    });
+
+    it('should report conflicting aliases but not case-only differences', () => {
+      const { projects, report } = normalizeProjectCollection({
+        features: [
+          citiesFeature,
+          {
+            type: 'Feature',
+            id: 7,
+            geometry: { type: 'Point', coordinates: [-80.2, 25.7] },
+            properties: { 'Project_Na': 'Old name', 'Project Name': 'New name', 'NAME': 'DORAL', 'City': 'Doral' }
+          }
+        ]
+      });
+      expect(projects[1].name).toBe('Old name');
+      expect(report.conflicts).toHaveLength(1);
+      expect(report.conflicts[0].field).toBe('name');
+      expect(report.conflicts[0].count).toBe(1);
+      expect(report.conflicts[0].examples[0]).toEqual({ id: 7, values: ['Old name', 'New name'] });
+    });
+
+    it('should prefer dataset-specific columns from the field map', () => {
+      const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-80.2, 25.7] },
+        properties: { 'NAME': 'MIAMI GARDENS', 'City': 'Miami Gardens', 'Funding Source': 'FEMA' }
+      };
+      const { projects, report } = normalizeProjectCollection(
+        { features: [feature] },
+        { fieldMap: { city: ['City'], comments: ['Funding Source'] } }
+      );
+      expect(projects[0].city).toBe('Miami Gardens');
+      expect(projects[0].comments).toBe('FEMA');
+      expect(report.unmappedFields).toEqual([]);
+      expect(report.mappedFrom.city).toEqual({ 'City': 1 });
+    });
+
+    it('should handle missing collections', () => {
+      const { projects, report } = normalizeProjectCollection(null);
+      expect(projects).toEqual([]);
+      expect(report.featureCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// Project start/end dates as years, for the timeline slider.
+// The inventories mix year-only values ("2013"), timestamps ("2026-09-29 00:00:00"),
+// month labels ("April, 2023", "Jul-24") and placeholders ("Null", "Ongoing, not disclosed").
+
+const MONTH_YEAR_PATTERN = /^[a-z]{3,9}\.?[\s,'-]+(\d{2})$/i;
+
+/**
+ * Read the year out of a start/end date value
+ * @param {*} value - Year number, date string or placeholder
+ * @returns {number|null} - Four-digit year, or null when the value has no usable year
+ */
+export const parseProjectYear = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getFullYear();
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 1900 && value <= 2100 ? value : null;
+  }
+  const text = String(value).trim();
+  const fullYear = text.match(/\b(19|20)\d{2}\b/);
+  if (fullYear) return Number(fullYear[0]);
+  // "Jul-24" style labels carry a two-digit year
+  const shortYear = text.match(MONTH_YEAR_PATTERN);
+  if (shortYear) return 2000 + Number(shortYear[1]);
+  return null;
+};
+
+/**
+ * Years a project is active
+ * @param {Object} project - Record from projectSchema.js
+ * @returns {{ start: number|null, end: number|null, openEnded: boolean }}
+ *   A missing start falls back to the end year; a missing end means the project is still open
+ */
+export const getProjectYears = (project) => {
+  let start = parseProjectYear(project?.startDate);
+  let end = parseProjectYear(project?.endDate);
+  if (start === null) start = end;
+  if (start !== null && end !== null && end < start) [start, end] = [end, start];
+  return { start, end, openEnded: start !== null && end === null };
+};
+
+/**
+ * First and last year found in the inventory
+ * @param {Object[]} projects - Normalized project records
+ * @returns {[number, number]|null}
+ */
+export const getTimelineExtent = (projects) => {
+  let min = Infinity;
+  let max = -Infinity;
+  (projects || []).forEach((project) => {
+    const { start, end } = getProjectYears(project);
+    [start, end].forEach((year) => {
+      if (year === null) return;
+      min = Math.min(min, year);
+      max = Math.max(max, year);
+    });
+  });
+  return Number.isFinite(min) ? [min, max] : null;
+};
+
+/**
+ * Whether a project is active at some point in a year window
+ * @param {Object} project - Record from projectSchema.js
+ * @param {[number, number]} range - Inclusive [from, to] years
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUndated=false] - Keep projects without any year
+ * @returns {boolean}
+ */
+export const isProjectInYearRange = (project, [from, to], { includeUndated = false } = {}) => {
+  const { start, end } = getProjectYears(project);
+  if (start === null) return includeUndated;
+  return start <= to && (end === null || end >= from);
+};
+
+/**
+ * Next window while the timeline plays: slide one year, restarting from the first year at the end
+ * @param {[number, number]|null} range - Current window (null = whole extent)
+ * @param {[number, number]} extent - From getTimelineExtent
+ * @returns {[number, number]}
+ */
+export const stepTimelineRange = (range, [min, max]) => {
+  const [from, to] = range || [min, max];
+  // Sliding the whole extent would change nothing, so play single years instead
+  if (from <= min && to >= max) return [min, min];
+  if (to >= max) return [min, min + (to - from)];
+  return [from + 1, to + 1];
+};
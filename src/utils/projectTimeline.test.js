@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseProjectYear,
+  getProjectYears,
+  getTimelineExtent,
+  isProjectInYearRange,
+  stepTimelineRange
+} from './projectTimeline.js';
+
+describe('projectTimeline', () => {
+  describe('parseProjectYear', () => {
+    it('should read year-only values and full dates', () => {
+      expect(parseProjectYear('2013')).toBe(2013);
+      expect(parseProjectYear(2022)).toBe(2022);
+      expect(parseProjectYear('2026-09-29 00:00:00')).toBe(2026);
+      expect(parseProjectYear('April, 2023')).toBe(2023);
+      expect(parseProjectYear(new Date(2021, 5, 30))).toBe(2021);
+    });
+
+    it('should expand two-digit month labels', () => {
+      expect(parseProjectYear('Jul-24')).toBe(2024);
+      expect(parseProjectYear('Dec 25')).toBe(2025);
+    });
+
+    it('should return null for placeholders and open-ended values', () => {
+      ['Null', 'None', '', 'Ongoing, not disclosed', 'Planned for Fiscal Year 3', null, undefined, 12.5, 5].forEach((value) => {
+        expect(parseProjectYear(value)).toBe(null);
+      });
+    });
+  });
+
+  describe('getProjectYears', () => {
+    it('should treat a missing end as still open', () => {
+      expect(getProjectYears({ startDate: '2019', endDate: null })).toEqual({ start: 2019, end: null, openEnded: true });
+    });
+
+    it('should fall back to the end year and fix reversed dates', () => {
+      expect(getProjectYears({ startDate: null, endDate: '2025' })).toEqual({ start: 2025, end: 2025, openEnded: false });
+      expect(getProjectYears({ startDate: '2027', endDate: '2024' })).toEqual({ start: 2024, end: 2027, openEnded: false });
+      expect(getProjectYears({})).toEqual({ start: null, end: null, openEnded: false });
+    });
+  });
+
+  it('should find the first and last year', () => {
+    expect(getTimelineExtent([
+      { startDate: '2013', endDate: null },
+      { startDate: '2024', endDate: '2029' },
+      { startDate: 'Null', endDate: 'Null' }
+    ])).toEqual([2013, 2029]);
+    expect(getTimelineExtent([{ startDate: null }])).toBe(null);
+  });
+
+  describe('isProjectInYearRange', () => {
+    it('should match projects active at any point in the window', () => {
+      const project = { startDate: '2018', endDate: '2021' };
+      expect(isProjectInYearRange(project, [2020, 2025])).toBe(true);
+      expect(isProjectInYearRange(project, [2021, 2021])).toBe(true);
+      expect(isProjectInYearRange(project, [2022, 2025])).toBe(false);
+      expect(isProjectInYearRange(project, [2010, 2017])).toBe(false);
+    });
+
+    it('should keep open-ended projects active after they start', () => {
+      expect(isProjectInYearRange({ startDate: '2016', endDate: 'Null' }, [2030, 2030])).toBe(true);
+      expect(isProjectInYearRange({ startDate: '2016', endDate: 'Null' }, [2010, 2015])).toBe(false);
+    });
+
+    it('should only keep undated projects when asked to', () => {
+      expect(isProjectInYearRange({ startDate: null }, [2020, 2025])).toBe(false);
+      expect(isProjectInYearRange({ startDate: null }, [2020, 2025], { includeUndated: true })).toBe(true);
+    });
+  });
+
+  describe('stepTimelineRange', () => {
+    it('should slide the window one year at a time', () => {
+      expect(stepTimelineRange([2015, 2017], [2010, 2030])).toEqual([2016, 2018]);
+    });
+
+    it('should start from the first year when the window is full or at the end', () => {
+      expect(stepTimelineRange(null, [2010, 2030])).toEqual([2010, 2010]);
+      expect(stepTimelineRange([2010, 2030], [2010, 2030])).toEqual([2010, 2010]);
+      expect(stepTimelineRange([2028, 2030], [2010, 2030])).toEqual([2010, 2012]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// FEMA National Risk Index ratings per census tract.
+//
+// Two layouts are supported:
+// - femaindex.geojson: tract polygons with joined columns ("L0Census_Tracts.GEOID",
+//   "T_FEMA_National_Risk_Index_$_.FEMAIndexRating", ...)
+// - FEMA_National_Risk_Index.geojson (copied from SCALE-R Data/Index Data/): attributes only, keyed by the
+//   Miami-Dade tract code ("CensusTracts": 107) with dummy [0, 0] geometries
+
+import { normalizeGeoid } from './geoid.js';
+import { fetchSource } from './sourceLoader.js';
+
+export const FEMA_NRI_URL = '/FEMA_National_Risk_Index.geojson';
+
+// State + county FIPS prefix for tract codes in the SCALE-R export
+export const MIAMI_DADE_COUNTY_FIPS = '12086';
+
+export const RISK_RATINGS = ['Very Low', 'Relatively Low', 'Relatively Moderate', 'Relatively High', 'Very High'];
+
+/**
+ * GEOID of a risk index row in either layout
+ * @param {Object} properties - Feature properties
+ * @returns {string|null}
+ */
+export const readRiskIndexGeoid = (properties) => {
+  if (properties['L0Census_Tracts.GEOID'] !== undefined) {
+    return normalizeGeoid(properties['L0Census_Tracts.GEOID']);
+  }
+  const rawCode = properties.CensusTracts;
+  const tractCode = rawCode === null || rawCode === undefined || rawCode === '' ? NaN : Number(rawCode);
+  return Number.isInteger(tractCode) && tractCode > 0
+    ? normalizeGeoid(`${MIAMI_DADE_COUNTY_FIPS}${String(tractCode).padStart(6, '0')}`)
+    : null;
+};
+
+const readTract = (properties) => {
+  if (properties['L0Census_Tracts.GEOID'] !== undefined) {
+    return {
+      geoid: readRiskIndexGeoid(properties),
+      rating: properties['T_FEMA_National_Risk_Index_$_.FEMAIndexRating'],
+      score: properties['T_FEMA_National_Risk_Index_$_.FEMAIndex']
+    };
+  }
+  return {
+    geoid: readRiskIndexGeoid(properties),
+    rating: properties.FEMAIndexRating,
+    score: properties.FEMAIndex
+  };
+};
+
+/**
+ * Index FEMA risk ratings (and scores where present) by GEOID
+ * @param {Object} featureCollection - Either supported layout
+ * @returns {{ byGeoid: Object, count: number, skipped: number }} - byGeoid values are { rating, score }
+ */
+export const parseRiskIndex = (featureCollection) => {
+  const byGeoid = {};
+  let skipped = 0;
+
+  (featureCollection?.features || []).forEach((feature) => {
+    const { geoid, rating, score } = readTract(feature?.properties || {});
+    if (!geoid || !RISK_RATINGS.includes(rating)) {
+      skipped++;
+      return;
+    }
+    const numericScore = Number(score);
+    byGeoid[geoid] = {
+      rating,
+      score: score !== null && score !== undefined && Number.isFinite(numericScore) ? numericScore : null
+    };
+  });
+
+  return { byGeoid, count: Object.keys(byGeoid).length, skipped };
+};
+
+/**
+ * Fetch and index a risk index file
+ * @param {string} [url] - GeoJSON location
+ * @returns {Promise<{ byGeoid: Object, count: number, skipped: number }>}
+ */
+export const loadRiskIndex = async (url = FEMA_NRI_URL) => {
+  return parseRiskIndex(await fetchSource(url));
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { parseRiskIndex } from './riskIndex.js';
+
+describe('parseRiskIndex', () => {
+  it('should read the SCALE-R export keyed by tract code', () => {
+    const { byGeoid, count } = parseRiskIndex({
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { CensusTracts: 107, FEMAIndex: 67.24, FEMAIndexRating: 'Relatively Moderate' } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { CensusTracts: 981300, FEMAIndex: 91.5, FEMAIndexRating: 'Very High' } }
+      ]
+    });
+    expect(count).toBe(2);
+    expect(byGeoid['12086000107']).toEqual({ rating: 'Relatively Moderate', score: 67.24 });
+    expect(byGeoid['12086981300']).toEqual({ rating: 'Very High', score: 91.5 });
+  });
+
+  it('should read ratings joined onto the tract polygons', () => {
+    const { byGeoid } = parseRiskIndex({
+      features: [{
+        type: 'Feature',
+        geometry: null,
+        properties: {
+          'L0Census_Tracts.GEOID': '12086000109',
+          'T_FEMA_National_Risk_Index_$_.FEMAIndexRating': 'Relatively High'
+        }
+      }]
+    });
+    expect(byGeoid['12086000109']).toEqual({ rating: 'Relatively High', score: null });
+  });
+
+  it('should skip rows without a known rating', () => {
+    const { count, skipped } = parseRiskIndex({
+      features: [
+        { properties: { CensusTracts: 107, FEMAIndexRating: 'Insufficient Data' } },
+        { properties: { CensusTracts: null, FEMAIndexRating: 'Very High' } }
+      ]
+    });
+    expect(count).toBe(0);
+    expect(skipped).toBe(2);
+  });
+});
@@ -1,50 +1,40 @@
-// Search projects across all relevant fields
-export const searchProjects = (query, projectsData) => {
+import { getProjectRecord } from './projectSchema.js';
+import { parseSearchQuery, matchKeyword, matchSearchQuery } from './searchQuery.js';
+
+const MAX_RESULTS = 10;
+
+// Search projects across all relevant fields, returning the top matches with why they matched.
+// Plain queries match as one (typo-tolerant) phrase; queries using the query language
+// (field:value, "phrases", -negation, OR, cost:>1M) are parsed by searchQuery.js.
+// `options.filter` (e.g. the sidebar filters from projectFilters.js) is applied before ranking.
+export const searchProjectMatches = (query, projectsData, { filter } = {}) => {
   if (!query || !query.trim() || !projectsData?.features) {
     return [];
   }
 
-  const searchTerm = query.trim().toLowerCase();
+  const parsed = parseSearchQuery(query);
+  if (parsed.clauses.length === 0) return [];
+  const searchTerm = query.trim();
   const results = [];
 
   projectsData.features.forEach((feature) => {
-    const props = feature.properties || {};
-    
-    // Extract searchable fields
-    const projectName = (props['Project_Na'] || props['Project Name'] || '').toLowerCase();
-    const description = (props['New_15_25_'] || props['New 15-25 Words Project Description'] || '').toLowerCase();
-    const city = ((props['NAME'] || props['City']) ? (props['NAME'] || props['City']).trim() : (props['NAME'] || props['City']) || '').toLowerCase();
-    const infrastructureType = (props['Infrastruc'] || props['Infrastructure Type'] || props['Type'] || '').toLowerCase();
-    const categories = (props['Categories'] || '').toLowerCase();
-    const disasterFocus = (props['Disaster_F'] || props['Disaster Focus'] || '').toLowerCase();
-
-    // Check if search term matches any field
-    const matches = 
-      projectName.includes(searchTerm) ||
-      description.includes(searchTerm) ||
-      city.includes(searchTerm) ||
-      infrastructureType.includes(searchTerm) ||
-      categories.includes(searchTerm) ||
-      disasterFocus.includes(searchTerm);
+    const project = getProjectRecord(feature);
+    if (filter && !filter(project)) return;
 
-    if (matches) {
-      // Calculate relevance score (exact matches in name get higher score)
-      let score = 0;
-      if (projectName.startsWith(searchTerm)) score += 10; // Exact start match in name
-      else if (projectName.includes(searchTerm)) score += 5; // Partial match in name
-      if (description.includes(searchTerm)) score += 2;
-      if (city.includes(searchTerm)) score += 3;
-      if (infrastructureType.includes(searchTerm)) score += 2;
-      if (categories.includes(searchTerm)) score += 1;
-      if (disasterFocus.includes(searchTerm)) score += 1;
-
-      results.push({ feature, score });
+    // Relevance score: name starts > name > city > description/type > categories/focus
+    const match = parsed.plain ? matchKeyword(project, searchTerm) : matchSearchQuery(project, parsed);
+    if (match && (!parsed.plain || match.score > 0)) {
+      results.push({ feature, score: match.score, reasons: match.reasons });
     }
   });
 
   // Sort by relevance score (descending) and return top 10
   return results
     .sort((a, b) => b.score - a.score)
-    .slice(0, 10)
-    .map(item => item.feature);
+    .slice(0, MAX_RESULTS);
+};
+
+// Search projects, returning the top matching features
+export const searchProjects = (query, projectsData, options) => {
+  return searchProjectMatches(query, projectsData, options).map(item => item.feature);
 };
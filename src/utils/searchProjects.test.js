@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { searchProjects } from './searchProjects.js';
+import { searchProjects, searchProjectMatches } from './searchProjects.js';
 
 describe('searchProjects', () => {
   const mockProjectsData = {
@@ -313,6 +313,84 @@ describe('searchProjects', () => {
     });
   });
 
+  describe('Filtering', () => {
+    it('should only rank projects accepted by the filter', () => {
+      const results = searchProjects('Flooding', mockProjectsData, {
+        filter: project => project.city === 'Miami Beach'
+      });
+      expect(results).toHaveLength(1);
+      expect(results[0].id).toBe(1);
+    });
+  });
+
+  describe('Query Language', () => {
+    const ids = query => searchProjects(query, mockProjectsData).map(result => result.id);
+
+    it('should restrict qualified terms to their field', () => {
+      expect(ids('city:"Miami Beach"')).toEqual([1]);
+      expect(ids('city:miami')).toEqual([1, 4]);
+      expect(ids('type:green')).toEqual([2]);
+    });
+
+    it('should require every term and drop negated ones', () => {
+      expect(ids('flooding -doral')).toEqual([1]);
+      expect(ids('-flooding')).toEqual([2, 4]);
+      expect(ids('flooding city:"coral gables"')).toEqual([]);
+    });
+
+    it('should match either side of OR', () => {
+      expect(ids('city:doral OR city:"coral gables"')).toEqual([2, 3]);
+    });
+
+    it('should match quoted phrases as a whole', () => {
+      expect(ids('"flood protection"')).toEqual([1]);
+      expect(ids('"protection flood"')).toEqual([]);
+    });
+
+    it('should rank keywords with the plain search scoring', () => {
+      // "Doral" starts the name of project 3 and is its city
+      expect(ids('doral OR hurricane')).toEqual([3, 2]);
+    });
+  });
+
+  describe('Fuzzy Matching', () => {
+    const ids = query => searchProjects(query, mockProjectsData).map(result => result.id);
+
+    it('should tolerate typos', () => {
+      expect(ids('stormwatr')).toEqual([3]);
+      expect(ids('Corel Gables')).toEqual([2]);
+      expect(ids('city:dorl')).toEqual([3]);
+    });
+
+    it('should not tolerate typos in enum-like qualifiers', () => {
+      // "gree" is one edit from "grey"
+      expect(ids('type:grey')).toEqual([3]);
+      expect(ids('type:gren')).toEqual([]);
+      expect(ids('focus:flodding')).toEqual([]);
+    });
+
+    it('should fold accents and expand abbreviations', () => {
+      expect(ids('Dóral')).toEqual([3]);
+      expect(ids('Miami Bch')).toEqual([1]);
+    });
+
+    it('should rank exact matches above fuzzy ones', () => {
+      const [exact, fuzzy] = searchProjectMatches('green OR resilence', mockProjectsData);
+      expect(exact.feature.id).toBe(2);
+      expect(fuzzy.feature.id).toBe(4);
+      expect(exact.score).toBeGreaterThan(fuzzy.score);
+    });
+
+    it('should report why each result matched', () => {
+      const [result] = searchProjectMatches('hybrid resilence', mockProjectsData);
+      expect(result.reasons).toEqual([
+        { field: 'name', label: 'Name', term: 'hybrid resilence', kind: 'fuzzy', matched: 'Hybrid Resilience' }
+      ]);
+      const [qualified] = searchProjectMatches('city:"Miami Bch"', mockProjectsData);
+      expect(qualified.reasons[0]).toMatchObject({ field: 'city', kind: 'abbreviation', matched: 'Miami Beach' });
+    });
+  });
+
   describe('Trim and Normalize', () => {
     it('should trim whitespace from query', () => {
       const results = searchProjects('  Miami Beach  ', mockProjectsData);
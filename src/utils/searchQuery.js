@@ -0,0 +1,322 @@
+// Query language for the project search box.
+//
+//   city:"Miami Beach" type:green flooding -planning
+//   cost:>1M year:2020..2024 seawall OR "sea wall"
+//
+// Terms are ANDed, OR joins the terms on either side of it and a leading "-" negates a term.
+// A qualifier limits a term to one field; cost, year, start and end take comparisons
+// (>, >=, <, <=, =, or a min..max range), and costs accept k/M/B suffixes.
+// Unqualified keywords search the same six fields, with the same weights, as before.
+// Text is compared with fuzzyMatch.js, so accents, abbreviations and typos are tolerated;
+// every match records a reason ("City ≈ Hialeah") for the results list.
+
+import { getProjectYears } from './projectTimeline.js';
+import { findTextMatch } from './fuzzyMatch.js';
+
+// Fields searched by unqualified keywords, with their relevance weights
+const KEYWORD_FIELDS = [
+  { key: 'name', label: 'Name', weight: 5 },
+  { key: 'description', label: 'Description', weight: 2 },
+  { key: 'city', label: 'City', weight: 3 },
+  { key: 'typeLabel', label: 'Type', weight: 2 },
+  { key: 'categories', label: 'Categories', weight: 1 },
+  { key: 'disasterFocus', label: 'Disaster focus', weight: 1 }
+];
+
+// Fuzzy matches count for half, so exact hits rank first
+const FUZZY_WEIGHT = 0.5;
+
+// Qualifier -> project values it searches (text) or the number it compares (numeric).
+// Fields with a short list of values are matched without typo tolerance (`exact`),
+// so type:grey does not also find "Green".
+export const SEARCH_FIELDS = {
+  name: { label: 'Name', text: project => [project.name] },
+  description: { label: 'Description', text: project => [project.description, project.longDescription] },
+  city: { label: 'City', text: project => [project.city] },
+  type: { label: 'Type', exact: true, text: project => [project.typeLabel, project.type] },
+  category: { label: 'Categories', exact: true, text: project => [project.categories] },
+  focus: { label: 'Disaster focus', exact: true, text: project => [project.disasterFocus] },
+  status: { label: 'Status', exact: true, text: project => [project.status, project.statusGroup] },
+  agency: { label: 'Agency', text: project => [project.agency] },
+  cost: { label: 'Cost', numeric: true },
+  year: { label: 'Years', numeric: true },
+  start: { label: 'Start', numeric: true },
+  end: { label: 'End', numeric: true }
+};
+
+export const SEARCH_FIELD_ALIASES = {
+  title: 'name',
+  desc: 'description',
+  categories: 'category',
+  disaster: 'focus',
+  hazard: 'focus',
+  infrastructure: 'type'
+};
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a number typed in a query ("1M", "$250,000", "2.5k", "2020")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export const parseSearchNumber = (text) => {
+  const match = String(text ?? '').trim().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?|\.\d+)([kmb])?$/i);
+  if (!match) return null;
+  return Number(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2].toLowerCase()] : 1);
+};
+
+/**
+ * Parse a numeric comparison (">1M", "<=2020", "2020..2024", "500k")
+ * @param {string} text
+ * @returns {{ op: string, value?: number, min?: number, max?: number }|null}
+ */
+export const parseComparison = (text) => {
+  const value = String(text ?? '').trim();
+  const range = value.match(/^(.+?)\.\.(.+)$/);
+  if (range) {
+    const min = parseSearchNumber(range[1]);
+    const max = parseSearchNumber(range[2]);
+    if (min === null || max === null) return null;
+    return { op: 'range', min: Math.min(min, max), max: Math.max(min, max) };
+  }
+  const match = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const number = parseSearchNumber(match[2]);
+  return number === null ? null : { op: match[1] || '=', value: number };
+};
+
+const compareNumber = (number, comparison) => {
+  if (!Number.isFinite(number)) return false;
+  const { op, value, min, max } = comparison;
+  if (op === 'range') return number >= min && number <= max;
+  if (op === '>') return number > value;
+  if (op === '>=') return number >= value;
+  if (op === '<') return number < value;
+  if (op === '<=') return number <= value;
+  return number === value;
+};
+
+// year: compares against every year the project is active; open-ended projects run on
+const compareYearSpan = (project, comparison) => {
+  const { start, end } = getProjectYears(project);
+  if (start === null) return false;
+  const last = end ?? Infinity;
+  const { op, value, min, max } = comparison;
+  if (op === 'range') return start <= max && last >= min;
+  if (op === '>') return last > value;
+  if (op === '>=') return last >= value;
+  if (op === '<') return start < value;
+  if (op === '<=') return start <= value;
+  return start <= value && value <= last;
+};
+
+const resolveField = (name) => {
+  const key = name.toLowerCase();
+  const field = SEARCH_FIELD_ALIASES[key] || key;
+  return SEARCH_FIELDS[field] ? field : null;
+};
+
+// -? (field:)? ("phrase" | word); an unclosed quote runs to the end of the query
+const TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+const buildTerm = ([, negate, fieldName, phrase, word]) => {
+  let text = (phrase ?? word ?? '').trim();
+  let field = fieldName ? resolveField(fieldName) : null;
+  if (fieldName && !field) {
+    // Unknown qualifiers are ordinary words ("note:" is not a field)
+    text = `${fieldName}:${text}`;
+  }
+  if (!text || (!phrase && /^-+$/.test(text))) return null;
+
+  const term = { field, text: text.toLowerCase(), raw: text, negate: !!negate, phrase: phrase !== undefined };
+  if (field && SEARCH_FIELDS[field].numeric) {
+    term.comparison = parseComparison(text);
+    if (!term.comparison) return null;
+  }
+  return term;
+};
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @returns {{ clauses: Object[][], plain: boolean }} - Clauses are ANDed; the terms inside a clause are ORed.
+ *   `plain` is true for queries without any query syntax (searched as one substring, as before)
+ */
+export const parseSearchQuery = (query) => {
+  const clauses = [];
+  let joinWithPrevious = false;
+  for (const match of String(query ?? '').matchAll(TOKEN_PATTERN)) {
+    const isOperator = !match[1] && !match[2] && match[3] === undefined && (match[4] === 'OR' || match[4] === '|');
+    if (isOperator) {
+      joinWithPrevious = clauses.length > 0;
+      continue;
+    }
+    const term = buildTerm(match);
+    if (!term) continue;
+    if (joinWithPrevious) clauses[clauses.length - 1].push(term);
+    else clauses.push([term]);
+    joinWithPrevious = false;
+  }
+
+  const plain = clauses.every(clause => clause.length === 1 && !clause[0].field && !clause[0].negate && !clause[0].phrase);
+  return { clauses, plain };
+};
+
+/**
+ * @typedef {Object} MatchReason
+ * @property {string} field - Project field or qualifier that matched
+ * @property {string} label - Display name of the field
+ * @property {string} term - What was searched for
+ * @property {'exact'|'abbreviation'|'fuzzy'|'comparison'} kind
+ * @property {string} matched - The matching text (or value) on the project
+ */
+
+const matchText = (value, term, field, label, { fuzzy = true } = {}) => {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value);
+  const match = findTextMatch(text, term, { fuzzy });
+  if (!match) return null;
+  return { match, reason: { field, label, term, kind: match.kind, matched: text.slice(match.start, match.end) } };
+};
+
+/**
+ * Relevance of a keyword for a project, with the fields it matched
+ * @param {Object} project - Record from projectSchema.js
+ * @param {string} keyword
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=true] - Tolerate typos
+ * @returns {{ score: number, reasons: MatchReason[] }} - score is 0 when no keyword field matches
+ */
+export const matchKeyword = (project, keyword, { fuzzy = true } = {}) => {
+  const reasons = [];
+  const score = KEYWORD_FIELDS.reduce((total, { key, label, weight }) => {
+    const result = matchText(project[key], keyword, key, label, { fuzzy });
+    if (!result) return total;
+    reasons.push(result.reason);
+    if (result.match.kind === 'fuzzy') return total + weight * FUZZY_WEIGHT;
+    // A name that starts with the keyword is the strongest signal
+    if (key === 'name' && result.match.start === 0) return total + 10;
+    return total + weight;
+  }, 0);
+  return { score, reasons };
+};
+
+/**
+ * Relevance of a keyword for a project (0 when it matches no keyword field)
+ * @param {Object} project - Record from projectSchema.js
+ * @param {string} keyword
+ * @returns {number}
+ */
+export const scoreKeyword = (project, keyword) => matchKeyword(project, keyword).score;
+
+const formatYears = ({ start, end }) => (end === null ? `${start}–ongoing` : start === end ? `${start}` : `${start}–${end}`);
+
+// Reason a qualified term matched, or null
+const matchQualifiedTerm = (project, term, { fuzzy = true } = {}) => {
+  const { field, raw } = term;
+  const { label, exact } = SEARCH_FIELDS[field];
+  const compared = (matches, matched) => (matches ? { field, label, term: raw, kind: 'comparison', matched } : null);
+  if (field === 'cost') {
+    return compared(compareNumber(project.cost, term.comparison), `$${Number(project.cost).toLocaleString('en-US')}`);
+  }
+  if (field === 'year' || field === 'start' || field === 'end') {
+    const years = getProjectYears(project);
+    const matches = field === 'year' ? compareYearSpan(project, term.comparison) : compareNumber(years[field], term.comparison);
+    return compared(matches, field === 'year' ? formatYears(years) : `${years[field]}`);
+  }
+  for (const value of SEARCH_FIELDS[field].text(project)) {
+    const result = matchText(value, raw, field, label, { fuzzy: fuzzy && !exact });
+    if (result) return result.reason;
+  }
+  return null;
+};
+
+// Exclusions are never typo-tolerant: -planning must not drop a project about "planting"
+const isFuzzyTerm = term => !term.negate;
+
+/**
+ * Whether a project matches a single term, ignoring its negation
+ * (negated terms are matched exactly, without typo tolerance)
+ * @param {Object} project - Record from projectSchema.js
+ * @param {Object} term - From parseSearchQuery
+ * @returns {boolean}
+ */
+export const matchesSearchTerm = (project, term) => {
+  const fuzzy = isFuzzyTerm(term);
+  if (!term.field) return matchKeyword(project, term.raw, { fuzzy }).score > 0;
+  return matchQualifiedTerm(project, term, { fuzzy }) !== null;
+};
+
+/**
+ * Match a project against a parsed query
+ * @param {Object} project - Record from projectSchema.js
+ * @param {{ clauses: Object[][] }} parsed - From parseSearchQuery
+ * @returns {{ score: number, reasons: MatchReason[] }|null} - null when the project does not match
+ */
+export const matchSearchQuery = (project, { clauses }) => {
+  let score = 0;
+  const reasons = [];
+  for (const clause of clauses) {
+    let satisfied = false;
+    clause.forEach((term) => {
+      const fuzzy = isFuzzyTerm(term);
+      const keyword = term.field ? null : matchKeyword(project, term.raw, { fuzzy });
+      const reason = term.field ? matchQualifiedTerm(project, term, { fuzzy }) : null;
+      const matches = keyword ? keyword.score > 0 : reason !== null;
+      if (matches === term.negate) return;
+      satisfied = true;
+      if (term.negate) return;
+      if (keyword) {
+        score += keyword.score;
+        reasons.push(...keyword.reasons);
+      } else {
+        score += 1;
+        reasons.push(reason);
+      }
+    });
+    if (!satisfied) return null;
+  }
+  return { score, reasons };
+};
+
+/**
+ * Score a project against a parsed query
+ * @param {Object} project - Record from projectSchema.js
+ * @param {{ clauses: Object[][] }} parsed - From parseSearchQuery
+ * @returns {number|null} - null when the project does not match
+ */
+export const scoreSearchQuery = (project, parsed) => matchSearchQuery(project, parsed)?.score ?? null;
+
+/**
+ * Short explanation of a match reason for the results list
+ * @param {MatchReason} reason
+ * @returns {string} - e.g. 'City: Hialeah (close to "hialea")'
+ */
+export const describeMatchReason = ({ label, term, kind, matched }) => {
+  if (kind === 'fuzzy') return `${label}: ${matched} (close to "${term}")`;
+  if (kind === 'abbreviation') return `${label}: ${matched} (from "${term}")`;
+  if (kind === 'comparison') return `${label}: ${matched} (${term})`;
+  return `${label}: ${matched}`;
+};
+
+/**
+ * Text fragments to highlight for a query: the whole query when it is plain, otherwise
+ * every positive text term (phrases stay whole; negations and numeric comparisons are skipped)
+ * @param {string} query
+ * @returns {{ text: string, fuzzy: boolean }[]} - fuzzy is false for terms on exact-match fields,
+ *   so category:planning does not highlight "Planting"
+ */
+export const getHighlightTerms = (query) => {
+  if (!query || !String(query).trim()) return [];
+  const { clauses, plain } = parseSearchQuery(query);
+  if (plain) return [{ text: String(query).trim(), fuzzy: true }];
+  const terms = new Map();
+  clauses.flat()
+    .filter(term => !term.negate && !term.comparison)
+    .forEach((term) => {
+      const fuzzy = !SEARCH_FIELDS[term.field]?.exact;
+      // A term that is fuzzy anywhere in the query is highlighted fuzzily
+      terms.set(term.raw, fuzzy || terms.get(term.raw) === true);
+    });
+  return [...terms].map(([text, fuzzy]) => ({ text, fuzzy }));
+};
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSearchNumber,
+  parseComparison,
+  parseSearchQuery,
+  matchesSearchTerm,
+  scoreSearchQuery,
+  matchSearchQuery,
+  describeMatchReason,
+  getHighlightTerms
+} from './searchQuery.js';
+
+describe('searchQuery', () => {
+  describe('parseSearchNumber', () => {
+    it('should read suffixes, currency and separators', () => {
+      expect(parseSearchNumber('1M')).toBe(1000000);
+      expect(parseSearchNumber('2.5k')).toBe(2500);
+      expect(parseSearchNumber('$250,000')).toBe(250000);
+      expect(parseSearchNumber('1b')).toBe(1000000000);
+      expect(parseSearchNumber('2020')).toBe(2020);
+    });
+
+    it('should reject text that is not a number', () => {
+      expect(parseSearchNumber('lots')).toBeNull();
+      expect(parseSearchNumber('')).toBeNull();
+      expect(parseSearchNumber('1MM')).toBeNull();
+    });
+  });
+
+  describe('parseComparison', () => {
+    it('should parse operators and ranges', () => {
+      expect(parseComparison('>1M')).toEqual({ op: '>', value: 1000000 });
+      expect(parseComparison('<=2020')).toEqual({ op: '<=', value: 2020 });
+      expect(parseComparison('500k')).toEqual({ op: '=', value: 500000 });
+      expect(parseComparison('5M..1M')).toEqual({ op: 'range', min: 1000000, max: 5000000 });
+    });
+
+    it('should return null for invalid comparisons', () => {
+      expect(parseComparison('>')).toBeNull();
+      expect(parseComparison('1M..')).toBeNull();
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should split qualifiers, phrases, negations and keywords', () => {
+      const { clauses, plain } = parseSearchQuery('city:"Miami Beach" type:green flooding -planning');
+      expect(plain).toBe(false);
+      expect(clauses.map(([term]) => [term.field, term.text, term.negate])).toEqual([
+        ['city', 'miami beach', false],
+        ['type', 'green', false],
+        [null, 'flooding', false],
+        [null, 'planning', true]
+      ]);
+      expect(clauses[0][0].phrase).toBe(true);
+    });
+
+    it('should group terms joined by OR', () => {
+      const { clauses } = parseSearchQuery('seawall OR "sea wall" doral');
+      expect(clauses.map(clause => clause.map(term => term.text))).toEqual([['seawall', 'sea wall'], ['doral']]);
+    });
+
+    it('should treat plain words as a plain query', () => {
+      expect(parseSearchQuery('Miami Beach').plain).toBe(true);
+      expect(parseSearchQuery('sea-level rise').plain).toBe(true);
+      expect(parseSearchQuery('flooding -planning').plain).toBe(false);
+    });
+
+    it('should resolve aliases and keep unknown qualifiers as words', () => {
+      const [[focus], [unknown]] = parseSearchQuery('hazard:heat note:urgent').clauses;
+      expect(focus.field).toBe('focus');
+      expect(unknown).toMatchObject({ field: null, text: 'note:urgent' });
+    });
+
+    it('should skip dangling operators and invalid comparisons', () => {
+      expect(parseSearchQuery('OR - cost:lots').clauses).toEqual([]);
+      expect(parseSearchQuery('"sea wall').clauses[0][0].text).toBe('sea wall');
+    });
+  });
+
+  describe('Matching', () => {
+    const project = {
+      name: 'North Bay Village Seawall',
+      city: 'North Bay Village',
+      typeLabel: 'Grey Infrastructure',
+      type: 'Grey',
+      status: 'Funding Secured',
+      statusGroup: 'Planned',
+      cost: 2500000,
+      startDate: '2021',
+      endDate: '2024'
+    };
+    const matches = query => scoreSearchQuery(project, parseSearchQuery(query)) !== null;
+
+    it('should compare costs', () => {
+      expect(matches('cost:>1M')).toBe(true);
+      expect(matches('cost:<=500k')).toBe(false);
+      expect(matches('cost:1M..5M')).toBe(true);
+      expect(matches('cost:>1')).toBe(true);
+      expect(matchesSearchTerm({ cost: null }, parseSearchQuery('cost:<1M').clauses[0][0])).toBe(false);
+    });
+
+    it('should compare years against the active span', () => {
+      expect(matches('year:2022')).toBe(true);
+      expect(matches('year:>2024')).toBe(false);
+      expect(matches('year:<2022')).toBe(true);
+      expect(matches('year:2010..2020')).toBe(false);
+      expect(matches('start:>=2021 end:2024')).toBe(true);
+      expect(matches('year:>2030')).toBe(false);
+      // Projects without an end date are still running
+      expect(scoreSearchQuery({ startDate: '2024' }, parseSearchQuery('year:>2030'))).not.toBeNull();
+    });
+
+    it('should match status by raw value or group', () => {
+      expect(matches('status:planned')).toBe(true);
+      expect(matches('status:"funding secured"')).toBe(true);
+      expect(matches('-status:completed seawall')).toBe(true);
+    });
+
+    it('should match enum-like qualifiers exactly', () => {
+      const green = { typeLabel: 'Green Infrastructure', type: 'Green', statusGroup: 'Planned' };
+      const term = query => parseSearchQuery(query).clauses[0][0];
+      expect(matchesSearchTerm(green, term('type:grey'))).toBe(false);
+      expect(matchesSearchTerm(green, term('type:green'))).toBe(true);
+      expect(matchesSearchTerm(green, term('status:planed'))).toBe(false);
+    });
+
+    it('should score keywords like the plain search', () => {
+      expect(scoreSearchQuery(project, parseSearchQuery('north -doral'))).toBe(13);
+      expect(scoreSearchQuery(project, parseSearchQuery('seawall city:north'))).toBe(6);
+    });
+  });
+
+  describe('Match reasons', () => {
+    const project = { name: 'Hialeah Canal Dredging', city: 'Hialeah', cost: 2500000, startDate: '2021' };
+
+    it('should explain keyword and qualifier matches', () => {
+      const { reasons } = matchSearchQuery(project, parseSearchQuery('city:hialeh cost:>1M'));
+      expect(reasons.map(describeMatchReason)).toEqual([
+        'City: Hialeah (close to "hialeh")',
+        'Cost: $2,500,000 (>1M)'
+      ]);
+    });
+
+    it('should exclude only exact matches of negated terms', () => {
+      const planting = { name: 'Tree Planting Program', description: 'Food forest and canopy planting' };
+      const keep = query => matchSearchQuery(planting, parseSearchQuery(query)) !== null;
+      expect(keep('-planning')).toBe(true);
+      expect(keep('-flood')).toBe(true);
+      expect(keep('-name:planing')).toBe(true);
+      expect(keep('-planting')).toBe(false);
+      expect(keep('-plánting')).toBe(false);
+    });
+
+    it('should skip negated terms', () => {
+      const { reasons } = matchSearchQuery(project, parseSearchQuery('canal -doral'));
+      expect(reasons.map(describeMatchReason)).toEqual(['Name: Canal']);
+    });
+
+    it('should describe years and abbreviations', () => {
+      expect(describeMatchReason({ label: 'Years', term: '2022', kind: 'comparison', matched: '2021–ongoing' }))
+        .toBe('Years: 2021–ongoing (2022)');
+      expect(describeMatchReason({ label: 'City', term: 'N Miami', kind: 'abbreviation', matched: 'North Miami' }))
+        .toBe('City: North Miami (from "N Miami")');
+    });
+  });
+
+  describe('getHighlightTerms', () => {
+    it('should highlight a plain query as a whole', () => {
+      expect(getHighlightTerms('  Miami Beach ')).toEqual([{ text: 'Miami Beach', fuzzy: true }]);
+      expect(getHighlightTerms('')).toEqual([]);
+    });
+
+    it('should list positive text terms only', () => {
+      expect(getHighlightTerms('city:"Miami Beach" type:green flooding -planning cost:>1M')).toEqual([
+        { text: 'Miami Beach', fuzzy: true },
+        { text: 'green', fuzzy: false },
+        { text: 'flooding', fuzzy: true }
+      ]);
+      expect(getHighlightTerms('seawall OR "sea wall"')).toEqual([
+        { text: 'seawall', fuzzy: true },
+        { text: 'sea wall', fuzzy: true }
+      ]);
+    });
+
+    it('should not highlight terms on exact-match fields fuzzily', () => {
+      expect(getHighlightTerms('category:planning status:active')).toEqual([
+        { text: 'planning', fuzzy: false },
+        { text: 'active', fuzzy: false }
+      ]);
+      expect(getHighlightTerms('category:planning OR planning')).toEqual([{ text: 'planning', fuzzy: true }]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Fetching with explicit outcomes for the index datasets behind the Modelling Layer.
+//
+// Each dataset has an ordered list of candidate files (see indexSources.js). The first candidate
+// that can be fetched, parsed and validated wins; every attempt is recorded so the UI can explain
+// why a layer is missing (no candidate found) or invalid (a file was found but could not be used).
+
+export const SOURCE_STATUS = {
+  LOADED: 'loaded',
+  MISSING: 'missing',
+  INVALID: 'invalid'
+};
+
+const sourceError = (message, status) => {
+  const error = new Error(message);
+  error.sourceStatus = status;
+  return error;
+};
+
+/**
+ * Fetch a data file, telling "not there" apart from "there but unreadable"
+ * @param {string} url - File location
+ * @param {Function} [read] - Reads the response body (defaults to JSON)
+ * @returns {Promise<*>} - Throws an Error with `sourceStatus` set to missing or invalid
+ */
+export const fetchSource = async (url, read = response => response.json()) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw sourceError(`${url}: ${error.message}`, SOURCE_STATUS.MISSING);
+  }
+  if (!response.ok) {
+    throw sourceError(`${url}: HTTP ${response.status}`, SOURCE_STATUS.MISSING);
+  }
+  // The dev server answers unknown paths with index.html instead of a 404
+  if ((response.headers?.get('content-type') || '').includes('text/html')) {
+    throw sourceError(`${url}: not found`, SOURCE_STATUS.MISSING);
+  }
+  try {
+    return await read(response);
+  } catch (error) {
+    throw sourceError(`${url}: ${error.message}`, SOURCE_STATUS.INVALID);
+  }
+};
+
+/**
+ * Load the first candidate that passes validation
+ * @param {string[]} candidates - URLs in order of preference
+ * @param {Object} [options]
+ * @param {Function} [options.load] - async (url) => data; defaults to fetchSource
+ * @param {Function} [options.validate] - (data) => error message, or null when the data is usable
+ * @returns {Promise<{ status: string, url: string|null, data: *, attempts: Object[] }>}
+ *   status is invalid when some candidate was found but rejected, missing when none was found
+ */
+export const loadFirstAvailable = async (candidates, { load = fetchSource, validate = () => null } = {}) => {
+  const attempts = [];
+
+  for (const url of candidates) {
+    try {
+      const data = await load(url);
+      const problem = validate(data);
+      if (problem) {
+        attempts.push({ url, status: SOURCE_STATUS.INVALID, reason: problem });
+        continue;
+      }
+      attempts.push({ url, status: SOURCE_STATUS.LOADED, reason: null });
+      return { status: SOURCE_STATUS.LOADED, url, data, attempts };
+    } catch (error) {
+      attempts.push({ url, status: error.sourceStatus || SOURCE_STATUS.INVALID, reason: error.message });
+    }
+  }
+
+  const status = attempts.some(attempt => attempt.status === SOURCE_STATUS.INVALID)
+    ? SOURCE_STATUS.INVALID
+    : SOURCE_STATUS.MISSING;
+  return { status, url: null, data: null, attempts };
+};
+
+// Validator for loaders that return { count } (CRE, vulnerability, CEJST, risk)
+export const requireRecords = (label) => (result) => (result?.count ? null : `no ${label} found`);
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SOURCE_STATUS, fetchSource, loadFirstAvailable, requireRecords } from './sourceLoader.js';
+
+const mockResponse = ({ ok = true, status = 200, contentType = 'application/json', body = '{}' } = {}) => ({
+  ok,
+  status,
+  headers: { get: () => contentType },
+  json: async () => JSON.parse(body),
+  text: async () => body
+});
+
+describe('sourceLoader', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('fetchSource', () => {
+    it('should return the parsed body', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => mockResponse({ body: '{"type":"FeatureCollection"}' })));
+      await expect(fetchSource('/data.geojson')).resolves.toEqual({ type: 'FeatureCollection' });
+    });
+
+    it('should report HTTP errors and HTML fallbacks as missing', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => mockResponse({ ok: false, status: 404 })));
+      await expect(fetchSource('/a.geojson')).rejects.toMatchObject({ sourceStatus: SOURCE_STATUS.MISSING });
+
+      vi.stubGlobal('fetch', vi.fn(async () => mockResponse({ contentType: 'text/html', body: '<!doctype html>' })));
+      await expect(fetchSource('/b.geojson')).rejects.toMatchObject({ sourceStatus: SOURCE_STATUS.MISSING });
+    });
+
+    it('should report unreadable bodies as invalid', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => mockResponse({ body: '{"features": [NaN' })));
+      await expect(fetchSource('/c.geojson')).rejects.toMatchObject({ sourceStatus: SOURCE_STATUS.INVALID });
+    });
+  });
+
+  describe('loadFirstAvailable', () => {
+    const missing = () => Object.assign(new Error('not found'), { sourceStatus: SOURCE_STATUS.MISSING });
+
+    it('should fall through to the next candidate', async () => {
+      const load = vi.fn(async (url) => {
+        if (url === '/first') throw missing();
+        return { count: 3 };
+      });
+      const result = await loadFirstAvailable(['/first', '/second'], { load });
+      expect(result.status).toBe(SOURCE_STATUS.LOADED);
+      expect(result.url).toBe('/second');
+      expect(result.data).toEqual({ count: 3 });
+      expect(result.attempts.map(attempt => attempt.status)).toEqual([SOURCE_STATUS.MISSING, SOURCE_STATUS.LOADED]);
+    });
+
+    it('should be missing when no candidate exists', async () => {
+      const result = await loadFirstAvailable(['/a', '/b'], { load: async () => { throw missing(); } });
+      expect(result).toMatchObject({ status: SOURCE_STATUS.MISSING, url: null, data: null });
+      expect(result.attempts).toHaveLength(2);
+    });
+
+    it('should be invalid when a candidate fails validation', async () => {
+      const result = await loadFirstAvailable(['/a'], {
+        load: async () => ({ count: 0 }),
+        validate: requireRecords('census tracts')
+      });
+      expect(result.status).toBe(SOURCE_STATUS.INVALID);
+      expect(result.attempts[0].reason).toBe('no census tracts found');
+    });
+  });
+});
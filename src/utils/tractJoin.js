@@ -0,0 +1,73 @@
+// Point-in-polygon join between project points and census tract polygons.
+
+// Ray casting test against a single linear ring of [lng, lat] positions
+export const isPointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+// Polygon rings are [outer, ...holes]
+const isPointInPolygonRings = (point, rings) => {
+  if (!rings?.length || !isPointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some(hole => isPointInRing(point, hole));
+};
+
+/**
+ * Test whether a point falls inside a Polygon or MultiPolygon geometry
+ * @param {number[]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export const isPointInGeometry = (point, geometry) => {
+  if (!point || !geometry) return false;
+  if (geometry.type === 'Polygon') return isPointInPolygonRings(point, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => isPointInPolygonRings(point, polygon));
+  }
+  return false;
+};
+
+const getBoundingBox = (geometry) => {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  polygons.forEach((rings) => {
+    (rings[0] || []).forEach(([x, y]) => {
+      if (x < box[0]) box[0] = x;
+      if (y < box[1]) box[1] = y;
+      if (x > box[2]) box[2] = x;
+      if (y > box[3]) box[3] = y;
+    });
+  });
+  return box;
+};
+
+/**
+ * Find the tract containing each project
+ * @param {Object[]} projects - Normalized project records (see projectSchema.js)
+ * @param {Object[]} tractFeatures - Census tract polygon features
+ * @returns {Map<Object, Object>} - Project record -> containing tract feature (projects outside every tract are omitted)
+ */
+export const joinProjectsToTracts = (projects = [], tractFeatures = []) => {
+  const tracts = (tractFeatures || [])
+    .filter(feature => feature?.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+    .map(feature => ({ feature, box: getBoundingBox(feature.geometry) }));
+
+  const joined = new Map();
+  (projects || []).forEach((project) => {
+    const point = project?.coordinates;
+    if (!point) return;
+    const match = tracts.find(({ feature, box }) => (
+      point[0] >= box[0] && point[0] <= box[2] &&
+      point[1] >= box[1] && point[1] <= box[3] &&
+      isPointInGeometry(point, feature.geometry)
+    ));
+    if (match) joined.set(project, match.feature);
+  });
+  return joined;
+};
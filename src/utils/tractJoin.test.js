@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { isPointInRing, isPointInGeometry, joinProjectsToTracts } from './tractJoin.js';
+
+const square = (x, y, size = 1) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+describe('tractJoin', () => {
+  describe('isPointInRing', () => {
+    it('should detect points inside and outside a ring', () => {
+      expect(isPointInRing([0.5, 0.5], square(0, 0))).toBe(true);
+      expect(isPointInRing([1.5, 0.5], square(0, 0))).toBe(false);
+    });
+  });
+
+  describe('isPointInGeometry', () => {
+    it('should exclude points inside a hole', () => {
+      const geometry = { type: 'Polygon', coordinates: [square(0, 0, 4), square(1, 1, 2)] };
+      expect(isPointInGeometry([0.5, 0.5], geometry)).toBe(true);
+      expect(isPointInGeometry([2, 2], geometry)).toBe(false);
+    });
+
+    it('should check every part of a MultiPolygon', () => {
+      const geometry = { type: 'MultiPolygon', coordinates: [[square(0, 0)], [square(5, 5)]] };
+      expect(isPointInGeometry([5.5, 5.5], geometry)).toBe(true);
+      expect(isPointInGeometry([3, 3], geometry)).toBe(false);
+    });
+
+    it('should return false for non-polygon geometries', () => {
+      expect(isPointInGeometry([0, 0], { type: 'Point', coordinates: [0, 0] })).toBe(false);
+      expect(isPointInGeometry([0, 0], null)).toBe(false);
+    });
+  });
+
+  describe('joinProjectsToTracts', () => {
+    it('should map each project to the tract that contains it', () => {
+      const tractA = { type: 'Feature', properties: { GEOID: 'A' }, geometry: { type: 'Polygon', coordinates: [square(0, 0)] } };
+      const tractB = { type: 'Feature', properties: { GEOID: 'B' }, geometry: { type: 'Polygon', coordinates: [square(1, 0)] } };
+      const inA = { name: 'a', coordinates: [0.5, 0.5] };
+      const inB = { name: 'b', coordinates: [1.5, 0.5] };
+      const outside = { name: 'c', coordinates: [9, 9] };
+      const noLocation = { name: 'd', coordinates: null };
+
+      const joined = joinProjectsToTracts([inA, inB, outside, noLocation], [tractA, tractB]);
+      expect(joined.get(inA)).toBe(tractA);
+      expect(joined.get(inB)).toBe(tractB);
+      expect(joined.has(outside)).toBe(false);
+      expect(joined.has(noLocation)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Shareable view state in the URL query string.
+//
+// Example: ?type=Green&type=Blue&category=Public+Facilities&focus=Flooding&status=Ongoing&city=Doral&view=cre&satellite=1&q=seawall
+//          &project=12&center=-80.19121,25.76168&zoom=12.5
+// `project` and `detail` hold project link ids (see projectSchema.js): the dataset's feature id, or the
+// name plus rounded location ("seawall@25.76168,-80.19121"), so links survive a reordered inventory.
+// `detail` is the project whose detail panel is open, so ?detail=12 links straight to it.
+// Multi-select filters repeat their parameter so values containing commas survive the round trip.
+// Defaults are left out so an untouched view keeps a clean URL.
+
+export const URL_STATE_PARAMS = {
+  types: 'type',
+  categories: 'category',
+  disasterFocus: 'focus',
+  statuses: 'status',
+  city: 'city',
+  dataset: 'dataset',
+  view: 'view',
+  satellite: 'satellite',
+  search: 'q',
+  project: 'project',
+  detail: 'detail',
+  center: 'center',
+  zoom: 'zoom'
+};
+
+const parseNumber = (value) => {
+  if (value === null || value.trim() === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const parseCenter = (value) => {
+  const parts = (value || '').split(',').map(part => parseNumber(part));
+  if (parts.length !== 2 || parts.some(part => part === null)) return null;
+  const [lng, lat] = parts;
+  if (Math.abs(lng) > 180 || Math.abs(lat) > 90) return null;
+  return [lng, lat];
+};
+
+/**
+ * Read view state from a query string
+ * @param {string} search - `window.location.search` (leading "?" optional)
+ * @param {Object} [options]
+ * @param {string[]} [options.views] - Accepted values for `view`; anything else is ignored
+ * @returns {Object} - { types, categories, disasterFocus, statuses, city, dataset, view, satellite, search, project, detail, center, zoom };
+ *   missing values are [] for lists, false for satellite and null otherwise
+ */
+export const parseUrlState = (search, { views } = {}) => {
+  const params = new URLSearchParams(search || '');
+  const text = (key) => {
+    const value = params.get(key);
+    return value && value.trim() ? value.trim() : null;
+  };
+  const list = (key) => [...new Set(params.getAll(key).map(value => value.trim()).filter(Boolean))];
+  const view = text(URL_STATE_PARAMS.view);
+  const zoom = parseNumber(params.get(URL_STATE_PARAMS.zoom));
+
+  return {
+    types: list(URL_STATE_PARAMS.types),
+    categories: list(URL_STATE_PARAMS.categories),
+    disasterFocus: list(URL_STATE_PARAMS.disasterFocus),
+    statuses: list(URL_STATE_PARAMS.statuses),
+    city: text(URL_STATE_PARAMS.city),
+    dataset: text(URL_STATE_PARAMS.dataset),
+    view: view && (!views || views.includes(view)) ? view : null,
+    satellite: ['1', 'true'].includes(params.get(URL_STATE_PARAMS.satellite)),
+    search: params.get(URL_STATE_PARAMS.search) || null,
+    project: text(URL_STATE_PARAMS.project),
+    detail: text(URL_STATE_PARAMS.detail),
+    center: parseCenter(params.get(URL_STATE_PARAMS.center)),
+    zoom: zoom !== null && zoom >= 0 && zoom <= 24 ? zoom : null
+  };
+};
+
+/**
+ * Build a query string for the current view
+ * @param {Object} state - Same shape as parseUrlState's result (missing keys are skipped)
+ * @param {Object} [defaults] - Values to leave out of the URL (e.g. { view: 'risk', dataset: 'cities' })
+ * @returns {string} - "?..." or '' when everything is at its default
+ */
+export const buildUrlSearch = (state, defaults = {}) => {
+  const params = new URLSearchParams();
+  const isDefault = (key, value) => defaults[key] !== undefined && defaults[key] === value;
+
+  (state.types || []).forEach(value => params.append(URL_STATE_PARAMS.types, value));
+  (state.categories || []).forEach(value => params.append(URL_STATE_PARAMS.categories, value));
+  (state.disasterFocus || []).forEach(value => params.append(URL_STATE_PARAMS.disasterFocus, value));
+  (state.statuses || []).forEach(value => params.append(URL_STATE_PARAMS.statuses, value));
+  ['city', 'dataset', 'view', 'search', 'project', 'detail'].forEach((key) => {
+    const value = state[key];
+    if (value === null || value === undefined || String(value).trim() === '' || isDefault(key, value)) return;
+    params.set(URL_STATE_PARAMS[key], String(value));
+  });
+  if (state.satellite) params.set(URL_STATE_PARAMS.satellite, '1');
+  if (state.center) {
+    params.set(URL_STATE_PARAMS.center, state.center.map(value => Number(value.toFixed(5))).join(','));
+  }
+  if (Number.isFinite(state.zoom)) {
+    params.set(URL_STATE_PARAMS.zoom, String(Number(state.zoom.toFixed(2))));
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
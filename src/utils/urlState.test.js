@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { parseUrlState, buildUrlSearch } from './urlState.js';
+
+describe('urlState', () => {
+  describe('parseUrlState', () => {
+    it('should read every shared setting', () => {
+      const state = parseUrlState(
+        '?type=Green&type=Blue&category=Shoreline+Protection&focus=Flooding%2C+Sea+Level+Rise&status=Ongoing&status=Planned&city=Miami+Beach&view=cre&satellite=1' +
+        '&q=sea%20wall&project=12&detail=12&center=-80.19121,25.76168&zoom=12.5'
+      );
+      expect(state).toEqual({
+        types: ['Green', 'Blue'],
+        categories: ['Shoreline Protection'],
+        disasterFocus: ['Flooding, Sea Level Rise'],
+        statuses: ['Ongoing', 'Planned'],
+        city: 'Miami Beach',
+        dataset: null,
+        view: 'cre',
+        satellite: true,
+        search: 'sea wall',
+        project: '12',
+        detail: '12',
+        center: [-80.19121, 25.76168],
+        zoom: 12.5
+      });
+    });
+
+    it('should fall back to defaults for a bare URL', () => {
+      expect(parseUrlState('')).toEqual({
+        types: [],
+        categories: [],
+        disasterFocus: [],
+        statuses: [],
+        city: null,
+        dataset: null,
+        view: null,
+        satellite: false,
+        search: null,
+        project: null,
+        detail: null,
+        center: null,
+        zoom: null
+      });
+    });
+
+    it('should ignore malformed values', () => {
+      const state = parseUrlState('?view=heatmap&center=abc,25&zoom=99&type=&type=Grey&type=Grey', {
+        views: ['none', 'risk', 'cre']
+      });
+      expect(state.view).toBe(null);
+      expect(state.center).toBe(null);
+      expect(state.zoom).toBe(null);
+      expect(state.types).toEqual(['Grey']);
+      expect(parseUrlState('?center=-200,25').center).toBe(null);
+    });
+  });
+
+  describe('buildUrlSearch', () => {
+    it('should round-trip through parseUrlState', () => {
+      const state = {
+        types: ['Hybrid'],
+        categories: ['Public Facilities', 'Water'],
+        disasterFocus: ['Flooding, Sea Level Rise'],
+        statuses: ['Completed'],
+        city: 'Doral',
+        dataset: 'proj-final',
+        view: 'none',
+        satellite: true,
+        search: 'pump "station"',
+        project: '7',
+        detail: '7',
+        center: [-80.191211234, 25.761681234],
+        zoom: 11.23456
+      };
+      const parsed = parseUrlState(buildUrlSearch(state));
+      expect(parsed).toEqual({ ...state, center: [-80.19121, 25.76168], zoom: 11.23 });
+    });
+
+    it('should leave defaults and empty values out', () => {
+      expect(buildUrlSearch(
+        { types: [], city: '', view: 'risk', dataset: 'cities', satellite: false, search: '  ', project: null },
+        { view: 'risk', dataset: 'cities' }
+      )).toBe('');
+      expect(buildUrlSearch({ view: 'cre' }, { view: 'risk' })).toBe('?view=cre');
+      expect(buildUrlSearch({ dataset: 'cities', detail: '4' }, { dataset: 'cities' })).toBe('?detail=4');
+    });
+  });
+});
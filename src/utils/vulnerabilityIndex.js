@@ -0,0 +1,45 @@
+// Loader for the Social Vulnerability Index (public/vulnerability_index.geojson, a copy of
+// SCALE-R Data/Index Data/vulnerability_index.geojson).
+//
+// The file only carries attributes: every geometry is a dummy [0, 0] point, so values are joined
+// onto the census tract polygons by GEOID. FIPS codes are exported as floats ("12086000109.0").
+
+import { normalizeGeoid } from './geoid.js';
+import { fetchSource } from './sourceLoader.js';
+
+export const VULNERABILITY_INDEX_URL = '/vulnerability_index.geojson';
+
+// Light to dark blue, one color per quantile class
+export const VULNERABILITY_INDEX_COLORS = ['#F1EEF6', '#BDC9E1', '#74A9CF', '#2B8CBE', '#045A8D'];
+
+/**
+ * Index vulnerability values by normalized GEOID
+ * @param {Object} featureCollection - Parsed vulnerability_index.geojson
+ * @returns {{ byGeoid: Object, count: number, skipped: number }}
+ */
+export const parseVulnerabilityIndex = (featureCollection) => {
+  const byGeoid = {};
+  let skipped = 0;
+
+  (featureCollection?.features || []).forEach((feature) => {
+    const properties = feature?.properties || {};
+    const geoid = normalizeGeoid(properties.FIPS);
+    const value = Number(properties.VulnerabilityIndex);
+    if (!geoid || properties.VulnerabilityIndex === null || !Number.isFinite(value)) {
+      skipped++;
+      return;
+    }
+    byGeoid[geoid] = value;
+  });
+
+  return { byGeoid, count: Object.keys(byGeoid).length, skipped };
+};
+
+/**
+ * Fetch and index the vulnerability file
+ * @param {string} [url] - GeoJSON location
+ * @returns {Promise<{ byGeoid: Object, count: number, skipped: number }>}
+ */
+export const loadVulnerabilityIndex = async (url = VULNERABILITY_INDEX_URL) => {
+  return parseVulnerabilityIndex(await fetchSource(url));
+};
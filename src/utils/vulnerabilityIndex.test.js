@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { parseVulnerabilityIndex } from './vulnerabilityIndex.js';
+
+describe('parseVulnerabilityIndex', () => {
+  const point = { type: 'Point', coordinates: [0, 0] };
+
+  it('should key values by GEOID without the trailing .0', () => {
+    const { byGeoid, count, skipped } = parseVulnerabilityIndex({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: point, properties: { FIPS: '12086000109.0', VulnerabilityIndex: 0.589869812 } },
+        { type: 'Feature', geometry: point, properties: { FIPS: 12086000115, VulnerabilityIndex: '0.47' } }
+      ]
+    });
+    expect(count).toBe(2);
+    expect(skipped).toBe(0);
+    expect(byGeoid['12086000109']).toBe(0.589869812);
+    expect(byGeoid['12086000115']).toBe(0.47);
+  });
+
+  it('should skip rows without a FIPS code or value', () => {
+    const { count, skipped } = parseVulnerabilityIndex({
+      features: [
+        { type: 'Feature', geometry: point, properties: { FIPS: null, VulnerabilityIndex: 0.5 } },
+        { type: 'Feature', geometry: point, properties: { FIPS: '12086000109.0', VulnerabilityIndex: null } }
+      ]
+    });
+    expect(count).toBe(0);
+    expect(skipped).toBe(2);
+  });
+
+  it('should handle a missing collection', () => {
+    expect(parseVulnerabilityIndex(null)).toEqual({ byGeoid: {}, count: 0, skipped: 0 });
+  });
+});
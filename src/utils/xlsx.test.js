@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip, getColumnName, buildXlsx } from './xlsx.js';
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('xlsx', () => {
+  describe('crc32', () => {
+    it('should match the standard check value', () => {
+      expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+      expect(crc32(new Uint8Array())).toBe(0);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should store each file behind a local header and list it in the central directory', () => {
+      const zip = createZip([{ name: 'a.txt', content: 'hello' }, { name: 'b/c.txt', content: 'world' }]);
+      const view = new DataView(zip.buffer);
+      expect(view.getUint32(0, true)).toBe(0x04034b50);
+      expect(view.getUint32(14, true)).toBe(crc32(new TextEncoder().encode('hello')));
+      expect(decode(zip.slice(30, 35))).toBe('a.txt');
+      expect(decode(zip.slice(35, 40))).toBe('hello');
+
+      const end = zip.length - 22;
+      expect(view.getUint32(end, true)).toBe(0x06054b50);
+      expect(view.getUint16(end + 10, true)).toBe(2);
+      const centralOffset = view.getUint32(end + 16, true);
+      expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    });
+  });
+
+  describe('getColumnName', () => {
+    it('should convert indexes to spreadsheet letters', () => {
+      expect(getColumnName(0)).toBe('A');
+      expect(getColumnName(25)).toBe('Z');
+      expect(getColumnName(26)).toBe('AA');
+      expect(getColumnName(701)).toBe('ZZ');
+    });
+  });
+
+  describe('buildXlsx', () => {
+    it('should write one worksheet per sheet with typed, escaped cells', () => {
+      const text = decode(buildXlsx([
+        { name: 'Projects', rows: [['name', 'cost'], ['Pump & "Drain" <1>', 1200000], [null, true]] },
+        { name: 'Filters: all?', rows: [] }
+      ]));
+      expect(text).toContain('xl/worksheets/sheet1.xml');
+      expect(text).toContain('xl/worksheets/sheet2.xml');
+      expect(text).toContain('<sheet name="Projects" sheetId="1" r:id="rId1"/>');
+      expect(text).toContain('<sheet name="Filters  all" sheetId="2" r:id="rId2"/>');
+      expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Pump &amp; &quot;Drain&quot; &lt;1&gt;</t></is></c>');
+      expect(text).toContain('<c r="B2"><v>1200000</v></c>');
+      expect(text).toContain('<row r="3"><c r="B3" t="b"><v>1</v></c></row>');
+    });
+
+    it('should drop control characters XML cannot hold but keep tabs and line breaks', () => {
+      const text = decode(buildXlsx([{ name: 'Projects', rows: [['A\u0001B\u001f\tC\nD']] }]));
+      expect(text).toContain('<t xml:space="preserve">AB\tC\nD</t>');
+    });
+  });
+});